@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { envNumber } = require("./env");
+
+const ALERTS_FILE =
+  process.env.ALERTS_FILE || path.join(__dirname, "alerts.json");
+const ALERT_HISTORY_FILE =
+  process.env.ALERT_HISTORY_FILE || path.join(__dirname, "alert-history.jsonl");
+const RULE_TYPES = ["room_daily_energy", "meter_silent", "supply_gap"];
+const CHANNEL_TYPES = ["webhook", "email"];
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per webhook or email
+// Events kept in the history file, older ones are dropped as new ones arrive
+const ALERT_HISTORY_LIMIT = envNumber("ALERT_HISTORY_LIMIT", 1000);
+
+const isPositive = (value) => typeof value === "number" && value > 0;
+
+// Validate a single rule against the channels it delivers to, throwing on
+// the first problem
+const validateAlertRule = (rule, channelIds) => {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Alert rule must be an object");
+  }
+  if (!rule.id || typeof rule.id !== "string") {
+    throw new Error("Alert rule id is required");
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new Error(
+      `Alert rule ${rule.id}: type must be one of ${RULE_TYPES.join(", ")}`
+    );
+  }
+
+  if (rule.type === "room_daily_energy") {
+    if (rule.room === undefined || rule.room === null || rule.room === "") {
+      throw new Error(`Alert rule ${rule.id}: room is required`);
+    }
+    if (!isPositive(rule.maxKWh)) {
+      throw new Error(`Alert rule ${rule.id}: maxKWh must be above 0`);
+    }
+  }
+
+  if (rule.type === "meter_silent") {
+    if (!isPositive(rule.minutes)) {
+      throw new Error(`Alert rule ${rule.id}: minutes must be above 0`);
+    }
+    if (rule.mac !== undefined && typeof rule.mac !== "string") {
+      throw new Error(`Alert rule ${rule.id}: mac must be a string`);
+    }
+  }
+
+  if (rule.type === "supply_gap") {
+    if (!isPositive(rule.maxPercent)) {
+      throw new Error(`Alert rule ${rule.id}: maxPercent must be above 0`);
+    }
+    if (rule.minutes !== undefined && !isPositive(rule.minutes)) {
+      throw new Error(`Alert rule ${rule.id}: minutes must be above 0`);
+    }
+  }
+
+  if (!Array.isArray(rule.channels)) {
+    throw new Error(`Alert rule ${rule.id}: channels must be an array`);
+  }
+  rule.channels.forEach((channelId) => {
+    if (!channelIds.includes(channelId)) {
+      throw new Error(`Alert rule ${rule.id}: unknown channel ${channelId}`);
+    }
+  });
+
+  return rule;
+};
+
+const validateAlertChannel = (channel) => {
+  if (!channel || !channel.id || typeof channel.id !== "string") {
+    throw new Error("Alert channel id is required");
+  }
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    throw new Error(
+      `Alert channel ${channel.id}: type must be one of ${CHANNEL_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+  if (channel.type === "webhook" && !/^https?:\/\//.test(channel.url || "")) {
+    throw new Error(`Alert channel ${channel.id}: webhooks need an http url`);
+  }
+  if (
+    channel.type === "email" &&
+    (!Array.isArray(channel.to) || channel.to.length === 0)
+  ) {
+    throw new Error(`Alert channel ${channel.id}: email needs recipients`);
+  }
+  return channel;
+};
+
+const validateAlertConfig = (config) => {
+  if (
+    !config ||
+    !Array.isArray(config.rules) ||
+    !Array.isArray(config.channels)
+  ) {
+    throw new Error("Alert config must contain rules and channels arrays");
+  }
+  config.channels.forEach(validateAlertChannel);
+  const channelIds = config.channels.map((c) => c.id);
+  if (new Set(channelIds).size !== channelIds.length) {
+    throw new Error("Alert channel ids must be unique");
+  }
+
+  config.rules.forEach((rule) => validateAlertRule(rule, channelIds));
+  const ruleIds = config.rules.map((r) => r.id);
+  if (new Set(ruleIds).size !== ruleIds.length) {
+    throw new Error("Alert rule ids must be unique");
+  }
+  return config;
+};
+
+const loadAlertConfig = () => {
+  if (!fs.existsSync(ALERTS_FILE)) {
+    return { channels: [], rules: [] };
+  }
+  return validateAlertConfig(JSON.parse(fs.readFileSync(ALERTS_FILE, "utf8")));
+};
+
+// Webhook header values usually hold credentials, so they are never sent
+// back out; a config that returns the placeholder keeps the stored value
+const REDACTED = "********";
+
+const redactAlertConfig = (config) => ({
+  ...config,
+  channels: config.channels.map((channel) =>
+    channel.headers
+      ? {
+          ...channel,
+          headers: Object.fromEntries(
+            Object.keys(channel.headers).map((name) => [name, REDACTED])
+          ),
+        }
+      : channel
+  ),
+});
+
+const restoreRedactedHeaders = (config, stored) => {
+  config.channels.forEach((channel) => {
+    if (!channel || !channel.headers) return;
+    const previous = stored.channels.find((c) => c.id === channel.id);
+    Object.entries(channel.headers).forEach(([name, value]) => {
+      if (value !== REDACTED) return;
+      const storedValue = previous?.headers?.[name];
+      if (storedValue === undefined) {
+        throw new Error(
+          `Alert channel ${channel.id}: header ${name} has no stored value`
+        );
+      }
+      channel.headers[name] = storedValue;
+    });
+  });
+};
+
+const saveAlertConfig = (config) => {
+  validateAlertConfig(config);
+  restoreRedactedHeaders(config, loadAlertConfig());
+  fs.writeFileSync(ALERTS_FILE, JSON.stringify(config, null, 2) + "\n");
+  return config;
+};
+
+const readHistoryLines = () =>
+  fs.existsSync(ALERT_HISTORY_FILE)
+    ? fs.readFileSync(ALERT_HISTORY_FILE, "utf8").split("\n").filter(Boolean)
+    : [];
+
+let historyLength = null; // Lines in the history file, counted on first use
+
+// Append-only history, one JSON alert event per line, trimmed to the newest
+// ALERT_HISTORY_LIMIT events
+const recordAlertEvent = (event) => {
+  if (historyLength === null) {
+    historyLength = readHistoryLines().length;
+  }
+  fs.appendFileSync(ALERT_HISTORY_FILE, JSON.stringify(event) + "\n");
+  historyLength += 1;
+
+  if (historyLength > ALERT_HISTORY_LIMIT) {
+    const lines = readHistoryLines();
+    const kept = lines.slice(Math.max(0, lines.length - ALERT_HISTORY_LIMIT));
+    fs.writeFileSync(
+      ALERT_HISTORY_FILE,
+      kept.map((line) => line + "\n").join("")
+    );
+    historyLength = kept.length;
+  }
+};
+
+// Newest events first, optionally for one rule only
+const readAlertHistory = ({ ruleId, limit = 100 } = {}) => {
+  const lines = readHistoryLines();
+  const events = [];
+  for (let i = lines.length - 1; i >= 0 && events.length < limit; i--) {
+    const event = JSON.parse(lines[i]);
+    if (!ruleId || event.ruleId === ruleId) {
+      events.push(event);
+    }
+  }
+  return events;
+};
+
+let mailTransport = null;
+const getMailTransport = () => {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: envNumber("SMTP_PORT", 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+      connectionTimeout: DELIVERY_TIMEOUT,
+    });
+  }
+  return mailTransport;
+};
+
+const deliverToChannel = async (channel, event) => {
+  if (channel.type === "webhook") {
+    const response = await fetch(channel.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...channel.headers },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+    return;
+  }
+
+  await getMailTransport().sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+    to: channel.to.join(", "),
+    subject: `[${event.status === "firing" ? "ALERT" : "RESOLVED"}] ${
+      event.ruleName
+    }: ${event.subject}`,
+    text: `${event.message}\n\nRule: ${event.ruleId}\nTime: ${event.time}\n`,
+  });
+};
+
+// Firing alerts per rule and subject. Kept in memory, so an alert that is
+// still firing after a restart is sent once more.
+const activeAlerts = new Map();
+
+const getActiveAlerts = () => [...activeAlerts.values()];
+
+// Compare the latest results of a rule with its firing alerts and deliver
+// an event for every subject that started firing or recovered
+const processAlertResults = async (rule, results, channels) => {
+  const events = [];
+  const seen = new Set();
+
+  const transition = async (result, status) => {
+    const event = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name || rule.id,
+      type: rule.type,
+      subject: result.subject,
+      status,
+      value: result.value,
+      threshold: result.threshold,
+      message: result.message,
+      time: new Date().toISOString(),
+    };
+
+    event.deliveries = await Promise.all(
+      rule.channels.map(async (channelId) => {
+        const channel = channels.find((c) => c.id === channelId);
+        try {
+          await deliverToChannel(channel, event);
+          return { channel: channelId, delivered: true };
+        } catch (error) {
+          console.error(
+            `❌ Failed to deliver alert ${rule.id} to ${channelId}:`,
+            error.message
+          );
+          return { channel: channelId, delivered: false, error: error.message };
+        }
+      })
+    );
+    recordAlertEvent(event);
+    events.push(event);
+    return event;
+  };
+
+  for (const result of results) {
+    const key = `${rule.id}:${result.subject}`;
+    seen.add(key);
+
+    if (result.firing && !activeAlerts.has(key)) {
+      console.log(`🚨 Alert ${rule.id}: ${result.message}`);
+      activeAlerts.set(key, await transition(result, "firing"));
+    } else if (!result.firing && activeAlerts.has(key)) {
+      console.log(`✅ Alert ${rule.id} resolved: ${result.message}`);
+      activeAlerts.delete(key);
+      await transition(result, "resolved");
+    }
+  }
+
+  // Subjects the rule no longer reports on (rule edited, meter retired)
+  for (const [key, alert] of activeAlerts) {
+    if (alert.ruleId === rule.id && !seen.has(key)) {
+      activeAlerts.delete(key);
+    }
+  }
+
+  return events;
+};
+
+// Forget the firing alerts of rules that were removed from the config
+const pruneActiveAlerts = (ruleIds) => {
+  for (const [key, alert] of activeAlerts) {
+    if (!ruleIds.includes(alert.ruleId)) {
+      activeAlerts.delete(key);
+    }
+  }
+};
+
+module.exports = {
+  RULE_TYPES,
+  loadAlertConfig,
+  saveAlertConfig,
+  redactAlertConfig,
+  readAlertHistory,
+  getActiveAlerts,
+  processAlertResults,
+  pruneActiveAlerts,
+};
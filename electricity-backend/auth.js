@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, "users.json");
+// admin: everything including the meter registry and debugging, manager:
+// every room, tenant: only the rooms listed for the user
+const ROLES = ["admin", "manager", "tenant"];
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+// Without a configured secret, sessions end when the server restarts
+const AUTH_SECRET =
+  process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Passwords are stored as scrypt$<salt>$<key>, both hex
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, key] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+  const expected = Buffer.from(key, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+};
+
+// Validate a single user, throwing on the first problem
+const validateUser = (user) => {
+  if (!user || typeof user !== "object") {
+    throw new Error("User must be an object");
+  }
+  if (!/^[a-zA-Z0-9._-]{1,64}$/.test(user.username || "")) {
+    throw new Error(
+      "Username must be 1-64 letters, digits, dots, dashes or underscores"
+    );
+  }
+  if (!ROLES.includes(user.role)) {
+    throw new Error(
+      `User ${user.username}: role must be one of ${ROLES.join(", ")}`
+    );
+  }
+  if (
+    !Array.isArray(user.rooms) ||
+    user.rooms.some((room) => typeof room !== "string" || room === "")
+  ) {
+    throw new Error(`User ${user.username}: rooms must be a list of room ids`);
+  }
+  if (user.role === "tenant" && user.rooms.length === 0) {
+    throw new Error(`User ${user.username}: a tenant needs at least one room`);
+  }
+  if (typeof user.passwordHash !== "string") {
+    throw new Error(`User ${user.username}: passwordHash is missing`);
+  }
+};
+
+const validateUsersConfig = (config) => {
+  if (!config || !Array.isArray(config.users)) {
+    throw new Error("Users config must have a users list");
+  }
+  config.users.forEach(validateUser);
+  const usernames = config.users.map((u) => u.username);
+  if (new Set(usernames).size !== usernames.length) {
+    throw new Error("Usernames must be unique");
+  }
+  return config;
+};
+
+const loadUsers = () => {
+  if (!fs.existsSync(USERS_FILE)) {
+    return { users: [] };
+  }
+  return validateUsersConfig(JSON.parse(fs.readFileSync(USERS_FILE, "utf8")));
+};
+
+const saveUsers = (config) => {
+  validateUsersConfig(config);
+  fs.writeFileSync(USERS_FILE, JSON.stringify(config, null, 2) + "\n", {
+    mode: 0o600,
+  });
+  return config;
+};
+
+// A user as served by the API, without the password hash
+const describeUser = ({ username, role, rooms }) => ({ username, role, rooms });
+
+const findUser = (username) =>
+  loadUsers().users.find((u) => u.username === username) || null;
+
+// The user matching a username and password, or null. Unknown users are
+// hashed too so they take as long to reject as wrong passwords.
+const authenticateUser = (username, password) => {
+  const user = findUser(username);
+  if (!user || typeof password !== "string") {
+    hashPassword(String(password));
+    return null;
+  }
+  return verifyPassword(password, user.passwordHash)
+    ? describeUser(user)
+    : null;
+};
+
+// Normalize the editable fields of a user from a request body; tenants
+// keep only their rooms, other roles see every room anyway
+const parseUserFields = (body, existing = null) => {
+  const role = body.role ?? existing?.role;
+  const rooms = [].concat(body.rooms ?? existing?.rooms ?? []).map(String);
+  if (body.password !== undefined) {
+    validatePassword(body.password);
+  }
+  return { role, rooms: role === "tenant" ? rooms : [] };
+};
+
+const createUser = (body) => {
+  const config = loadUsers();
+  if (config.users.some((u) => u.username === body.username)) {
+    throw new Error(`User ${body.username} already exists`);
+  }
+  validatePassword(body.password);
+  const user = {
+    username: body.username,
+    ...parseUserFields(body),
+    passwordHash: hashPassword(body.password),
+  };
+  saveUsers({ ...config, users: [...config.users, user] });
+  return describeUser(user);
+};
+
+// Apply role, rooms or password changes; null when the user is unknown
+const updateUser = (username, body) => {
+  const config = loadUsers();
+  const existing = config.users.find((u) => u.username === username);
+  if (!existing) return null;
+  const user = {
+    ...existing,
+    ...parseUserFields(body, existing),
+    ...(body.password !== undefined && {
+      passwordHash: hashPassword(body.password),
+    }),
+  };
+  const users = config.users.map((u) => (u.username === username ? user : u));
+  if (!users.some((u) => u.role === "admin")) {
+    throw new Error("At least one admin must remain");
+  }
+  saveUsers({ ...config, users });
+  return describeUser(user);
+};
+
+// Remove a user; false when the user is unknown
+const deleteUser = (username) => {
+  const config = loadUsers();
+  const users = config.users.filter((u) => u.username !== username);
+  if (users.length === config.users.length) return false;
+  if (!users.some((u) => u.role === "admin")) {
+    throw new Error("At least one admin must remain");
+  }
+  saveUsers({ ...config, users });
+  return true;
+};
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are
+// no users yet, so a fresh install can be signed in to
+const ensureAdminUser = () => {
+  if (loadUsers().users.length > 0) return null;
+  if (!process.env.ADMIN_PASSWORD) return null;
+  return createUser({
+    username: process.env.ADMIN_USERNAME || "admin",
+    password: process.env.ADMIN_PASSWORD,
+    role: "admin",
+  });
+};
+
+// Session tokens are HS256 JSON Web Tokens naming the user; role and rooms
+// are looked up on every request so changes apply at once
+const sign = (data) =>
+  crypto.createHmac("sha256", AUTH_SECRET).update(data).digest("base64url");
+
+const signToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(
+    JSON.stringify({ alg: "HS256", typ: "JWT" })
+  ).toString("base64url");
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: user.username,
+      iat: now,
+      exp: now + TOKEN_TTL_HOURS * 3600,
+    })
+  ).toString("base64url");
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Username of a valid, unexpired token, or null
+const verifyToken = (token) => {
+  const [header, payload, signature] = (token || "").split(".");
+  if (!header || !payload || !signature) return null;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+  if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return typeof claims.sub === "string" ? claims.sub : null;
+};
+
+module.exports = {
+  ROLES,
+  TOKEN_TTL_HOURS,
+  loadUsers,
+  describeUser,
+  findUser,
+  authenticateUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdminUser,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,265 @@
+const PDFDocument = require("pdfkit");
+const { calculateEnergyCost, calculateFixedCharge } = require("./tariffs");
+const { escapeCsv } = require("./export");
+
+const LOSS_SPLITS = ["proportional", "equal"];
+
+const round = (value, digits) =>
+  value === null ? null : parseFloat(value.toFixed(digits));
+
+// Split the grid bill between rooms. The shared loss (energy available to the
+// site minus the sum of all rooms) is shared proportionally to consumption or
+// equally, and every billed kWh is charged at the effective rate of the grid
+// bill so the statements add up to what the utility charges. `available` is
+// grid import plus solar generation minus export and defaults to `supply`.
+// Tiers restart every calendar month, so `supplyMonths` splits the supply by
+// month, each with the kWh already used in that month before the period.
+const buildBill = ({
+  start,
+  end,
+  utcStart,
+  utcEnd,
+  months,
+  rooms,
+  supply,
+  available = supply,
+  supplyBands = {},
+  supplyMonths = [{ supply, monthToDate: 0 }],
+  tariff = null,
+  lossSplit = "proportional",
+}) => {
+  const roomsTotal = rooms.reduce((sum, r) => sum + r.consumption, 0);
+  const loss = Math.max(0, available - roomsTotal);
+  const billedTotal = Math.max(available, roomsTotal);
+
+  let gridCost = null;
+  let rate = null;
+  if (tariff) {
+    // Energy billed beyond the supply is spread over the months like it
+    const billedSupply = supply + billedTotal - available;
+    const monthsTotal = supplyMonths.reduce((sum, m) => sum + m.supply, 0);
+    gridCost =
+      supplyMonths.reduce(
+        (cost, { supply: monthSupply, monthToDate }) =>
+          cost +
+          calculateEnergyCost(
+            tariff,
+            monthsTotal > 0
+              ? (billedSupply * monthSupply) / monthsTotal
+              : billedSupply / supplyMonths.length,
+            { bandEnergy: supplyBands, monthToDate }
+          ),
+        0
+      ) + calculateFixedCharge(tariff, months);
+    rate = billedTotal > 0 ? gridCost / billedTotal : 0;
+  }
+
+  const split =
+    lossSplit === "equal" || roomsTotal === 0 ? "equal" : "proportional";
+
+  const statements = rooms.map((r) => {
+    const lossShare =
+      split === "equal"
+        ? loss / rooms.length
+        : (loss * r.consumption) / roomsTotal;
+    const billedEnergy = r.consumption + lossShare;
+
+    return {
+      room: r.room,
+      meters: r.meters,
+      consumption: round(r.consumption, 3),
+      lossShare: round(lossShare, 3),
+      billedEnergy: round(billedEnergy, 3),
+      amount: rate === null ? null : round(billedEnergy * rate, 2),
+    };
+  });
+
+  return {
+    period: { start, end, utcStart, utcEnd, months: round(months, 2) },
+    currency: tariff ? tariff.currency : null,
+    tariff: tariff
+      ? { id: tariff.id, name: tariff.name, type: tariff.type }
+      : null,
+    lossSplit: split,
+    supply: round(supply, 3),
+    available: round(available, 3),
+    roomsTotal: round(roomsTotal, 3),
+    loss: round(loss, 3),
+    lossPercent: available > 0 ? round((loss / available) * 100, 2) : null,
+    gridCost: round(gridCost, 2),
+    rate: round(rate, 4),
+    statements,
+  };
+};
+
+const billToCsv = (bill) => {
+  const currency = bill.currency || "";
+  const header = [
+    "Room",
+    "Meters",
+    "Period start",
+    "Period end",
+    "Consumption (kWh)",
+    "Shared loss (kWh)",
+    "Billed energy (kWh)",
+    `Rate (${currency}/kWh)`,
+    `Amount (${currency})`,
+  ];
+
+  const rows = bill.statements.map((s) => [
+    s.room,
+    s.meters.join(" "),
+    bill.period.start,
+    bill.period.end,
+    s.consumption,
+    s.lossShare,
+    s.billedEnergy,
+    bill.rate,
+    s.amount,
+  ]);
+
+  return (
+    [header, ...rows].map((row) => row.map(escapeCsv).join(",")).join("\n") +
+    "\n"
+  );
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatAmount = (bill, value) =>
+  value === null ? "—" : `${bill.currency} ${value.toFixed(2)}`;
+
+// Site totals behind a bill, which only site-wide users may see
+const SITE_FIELDS = [
+  "supply",
+  "available",
+  "roomsTotal",
+  "loss",
+  "lossPercent",
+  "gridCost",
+];
+
+const withoutSiteTotals = (bill) => ({
+  ...bill,
+  ...Object.fromEntries(SITE_FIELDS.map((field) => [field, null])),
+});
+
+// Closing note with the site totals, or null when they are withheld
+const getSiteNote = (bill) =>
+  bill.supply === null
+    ? null
+    : `Grid supply ${bill.supply} kWh, all rooms ${
+        bill.roomsTotal
+      } kWh, common-area loss ${bill.loss} kWh${
+        bill.lossPercent === null ? "" : ` (${bill.lossPercent}%)`
+      }.`;
+
+// Labelled lines shared by the HTML and PDF statements
+const getStatementLines = (bill, statement) => [
+  ["Period", `${bill.period.start} to ${bill.period.end}`],
+  ["Meters", statement.meters.join(", ") || "—"],
+  ["Metered consumption", `${statement.consumption} kWh`],
+  [
+    `Share of common-area loss (${bill.lossSplit})`,
+    `${statement.lossShare} kWh`,
+  ],
+  ["Billed energy", `${statement.billedEnergy} kWh`],
+  ["Rate", bill.rate === null ? "—" : `${bill.currency} ${bill.rate} / kWh`],
+  ["Tariff", bill.tariff ? bill.tariff.name : "—"],
+];
+
+const billToHtml = (bill) => {
+  const note = getSiteNote(bill);
+  const statements = bill.statements
+    .map(
+      (s) => `
+    <section class="statement">
+      <h1>Electricity Statement — Room ${escapeHtml(s.room)}</h1>
+      <table>
+        ${getStatementLines(bill, s)
+          .map(
+            ([label, value]) =>
+              `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(
+                value
+              )}</td></tr>`
+          )
+          .join("\n        ")}
+        <tr class="total"><th>Amount due</th><td>${escapeHtml(
+          formatAmount(bill, s.amount)
+        )}</td></tr>
+      </table>
+      ${note === null ? "" : `<p class="note">${escapeHtml(note)}</p>`}
+    </section>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Electricity statements ${escapeHtml(
+      bill.period.start
+    )} – ${escapeHtml(bill.period.end)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #111827; margin: 32px; }
+      h1 { font-size: 20px; border-bottom: 2px solid #10b981; padding-bottom: 8px; }
+      table { border-collapse: collapse; width: 100%; max-width: 640px; }
+      th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; font-size: 14px; }
+      th { color: #374151; font-weight: 500; width: 50%; }
+      .total th, .total td { font-weight: 700; border-top: 2px solid #111827; }
+      .note { font-size: 12px; color: #6b7280; }
+      .statement { page-break-after: always; margin-bottom: 48px; }
+      .statement:last-child { page-break-after: auto; }
+    </style>
+  </head>
+  <body>
+${statements}
+  </body>
+</html>
+`;
+};
+
+// Write one PDF page per statement into a writable stream
+const writeBillPdf = (bill, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+  const note = getSiteNote(bill);
+
+  bill.statements.forEach((s, i) => {
+    if (i > 0) doc.addPage();
+
+    doc.fontSize(18).text(`Electricity Statement - Room ${s.room}`);
+    doc.moveDown();
+    doc.fontSize(11);
+    getStatementLines(bill, s).forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`);
+      doc.moveDown(0.3);
+    });
+    doc.moveDown();
+    doc.fontSize(14).text(`Amount due: ${formatAmount(bill, s.amount)}`);
+    if (note !== null) {
+      doc.moveDown();
+      doc.fontSize(9).fillColor("#6b7280").text(note).fillColor("#000000");
+    }
+  });
+
+  if (bill.statements.length === 0) {
+    doc.fontSize(12).text("No rooms to bill for this period.");
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  LOSS_SPLITS,
+  buildBill,
+  withoutSiteTotals,
+  billToCsv,
+  billToHtml,
+  writeBillPdf,
+};
@@ -0,0 +1,92 @@
+// Demand windows utilities bill on, in minutes, and the default one
+const DEMAND_WINDOWS = [15, 30];
+const DEFAULT_DEMAND_WINDOW = DEMAND_WINDOWS.includes(
+  Number(process.env.DEMAND_WINDOW_MINUTES)
+)
+  ? Number(process.env.DEMAND_WINDOW_MINUTES)
+  : 15;
+// Readings are averaged into steps first; windows roll by one step
+const DEMAND_STEP_MINUTES = 5;
+// Demand from the mean power of each step or from the energy counter
+// advance over it
+const DEMAND_SOURCES = ["power", "energy"];
+
+const parseDemandWindow = (value) => {
+  if (value === undefined) return DEFAULT_DEMAND_WINDOW;
+  const windowMinutes = Number(value);
+  if (!DEMAND_WINDOWS.includes(windowMinutes)) {
+    throw new Error(
+      `Invalid window: ${value}. Use: ${DEMAND_WINDOWS.join(" or ")} minutes.`
+    );
+  }
+  return windowMinutes;
+};
+
+const parseDemandSource = (value = "power") => {
+  if (!DEMAND_SOURCES.includes(value)) {
+    throw new Error(`Invalid source. Use: ${DEMAND_SOURCES.join(" or ")}`);
+  }
+  return value;
+};
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+// Mean kW of every full window of consecutive steps, from the kW of each
+// step keyed by its start (ms). Windows missing a step are skipped rather
+// than read as a lower demand.
+const rollingDemand = (steps, windowMinutes) => {
+  const stepMs = DEMAND_STEP_MINUTES * 60 * 1000;
+  const size = windowMinutes / DEMAND_STEP_MINUTES;
+
+  return Object.keys(steps)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap((start) => {
+      let sum = 0;
+      for (let k = 0; k < size; k++) {
+        const kW = steps[start + k * stepMs];
+        if (kW === undefined) return [];
+        sum += kW;
+      }
+      return [{ start, end: start + size * stepMs, kW: sum / size }];
+    });
+};
+
+// Highest window of a series overall and per local day and month, each
+// window belonging to the day and month it starts in. dayOf and monthOf map
+// a time (ms) to its local key.
+const findDemandPeaks = (windows, dayOf, monthOf) => {
+  const peaks = { peak: null, days: {}, months: {} };
+  const keep = (current, window) =>
+    current && current.kW >= window.kW ? current : window;
+
+  windows.forEach((window) => {
+    const day = dayOf(window.start);
+    const month = monthOf(window.start);
+    peaks.peak = keep(peaks.peak, window);
+    peaks.days[day] = keep(peaks.days[day], window);
+    peaks.months[month] = keep(peaks.months[month], window);
+  });
+
+  return peaks;
+};
+
+// Peak demand value and time, as served by the API
+const formatPeak = (window) =>
+  window
+    ? {
+        kW: round(window.kW),
+        start: new Date(window.start).toISOString(),
+        end: new Date(window.end).toISOString(),
+      }
+    : null;
+
+module.exports = {
+  DEMAND_WINDOWS,
+  DEMAND_STEP_MINUTES,
+  parseDemandWindow,
+  parseDemandSource,
+  rollingDemand,
+  findDemandPeaks,
+  formatPeak,
+};
@@ -0,0 +1,855 @@
+// Energy calculation shared by the API server and the sync job: the meter
+// registry, the window edge query and the per-meter energy deltas
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const { envNumber } = require("./env");
+const { buildBandExpression } = require("./tariffs");
+const {
+  queryApi,
+  INFLUX_BUCKET_PZEM,
+  INFLUX_BUCKET_METERS,
+} = require("./influx");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const TIMEZONE = "Asia/Shanghai"; // UTC+8
+// Meters treated as grid import when the meters bucket has no role for them
+const SUPPLY_MACS = (process.env.SUPPLY_MACS || "08:f9:e0:73:64:db")
+  .split(",")
+  .map((mac) => mac.trim())
+  .filter(Boolean);
+const METER_ROLES = [
+  "grid_import",
+  "grid_export",
+  "solar",
+  "sub_meter",
+  "room",
+];
+// PZEM energy counters wrap back to 0 after 9999.99 kWh
+const ENERGY_COUNTER_MAX = envNumber("ENERGY_COUNTER_MAX", 10000);
+// Increases faster than this are treated as a meter swap, not consumption
+const MAX_METER_POWER_KW = envNumber("MAX_METER_POWER_KW", 25);
+// Readings further apart than this count as a data gap
+const HEALTH_GAP_MINUTES = envNumber("HEALTH_GAP_MINUTES", 15);
+
+const normalizeMacAddress = (mac) => {
+  if (!mac) return null;
+  // Remove colons, spaces, hyphens and convert to lowercase for comparison
+  return mac.replace(/[:\s-]/g, "").toLowerCase();
+};
+
+// Function to convert normalized MAC back to colon format
+const formatMacAddress = (normalizedMac) => {
+  if (!normalizedMac || normalizedMac.length !== 12) return normalizedMac;
+  return normalizedMac.replace(/(.{2})/g, "$1:").slice(0, -1);
+};
+
+// Cache for meters mapping to avoid repeated queries
+let metersCache = null;
+let cacheTimestamp = null;
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+const METER_FIELDS = ["room_id", "role", "label", "status"];
+
+// Full history of the registry, keyed by normalized MAC. Every meter keeps
+// its latest fields plus the state it was in after each change, so room
+// assignments can be resolved as of any point in time.
+const fetchMeterHistory = async () => {
+  const fieldSet = METER_FIELDS.map((field) => `"${field}"`).join(", ");
+  const query = `
+    from(bucket: "${INFLUX_BUCKET_METERS}")
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == "meters")
+      |> filter(fn: (r) => contains(value: r._field, set: [${fieldSet}]))
+      |> keep(columns: ["meter_mac", "_field", "_value", "_time"])
+      |> group()
+      |> sort(columns: ["_time"])
+  `;
+
+  const rows = await queryApi.collectRows(query);
+  console.log("📊 Raw meters mapping data:", rows.length, "records");
+
+  const history = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.meter_mac);
+    if (!normalizedMac) return;
+
+    if (!history[normalizedMac]) {
+      history[normalizedMac] = { fields: {}, states: [] };
+    }
+    const meter = history[normalizedMac];
+    meter.storedMac = row.meter_mac;
+    meter.updatedAt = row._time;
+    meter.fields = { ...meter.fields, [row._field]: row._value };
+
+    // Fields written together share a timestamp and form one change
+    const lastState = meter.states[meter.states.length - 1];
+    if (lastState && lastState.from === row._time) {
+      lastState.fields = meter.fields;
+    } else {
+      meter.states.push({ from: row._time, fields: meter.fields });
+    }
+  });
+
+  return history;
+};
+
+// An explicit role wins, then configured supply meters count as grid import
+// and any other meter with a room is a room meter
+const resolveMeterRole = (normalizedMac, fields) => {
+  if (METER_ROLES.includes(fields.role)) return fields.role;
+  if (SUPPLY_MACS.some((mac) => normalizeMacAddress(mac) === normalizedMac)) {
+    return "grid_import";
+  }
+  if (fields.room_id !== undefined && fields.room_id !== null) return "room";
+  return null;
+};
+
+// Role and room described by a set of registry fields
+const resolveMeterState = (normalizedMac, fields) => {
+  if (fields.status === "retired") return { role: null, room: null };
+  const role = resolveMeterRole(normalizedMac, fields);
+  return {
+    role,
+    room:
+      role === "room" && fields.room_id !== undefined && fields.room_id !== null
+        ? fields.room_id.toString()
+        : null,
+  };
+};
+
+// Role and room of a meter at a point in time. Readings from before the
+// first registry entry belong to the meter as it was first registered.
+const resolveMeterAt = (mappingData, normalizedMac, time) => {
+  const timeline = (mappingData.macTimelines || {})[normalizedMac];
+  if (!timeline || timeline.length === 0) {
+    return {
+      role: mappingData.macToRoleMap[normalizedMac] || null,
+      room: mappingData.macToRoomMap[normalizedMac] || null,
+    };
+  }
+
+  const at = new Date(time);
+  let state = timeline[0];
+  timeline.forEach((entry) => {
+    if (new Date(entry.from) <= at) state = entry;
+  });
+  return state;
+};
+
+// Role and room of a meter over the stretch between two readings, with the
+// share of the stretch each one covers. Registry changes in between cut the
+// stretch; without readings at those times the energy is split in
+// proportion to time.
+const splitMeterStates = (mappingData, normalizedMac, from, to) => {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  const changes = ((mappingData.macTimelines || {})[normalizedMac] || [])
+    .map((entry) => new Date(entry.from).getTime())
+    .filter((time) => time > fromMs && time < toMs);
+  if (changes.length === 0) {
+    return [{ ...resolveMeterAt(mappingData, normalizedMac, from), share: 1 }];
+  }
+
+  const bounds = [fromMs, ...changes, toMs];
+  return bounds.slice(0, -1).map((start, i) => ({
+    ...resolveMeterAt(mappingData, normalizedMac, new Date(start)),
+    share: (bounds[i + 1] - start) / (toMs - fromMs),
+  }));
+};
+
+// Meters that belonged to each room at some point between start and stop
+const getRoomMacsInRange = (mappingData, start, stop) => {
+  const rooms = {};
+  const addMac = (room, normalizedMac) => {
+    if (!rooms[room]) rooms[room] = [];
+    if (rooms[room].some((macInfo) => macInfo.normalized === normalizedMac)) {
+      return;
+    }
+    rooms[room].push({
+      normalized: normalizedMac,
+      original: mappingData.originalMacFormats[normalizedMac] || normalizedMac,
+    });
+  };
+
+  Object.entries(mappingData.macTimelines || {}).forEach(
+    ([normalizedMac, timeline]) => {
+      timeline.forEach((entry, i) => {
+        const next = timeline[i + 1];
+        // The first entry also covers everything before it
+        const from = i === 0 ? null : new Date(entry.from);
+        const until = next ? new Date(next.from) : null;
+        if (!entry.room) return;
+        if (from && from > new Date(stop)) return;
+        if (until && until <= new Date(start)) return;
+        addMac(entry.room, normalizedMac);
+      });
+    }
+  );
+
+  return rooms;
+};
+
+const getMetersMapping = async () => {
+  const now = Date.now();
+
+  if (metersCache && cacheTimestamp && now - cacheTimestamp < CACHE_DURATION) {
+    console.log("📋 Using cached meters mapping");
+    return metersCache;
+  }
+
+  try {
+    console.log("🔍 Fetching meters mapping from InfluxDB...");
+
+    const history = await fetchMeterHistory();
+
+    const macToRoomMap = {};
+    const roomToMacsMap = {};
+    const macToRoleMap = {};
+    const macTimelines = {}; // Role and room of every meter after each change
+    const originalMacFormats = {}; // Store original formats for InfluxDB queries
+
+    // Configured supply meters default to grid import
+    SUPPLY_MACS.forEach((mac) => {
+      macToRoleMap[normalizeMacAddress(mac)] = "grid_import";
+      originalMacFormats[normalizeMacAddress(mac)] = mac;
+    });
+
+    Object.entries(history).forEach(([normalizedMac, meter]) => {
+      const { storedMac: originalMac, fields, states } = meter;
+
+      macTimelines[normalizedMac] = states.map((state) => ({
+        from: state.from,
+        ...resolveMeterState(normalizedMac, state.fields),
+      }));
+      originalMacFormats[normalizedMac] = originalMac;
+
+      // Retired meters keep their history but no longer count anywhere
+      if (fields.status === "retired") {
+        delete macToRoleMap[normalizedMac];
+        return;
+      }
+
+      if (fields.role !== undefined && !METER_ROLES.includes(fields.role)) {
+        console.log(
+          `⚠️ Unknown role "${fields.role}" for MAC ${formatMacAddress(
+            normalizedMac
+          )}`
+        );
+      }
+
+      const role = resolveMeterRole(normalizedMac, fields);
+      if (role) {
+        macToRoleMap[normalizedMac] = role;
+      }
+
+      if (
+        role === "room" &&
+        fields.room_id !== undefined &&
+        fields.room_id !== null
+      ) {
+        const roomId = fields.room_id.toString();
+
+        macToRoomMap[normalizedMac] = roomId;
+
+        // Also create reverse mapping for easier lookup
+        if (!roomToMacsMap[roomId]) {
+          roomToMacsMap[roomId] = [];
+        }
+        roomToMacsMap[roomId].push({
+          normalized: normalizedMac,
+          original: originalMac,
+        });
+      }
+    });
+
+    console.log(
+      "🗂️ Processed MAC to Room mapping:",
+      Object.keys(macToRoomMap).length,
+      "entries"
+    );
+    console.log("🗂️ Available rooms:", Object.keys(roomToMacsMap));
+
+    // Log some examples for debugging
+    Object.entries(macToRoomMap)
+      .slice(0, 3)
+      .forEach(([mac, room]) => {
+        console.log(`   📍 MAC ${formatMacAddress(mac)} → Room ${room}`);
+      });
+
+    const mappingData = {
+      macToRoomMap,
+      roomToMacsMap,
+      macToRoleMap,
+      macTimelines,
+      originalMacFormats,
+    };
+
+    metersCache = mappingData;
+    cacheTimestamp = now;
+
+    return mappingData;
+  } catch (error) {
+    console.error("❌ Error fetching meters mapping:", error.message);
+    console.error("Stack trace:", error.stack);
+    return (
+      metersCache || {
+        macToRoomMap: {},
+        roomToMacsMap: {},
+        macToRoleMap: {},
+        macTimelines: {},
+        originalMacFormats: {},
+      }
+    );
+  }
+};
+
+// Drop the cached mapping so the next lookup sees a registry change
+const clearMetersCache = () => {
+  metersCache = null;
+  cacheTimestamp = null;
+};
+
+// Build InfluxDB query for energy consumption
+const buildInfluxQuery = (dateRange, macFilter, timePeriod = null) => {
+  let query = `
+    from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: ${dateRange.start}, stop: ${dateRange.stop})
+      |> filter(fn: (r) => r._measurement == "pzem")
+      |> filter(fn: (r) => r._field == "energy")
+  `;
+
+  // Add time period filter if specified
+  if (timePeriod) {
+    query += `
+      |> range(start: ${timePeriod.utcStart}, stop: ${timePeriod.utcEnd})
+    `;
+  }
+
+  // Add MAC address filter if specified
+  if (macFilter && macFilter.length > 0) {
+    const macAddresses = macFilter.map((mac) => `"${mac}"`).join(", ");
+    query += `
+      |> filter(fn: (r) => contains(value: r.mac_address, set: [${macAddresses}]))
+    `;
+  }
+
+  return query;
+};
+
+// Classify a counter discontinuity and return the kWh that must be added to
+// the plain last - first delta to get the sum of its monotonic segments
+const classifyCounterEvent = (event) => {
+  const previousReading = event.reading - event._value;
+
+  if (event._value > 0) {
+    // Implausible jump up, e.g. a replacement meter with a higher counter
+    return { type: "jump", previousReading, correction: -event._value };
+  }
+
+  if (
+    previousReading >= ENERGY_COUNTER_MAX * 0.9 &&
+    event.reading <= ENERGY_COUNTER_MAX * 0.1
+  ) {
+    return {
+      type: "rollover",
+      previousReading,
+      correction: ENERGY_COUNTER_MAX,
+    };
+  }
+
+  return { type: "reset", previousReading, correction: -event._value };
+};
+
+// Calculate energy consumption from InfluxDB results
+const calculateEnergyFromInfluxData = (
+  data,
+  mappingData,
+  room,
+  counterEvents = []
+) => {
+  let consumptionEnergy = 0;
+  let supplyEnergy = 0;
+  // Energy of the meters that are neither grid import nor rooms
+  const roleEnergy = { grid_export: 0, solar: 0, sub_meter: 0 };
+  const roomEnergy = {};
+  const resets = [];
+  const macs = { consumption: [], supply: [] };
+  // One room or a list of rooms; every room when empty
+  const rooms = room ? [].concat(room).map((r) => r.toString()) : null;
+
+  // Group counter discontinuities by MAC address
+  const eventGroups = {};
+  counterEvents.forEach((event) => {
+    const normalizedMac = normalizeMacAddress(event.mac_address);
+    if (normalizedMac) {
+      if (!eventGroups[normalizedMac]) {
+        eventGroups[normalizedMac] = [];
+      }
+      eventGroups[normalizedMac].push(event);
+    }
+  });
+
+  // Group data by MAC address
+  const macGroups = {};
+  data.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (normalizedMac) {
+      if (!macGroups[normalizedMac]) {
+        macGroups[normalizedMac] = [];
+      }
+      macGroups[normalizedMac].push(row);
+    }
+  });
+
+  console.log(
+    "📈 Processing energy data for MACs:",
+    Object.keys(macGroups).map((mac) => formatMacAddress(mac))
+  );
+
+  // Calculate energy delta for each MAC
+  Object.entries(macGroups).forEach(([normalizedMac, readings]) => {
+    if (readings.length < 2) {
+      console.log(
+        `⚠️ Insufficient readings for MAC ${formatMacAddress(normalizedMac)}: ${
+          readings.length
+        } readings`
+      );
+      return;
+    }
+
+    // Sort by time to get first and last readings
+    readings.sort((a, b) => new Date(a._time) - new Date(b._time));
+    const events = eventGroups[normalizedMac] || [];
+
+    // Split the readings into consecutive segments and credit each segment
+    // to the role and room the meter had over it, so a meter moved to another
+    // room only moves its energy from then on. The readings are only the
+    // window edges, so a move inside a segment splits it by time.
+    const shares = {};
+    for (let i = 1; i < readings.length; i++) {
+      const fromTime = new Date(readings[i - 1]._time);
+      const toTime = new Date(readings[i]._time);
+      let energyDelta = readings[i]._value - readings[i - 1]._value;
+
+      // Drop the discontinuities that fall inside the segment
+      events.forEach((event) => {
+        const eventTime = new Date(event._time);
+        if (eventTime <= fromTime || eventTime > toTime) return;
+
+        const { type, previousReading, correction } =
+          classifyCounterEvent(event);
+        energyDelta += correction;
+        resets.push({
+          mac: formatMacAddress(normalizedMac),
+          room: resolveMeterAt(mappingData, normalizedMac, event._time).room,
+          time: event._time,
+          type,
+          previousReading,
+          reading: event.reading,
+        });
+        console.log(
+          `🔁 Counter ${type} on MAC ${formatMacAddress(normalizedMac)} at ${
+            event._time
+          }: ${previousReading} → ${event.reading} kWh`
+        );
+      });
+
+      splitMeterStates(
+        mappingData,
+        normalizedMac,
+        readings[i - 1]._time,
+        readings[i]._time
+      ).forEach(({ share, ...state }) => {
+        const key = `${state.role}:${state.room}`;
+        if (!shares[key]) {
+          shares[key] = { role: state.role, room: state.room, energy: 0 };
+        }
+        shares[key].energy += energyDelta * share;
+      });
+    }
+
+    // Aggregate by the role of the meter
+    Object.values(shares).forEach(({ role, room: macRoom, energy }) => {
+      if (role === "grid_import") {
+        supplyEnergy += energy;
+        if (!macs.supply.includes(normalizedMac)) {
+          macs.supply.push(normalizedMac);
+        }
+        console.log(
+          `🔌 Supply energy from ${formatMacAddress(
+            normalizedMac
+          )}: ${energy} kWh`
+        );
+      } else if (roleEnergy.hasOwnProperty(role)) {
+        roleEnergy[role] += energy;
+        console.log(
+          `🔋 ${role} energy from ${formatMacAddress(
+            normalizedMac
+          )}: ${energy} kWh`
+        );
+      } else if (role === "room" && macRoom) {
+        // If specific rooms are requested, only count those rooms
+        if (rooms && !rooms.includes(macRoom)) return;
+
+        consumptionEnergy += energy;
+        roomEnergy[macRoom] = (roomEnergy[macRoom] || 0) + energy;
+        if (!macs.consumption.includes(normalizedMac)) {
+          macs.consumption.push(normalizedMac);
+        }
+        console.log(
+          `✅ Added consumption from MAC ${formatMacAddress(
+            normalizedMac
+          )} (room ${macRoom}): ${energy} kWh`
+        );
+      } else {
+        console.log(
+          `❌ MAC ${formatMacAddress(
+            normalizedMac
+          )} not found in meters mapping`
+        );
+      }
+    });
+  });
+
+  const result = {
+    consumption: Math.max(0, parseFloat(consumptionEnergy.toFixed(3))),
+    supply: Math.max(0, parseFloat(supplyEnergy.toFixed(3))),
+    gridExport: Math.max(0, parseFloat(roleEnergy.grid_export.toFixed(3))),
+    solar: Math.max(0, parseFloat(roleEnergy.solar.toFixed(3))),
+    subMeter: Math.max(0, parseFloat(roleEnergy.sub_meter.toFixed(3))),
+    rooms: Object.fromEntries(
+      Object.entries(roomEnergy).map(([roomId, energy]) => [
+        roomId,
+        Math.max(0, parseFloat(energy.toFixed(3))),
+      ])
+    ),
+    resets,
+    macs,
+  };
+
+  console.log("🎯 Energy calculation result:", result);
+  return result;
+};
+
+// Flux window that every bucket of the given unit can be assembled from.
+// Quarter-hour and hourly buckets use windows of their own size, everything
+// coarser uses local days; the offset aligns window edges with local
+// midnight (fixed-offset zones only).
+const BASE_WINDOW_MINUTES = { "15m": 15, hour: 60 };
+
+const getBaseWindow = (period) => {
+  const size = BASE_WINDOW_MINUTES[period] || 24 * 60;
+  const utcOffset = dayjs().tz(TIMEZONE).utcOffset();
+  return {
+    every: `${size}m`,
+    offset: `${((-utcOffset % size) + size) % size}m`,
+  };
+};
+
+// Key used to match a reading to the bucket that contains it
+const getBucketKey = (time, unit) =>
+  dayjs(time).tz(TIMEZONE).startOf(unit).utc().toISOString();
+
+// Flux statements that sum hourly consumption per time-of-use band and
+// base window, so bucket energy can be split between the band rates
+const buildBandQuery = (tariff, every, offset) => {
+  // Bands are whole hours, quarter-hour buckets need quarter-hour slices
+  const bandWindow = getBaseWindow(every === "15m" ? "15m" : "hour");
+  const utcOffsetNs = dayjs().tz(TIMEZONE).utcOffset() * 60 * 1e9;
+
+  return `
+    data
+      |> window(every: ${bandWindow.every}, offset: ${bandWindow.offset})
+      |> spread()
+      |> map(fn: (r) => {
+        local = time(v: int(v: r._start) + ${utcOffsetNs})
+        h = date.hour(t: local)
+        wd = date.weekDay(t: local)
+        return {r with _time: r._start, band: ${buildBandExpression(tariff)}}
+      })
+      |> drop(columns: ["_start", "_stop"])
+      |> group(columns: ["mac_address", "band"])
+      |> aggregateWindow(every: ${every}, offset: ${offset}, fn: sum, createEmpty: false, timeSrc: "_start")
+      |> group()
+      |> keep(columns: ["_time", "_value", "mac_address", "band"])
+      |> yield(name: "bands")
+  `;
+};
+
+// Fetch the first and last reading of every base window for the whole
+// range in one query. The first/last reading of each bucket is always among
+// them, so the per-bucket deltas are the same as querying each bucket on its
+// own. The same query also returns every counter drop or implausible jump
+// between consecutive readings, and the time-of-use band split if needed.
+const fetchEnergyRows = async (range, macFilter, period, tariff = null) => {
+  const { every, offset } = getBaseWindow(period);
+  const useBands = tariff && tariff.type === "tou";
+  const query = `
+    ${useBands ? 'import "date"' : ""}
+
+    data = ${buildInfluxQuery(range, macFilter).trim()}
+
+    windowed = data
+      |> window(every: ${every}, offset: ${offset})
+
+    union(tables: [windowed |> first(), windowed |> last()])
+      |> group()
+      |> keep(columns: ["_time", "_value", "mac_address"])
+      |> sort(columns: ["_time"])
+      |> yield(name: "edges")
+
+    data
+      |> duplicate(column: "_value", as: "reading")
+      |> difference(keepFirst: true)
+      |> elapsed(unit: 1s)
+      |> filter(fn: (r) =>
+        r._value < 0.0 or
+        r._value > float(v: r.elapsed) / 3600.0 * float(v: ${MAX_METER_POWER_KW})
+      )
+      |> group()
+      |> keep(columns: ["_time", "_value", "reading", "mac_address"])
+      |> sort(columns: ["_time"])
+      |> yield(name: "counterEvents")
+
+    data
+      |> elapsed(unit: 1s)
+      |> filter(fn: (r) => r.elapsed > ${HEALTH_GAP_MINUTES * 60})
+      |> group()
+      |> keep(columns: ["_time", "elapsed", "mac_address"])
+      |> yield(name: "gaps")
+
+    ${useBands ? buildBandQuery(tariff, every, offset) : ""}
+  `;
+
+  const rows = await queryApi.collectRows(query);
+  const edges = rows.filter((row) => row.result === "edges");
+  const counterEvents = rows.filter((row) => row.result === "counterEvents");
+  const bands = rows.filter((row) => row.result === "bands");
+  const gaps = rows.filter((row) => row.result === "gaps");
+  console.log(
+    `📊 Fetched ${edges.length} window edge readings, ${counterEvents.length} counter events`
+  );
+
+  return { edges, counterEvents, bands, gaps };
+};
+
+// Series a meter's energy counts towards at a given time for the requested
+// room(s), or null when it is not counted
+const getCountedSeries = (mappingData, normalizedMac, time, room) => {
+  const state = resolveMeterAt(mappingData, normalizedMac, time);
+  if (state.role === "grid_import") return "supply";
+  if (state.role !== "room" || !state.room) return null;
+  if (room && ![].concat(room).map(String).includes(state.room)) return null;
+  return "consumption";
+};
+
+// Share of a bucket covered by the readings of every counted meter. Edge
+// gaps up to a tenth of the bucket (at most the gap limit) are normal
+// reporting intervals and still count as covered; gaps between readings
+// inside the bucket (the gap rows ending in it) count as uncovered.
+const COMPLETE_COVERAGE = 0.95;
+
+const getBucketCoverage = (
+  timePeriod,
+  bucketRows,
+  bucketGaps,
+  expectedMacs,
+  now
+) => {
+  const start = Date.parse(timePeriod.utcStart);
+  const end = Math.min(Date.parse(timePeriod.utcEnd) + 1, now);
+  if (start >= now) return { coverage: null, status: "future" };
+  if (expectedMacs.length === 0) return { coverage: 0, status: "missing" };
+
+  const duration = end - start;
+  const tolerance = Math.min(duration / 10, HEALTH_GAP_MINUTES * 60 * 1000);
+  const spans = {};
+  bucketRows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    const time = Date.parse(row._time);
+    const span = spans[normalizedMac];
+    spans[normalizedMac] = span
+      ? { first: Math.min(span.first, time), last: Math.max(span.last, time) }
+      : { first: time, last: time };
+  });
+
+  const coverages = expectedMacs.map((normalizedMac) => {
+    const span = spans[normalizedMac];
+    if (!span) return 0;
+    const internal = bucketGaps
+      .filter((gap) => normalizeMacAddress(gap.mac_address) === normalizedMac)
+      .reduce((sum, gap) => {
+        const gapEnd = Math.min(Date.parse(gap._time), span.last);
+        const gapStart = Math.max(gapEnd - gap.elapsed * 1000, span.first);
+        return sum + Math.max(0, gapEnd - gapStart);
+      }, 0);
+    const uncovered =
+      Math.max(0, span.first - start - tolerance) +
+      Math.max(0, end - span.last - tolerance) +
+      internal;
+    return Math.max(0, 1 - uncovered / duration);
+  });
+
+  const status = coverages.every((coverage) => coverage === 0)
+    ? "missing"
+    : coverages.every((coverage) => coverage >= COMPLETE_COVERAGE)
+    ? "complete"
+    : "partial";
+  return {
+    coverage: parseFloat(
+      (
+        coverages.reduce((sum, coverage) => sum + coverage, 0) /
+        coverages.length
+      ).toFixed(3)
+    ),
+    status,
+  };
+};
+
+// Spread the energy between two readings on either side of a data gap over
+// the buckets the gap spans, in proportion to time. Readings in the same
+// bucket are already counted there, and drops or implausible jumps across
+// a gap cannot be split, so both are left alone.
+const interpolateGaps = (rows, timePeriods, mappingData, room) => {
+  const gapLimit = HEALTH_GAP_MINUTES * 60 * 1000;
+  const bounds = timePeriods.map((p) => ({
+    utcStart: p.utcStart,
+    start: Date.parse(p.utcStart),
+    end: Date.parse(p.utcEnd) + 1,
+  }));
+  const bucketOf = (time) =>
+    bounds.find((b) => time >= b.start && time < b.end);
+
+  const macGroups = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (!normalizedMac) return;
+    if (!macGroups[normalizedMac]) macGroups[normalizedMac] = [];
+    macGroups[normalizedMac].push(row);
+  });
+
+  const added = {};
+  Object.entries(macGroups).forEach(([normalizedMac, readings]) => {
+    readings.sort((a, b) => Date.parse(a._time) - Date.parse(b._time));
+
+    for (let i = 1; i < readings.length; i++) {
+      const from = Date.parse(readings[i - 1]._time);
+      const to = Date.parse(readings[i]._time);
+      const energy = readings[i]._value - readings[i - 1]._value;
+      if (to - from <= gapLimit || bucketOf(from) === bucketOf(to)) continue;
+      if (
+        energy <= 0 ||
+        energy > (MAX_METER_POWER_KW * (to - from)) / (3600 * 1000)
+      ) {
+        continue;
+      }
+
+      const series = getCountedSeries(
+        mappingData,
+        normalizedMac,
+        readings[i - 1]._time,
+        room
+      );
+      if (!series) continue;
+      const meterRoom = resolveMeterAt(
+        mappingData,
+        normalizedMac,
+        readings[i - 1]._time
+      ).room;
+
+      bounds.forEach((bucket) => {
+        const overlap = Math.min(to, bucket.end) - Math.max(from, bucket.start);
+        if (overlap <= 0) return;
+        if (!added[bucket.utcStart]) {
+          added[bucket.utcStart] = { consumption: 0, supply: 0, rooms: {} };
+        }
+        const share = (energy * overlap) / (to - from);
+        const bucketEnergy = added[bucket.utcStart];
+        bucketEnergy[series] += share;
+        if (series === "consumption") {
+          bucketEnergy.rooms[meterRoom] =
+            (bucketEnergy.rooms[meterRoom] || 0) + share;
+        }
+      });
+    }
+  });
+
+  return added;
+};
+
+// Site totals and the consumption of every room for each base window
+// (hour or local day) between start and stop, from a single query
+const getRoomBreakdown = async (range, period) => {
+  const mappingData = await getMetersMapping();
+  const rooms = Object.keys(
+    getRoomMacsInRange(mappingData, range.start, range.stop)
+  ).sort((a, b) => a - b);
+  const { edges, counterEvents } = await fetchEnergyRows(range, [], period);
+
+  const rowsByBucket = {};
+  const eventsByBucket = {};
+  const addToBucket = (buckets, row) => {
+    const key = getBucketKey(row._time, period);
+    if (!buckets[key]) {
+      buckets[key] = [];
+    }
+    buckets[key].push(row);
+  };
+  edges.forEach((row) => addToBucket(rowsByBucket, row));
+  counterEvents.forEach((row) => addToBucket(eventsByBucket, row));
+
+  return Object.keys(rowsByBucket)
+    .sort()
+    .map((utcStart) => {
+      const rows = rowsByBucket[utcStart];
+      const events = eventsByBucket[utcStart] || [];
+      // One pass over the whole site also gives every room's share
+      const {
+        consumption,
+        supply,
+        gridExport,
+        solar,
+        subMeter,
+        rooms: roomEnergy,
+        resets,
+      } = calculateEnergyFromInfluxData(rows, mappingData, null, events);
+
+      return {
+        utcStart,
+        site: { consumption, supply, gridExport, solar, subMeter },
+        counterResets: resets.length,
+        rooms: rooms.map((room) => ({
+          room,
+          consumption: roomEnergy[room] || 0,
+        })),
+      };
+    });
+};
+
+module.exports = {
+  TIMEZONE,
+  SUPPLY_MACS,
+  METER_ROLES,
+  ENERGY_COUNTER_MAX,
+  MAX_METER_POWER_KW,
+  HEALTH_GAP_MINUTES,
+  normalizeMacAddress,
+  formatMacAddress,
+  fetchMeterHistory,
+  resolveMeterRole,
+  resolveMeterAt,
+  splitMeterStates,
+  getRoomMacsInRange,
+  getMetersMapping,
+  clearMetersCache,
+  classifyCounterEvent,
+  calculateEnergyFromInfluxData,
+  getCountedSeries,
+  getBucketCoverage,
+  interpolateGaps,
+  fetchEnergyRows,
+  getRoomBreakdown,
+};
@@ -0,0 +1,9 @@
+// Number from an environment variable, or the fallback when it is unset or
+// not a number. 0 is a valid setting, so this is not `Number(value) || x`.
+const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") return fallback;
+  return Number.isFinite(Number(value)) ? Number(value) : fallback;
+};
+
+module.exports = { envNumber };
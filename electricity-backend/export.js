@@ -0,0 +1,180 @@
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const { zipSync, strToU8 } = require("fflate");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+
+// Columns of a chart view export: the bucket bounds in local time and UTC,
+// then every series the chart shows, each with its unit
+const buildExportColumns = (
+  buckets,
+  { showSupply = true, rooms = [], currency = null, comparison = false }
+) => {
+  const columns = [
+    { key: "bucket", label: "Bucket", unit: null },
+    { key: "localStart", label: "Local start", unit: null },
+    { key: "localEnd", label: "Local end", unit: null },
+    { key: "utcStart", label: "UTC start", unit: null },
+    { key: "utcEnd", label: "UTC end", unit: null },
+    { key: "consumption", label: "Consumption", unit: "kWh" },
+    ...rooms.map((room) => ({
+      key: `room:${room}`,
+      label: `Room ${room}`,
+      unit: "kWh",
+    })),
+  ];
+  if (showSupply) {
+    columns.push(
+      { key: "supply", label: "Grid supply", unit: "kWh" },
+      { key: "solar", label: "Solar", unit: "kWh" },
+      { key: "gridExport", label: "Grid export", unit: "kWh" }
+    );
+  }
+  if (comparison) {
+    columns.push({
+      key: "compareConsumption",
+      label: "Comparison consumption",
+      unit: "kWh",
+    });
+  }
+  if (currency && buckets.some((b) => b.consumptionCost !== undefined)) {
+    columns.push({
+      key: "consumptionCost",
+      label: "Consumption cost",
+      unit: currency,
+    });
+    if (showSupply) {
+      columns.push({ key: "supplyCost", label: "Supply cost", unit: currency });
+    }
+  }
+  columns.push(
+    { key: "coverage", label: "Coverage", unit: "%" },
+    { key: "status", label: "Status", unit: null }
+  );
+  return columns;
+};
+
+// One flat record per bucket, keyed like the columns
+const buildExportRecords = (buckets, tz) =>
+  buckets.map((bucket) => {
+    const record = {
+      bucket: bucket.timestamp,
+      localStart: dayjs(bucket.utcStart).tz(tz).format("YYYY-MM-DD HH:mm:ss"),
+      localEnd: dayjs(bucket.utcEnd).tz(tz).format("YYYY-MM-DD HH:mm:ss"),
+      utcStart: bucket.utcStart,
+      utcEnd: bucket.utcEnd,
+      consumption: bucket.consumption,
+      supply: bucket.supply,
+      solar: bucket.solar,
+      gridExport: bucket.gridExport,
+      compareConsumption: bucket.comparison?.consumption ?? null,
+      consumptionCost: bucket.consumptionCost ?? null,
+      supplyCost: bucket.supplyCost ?? null,
+      coverage:
+        bucket.coverage === undefined
+          ? null
+          : parseFloat((bucket.coverage * 100).toFixed(1)),
+      status: bucket.status || null,
+    };
+    (bucket.rooms || []).forEach((r) => {
+      record[`room:${r.room}`] = r.consumption;
+    });
+    return record;
+  });
+
+const columnHeader = (column) =>
+  column.unit ? `${column.label} (${column.unit})` : column.label;
+
+// A CSV field, quoted when needed. Text that a spreadsheet would read as a
+// formula gets a leading ' so it is shown rather than evaluated.
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(escapeCsv).join(",") + "\n";
+
+// Write the export as CSV one line at a time
+const writeExportCsv = (columns, records, stream) => {
+  stream.write(csvLine(columns.map(columnHeader)));
+  records.forEach((record) => {
+    stream.write(csvLine(columns.map((column) => record[column.key])));
+  });
+  stream.end();
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Spreadsheet column letters: A..Z, AA..
+const columnName = (index) =>
+  index < 26
+    ? String.fromCharCode(65 + index)
+    : columnName(Math.floor(index / 26) - 1) + columnName(index % 26);
+
+const xlsxCell = (value, ref) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+};
+
+// A single-sheet workbook with the header row frozen. Numbers stay numbers;
+// everything else is written as inline text, so no shared strings or styles
+// are needed.
+const buildExportXlsx = (columns, records, sheetName = "Energy") => {
+  const rows = [
+    columns.map(columnHeader),
+    ...records.map((record) => columns.map((column) => record[column.key])),
+  ]
+    .map(
+      (values, r) =>
+        `<row r="${r + 1}">${values
+          .map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`))
+          .join("")}</row>`
+    )
+    .join("");
+
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(
+      sheetName
+    )}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${rows}</sheetData></worksheet>`,
+  };
+
+  return Buffer.from(
+    zipSync(
+      Object.fromEntries(
+        Object.entries(files).map(([name, xml]) => [name, strToU8(xml)])
+      )
+    )
+  );
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCsv,
+  buildExportColumns,
+  buildExportRecords,
+  writeExportCsv,
+  buildExportXlsx,
+};
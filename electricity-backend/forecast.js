@@ -0,0 +1,125 @@
+// Consumption forecasts. Every model predicts a slot (an hour or a day) from
+// the same slot in earlier seasons, e.g. the same hour on earlier days.
+const FORECAST_MODELS = {
+  seasonal_naive: "Seasonal naive",
+  weighted_average: "Weighted average",
+};
+// Seasons the weighted average looks back, the latest weighing the most
+const WEIGHTED_SEASONS = Number(process.env.FORECAST_WEIGHTED_SEASONS) || 4;
+const CONFIDENCE_Z = 1.96; // 95% band, assuming normal errors
+
+// Prediction for series[index] from earlier seasons, or null without any
+// history. Slots without readings are null and skipped, so the seasonal
+// naive model uses the latest season that was measured.
+const predictAt = (model, series, index, season) => {
+  let weighted = 0;
+  let weights = 0;
+
+  for (let k = 1; index - k * season >= 0; k++) {
+    const past = series[index - k * season];
+    if (past === null || past === undefined) continue;
+    if (model === "seasonal_naive") return past;
+
+    const weight = WEIGHTED_SEASONS - k + 1;
+    if (weight <= 0) break;
+    weighted += past * weight;
+    weights += weight;
+  }
+
+  return weights > 0 ? weighted / weights : null;
+};
+
+// Predict the next `steps` slots of a series, feeding every prediction
+// back in so slots more than a season ahead still have a history
+const projectSeries = (model, series, steps, season) => {
+  const extended = [...series];
+  for (let h = 0; h < steps; h++) {
+    extended.push(predictAt(model, extended, extended.length, season) ?? 0);
+  }
+  return extended.slice(series.length);
+};
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+// Forecast the rooms one by one and add them up. rooms maps every room to
+// its chronological slot values (null where nothing was measured); the
+// forecast covers the `steps` slots that follow. When the first of them is
+// already under way, current holds the elapsed share of it and the kWh
+// every room used so far, and only the rest of the slot is predicted.
+//
+// The band comes from the error the model made on the history, widening
+// with every season further ahead.
+const forecastRooms = (rooms, steps, season, model, current = null) => {
+  const roomIds = Object.keys(rooms);
+  const length = roomIds.length > 0 ? rooms[roomIds[0]].length : 0;
+  const projected = Object.fromEntries(
+    roomIds.map((room) => [
+      room,
+      projectSeries(model, rooms[room], steps, season),
+    ])
+  );
+
+  // Backtest on the total, for slots where every room was measured
+  const errors = [];
+  for (let i = 0; i < length && roomIds.length > 0; i++) {
+    let actual = 0;
+    let predicted = 0;
+    const complete = roomIds.every((room) => {
+      const value = rooms[room][i];
+      const prediction = predictAt(model, rooms[room], i, season);
+      if (value === null || prediction === null) return false;
+      actual += value;
+      predicted += prediction;
+      return true;
+    });
+    if (complete) errors.push(actual - predicted);
+  }
+  const rmse =
+    errors.length > 0
+      ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length)
+      : null;
+  const mae =
+    errors.length > 0
+      ? errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length
+      : null;
+
+  const slots = Array.from({ length: steps }, (_, h) => {
+    // Only the rest of a slot that is under way is uncertain
+    const remaining = h === 0 && current ? 1 - current.elapsed : 1;
+    const roomValues = Object.fromEntries(
+      roomIds.map((room) => [
+        room,
+        round(
+          (h === 0 && current ? current.rooms[room] || 0 : 0) +
+            projected[room][h] * remaining
+        ),
+      ])
+    );
+    const value = Object.values(roomValues).reduce((sum, v) => sum + v, 0);
+    const spread =
+      rmse === null
+        ? null
+        : CONFIDENCE_Z *
+          rmse *
+          remaining *
+          Math.sqrt(Math.floor(h / season) + 1);
+
+    return {
+      consumption: round(value),
+      lower: spread === null ? null : round(Math.max(0, value - spread)),
+      upper: spread === null ? null : round(value + spread),
+      rooms: roomValues,
+    };
+  });
+
+  return {
+    slots,
+    error: {
+      mae: mae === null ? null : round(mae),
+      rmse: rmse === null ? null : round(rmse),
+      samples: errors.length,
+    },
+  };
+};
+
+module.exports = { FORECAST_MODELS, forecastRooms };
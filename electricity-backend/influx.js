@@ -0,0 +1,18 @@
+// InfluxDB client shared by the API server and the sync job
+const { InfluxDB } = require("@influxdata/influxdb-client");
+
+const influxDB = new InfluxDB({
+  url: process.env.INFLUX_URL,
+  token: process.env.INFLUX_TOKEN,
+});
+
+const queryApi = influxDB.getQueryApi(process.env.INFLUX_ORG);
+const INFLUX_BUCKET_PZEM = process.env.INFLUX_BUCKET_PZEM;
+const INFLUX_BUCKET_METERS = process.env.INFLUX_BUCKET_METERS;
+
+module.exports = {
+  influxDB,
+  queryApi,
+  INFLUX_BUCKET_PZEM,
+  INFLUX_BUCKET_METERS,
+};
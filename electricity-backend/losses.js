@@ -0,0 +1,123 @@
+const { envNumber } = require("./env");
+
+// Default loss thresholds, overridable per request
+const DEFAULT_LOSS_THRESHOLDS = {
+  // Flag buckets losing more than this share of the grid supply
+  maxLossPercent: envNumber("LOSS_MAX_PERCENT", 15),
+  // Flag buckets where rooms report more than the supply by this share
+  minLossPercent: envNumber("LOSS_MIN_PERCENT", -5),
+  // Flag buckets whose loss exceeds the median loss of the range this often
+  spikeFactor: envNumber("LOSS_SPIKE_FACTOR", 2),
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Parse threshold overrides from query parameters, keeping the defaults for
+// anything missing and throwing on values that are not numbers
+const parseLossThresholds = (query) => {
+  const thresholds = { ...DEFAULT_LOSS_THRESHOLDS };
+  Object.keys(DEFAULT_LOSS_THRESHOLDS).forEach((key) => {
+    if (query[key] === undefined) return;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid ${key}: ${query[key]}`);
+    }
+    thresholds[key] = value;
+  });
+  return thresholds;
+};
+
+// Energy available to the site: grid import plus solar minus export
+const getAvailableEnergy = (bucket) =>
+  bucket.supply + (bucket.solar || 0) - (bucket.gridExport || 0);
+
+// Compare the available energy with the sum of metered rooms for every
+// bucket and flag the buckets that break one of the thresholds
+const analyzeLosses = (buckets, thresholds = DEFAULT_LOSS_THRESHOLDS) => {
+  const losses = buckets.map(
+    (bucket) => getAvailableEnergy(bucket) - bucket.consumption
+  );
+  const typicalLoss = median(losses.filter((loss) => loss > 0));
+
+  const data = buckets.map((bucket, i) => {
+    const loss = losses[i];
+    const available = getAvailableEnergy(bucket);
+    const lossPercent = available > 0 ? (loss / available) * 100 : null;
+    const reasons = [];
+
+    if (available <= 0 && bucket.consumption > 0) {
+      reasons.push("Rooms consumed energy but the supply meter reported none");
+    } else if (lossPercent !== null) {
+      if (lossPercent > thresholds.maxLossPercent) {
+        reasons.push(
+          `Loss ${lossPercent.toFixed(1)}% above ${
+            thresholds.maxLossPercent
+          }% of supply`
+        );
+      }
+      if (lossPercent < thresholds.minLossPercent) {
+        reasons.push(
+          `Rooms exceed supply by ${(-lossPercent).toFixed(
+            1
+          )}% (limit ${-thresholds.minLossPercent}%)`
+        );
+      }
+    }
+    if (typicalLoss > 0 && loss > typicalLoss * thresholds.spikeFactor) {
+      reasons.push(
+        `Loss spike: ${loss.toFixed(3)} kWh is over ${
+          thresholds.spikeFactor
+        }× the typical ${typicalLoss.toFixed(3)} kWh`
+      );
+    }
+
+    return {
+      timestamp: bucket.timestamp,
+      fullTimestamp: bucket.fullTimestamp,
+      period: bucket.period,
+      utcStart: bucket.utcStart,
+      utcEnd: bucket.utcEnd,
+      supply: bucket.supply,
+      available: parseFloat(available.toFixed(3)),
+      consumption: bucket.consumption,
+      loss: parseFloat(loss.toFixed(3)),
+      lossPercent:
+        lossPercent === null ? null : parseFloat(lossPercent.toFixed(2)),
+      flagged: reasons.length > 0,
+      reasons,
+    };
+  });
+
+  const totalSupply = buckets.reduce(
+    (sum, b) => sum + getAvailableEnergy(b),
+    0
+  );
+  const totalLoss = losses.reduce((sum, loss) => sum + loss, 0);
+
+  return {
+    data,
+    summary: {
+      supply: parseFloat(totalSupply.toFixed(3)),
+      loss: parseFloat(totalLoss.toFixed(3)),
+      lossPercent:
+        totalSupply > 0
+          ? parseFloat(((totalLoss / totalSupply) * 100).toFixed(2))
+          : null,
+      typicalLoss: parseFloat(typicalLoss.toFixed(3)),
+      flaggedCount: data.filter((d) => d.flagged).length,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_LOSS_THRESHOLDS,
+  parseLossThresholds,
+  analyzeLosses,
+};
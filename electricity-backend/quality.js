@@ -0,0 +1,158 @@
+const { envNumber } = require("./env");
+
+// Default power quality limits, overridable per request. Voltage is held to
+// ±10% of the 220 V mains and frequency to ±0.5 Hz of 50 Hz.
+const DEFAULT_QUALITY_LIMITS = {
+  minVoltage: envNumber("QUALITY_MIN_VOLTAGE", 198),
+  maxVoltage: envNumber("QUALITY_MAX_VOLTAGE", 242),
+  minPowerFactor: envNumber("QUALITY_MIN_POWER_FACTOR", 0.85),
+  minFrequency: envNumber("QUALITY_MIN_FREQUENCY", 49.5),
+  maxFrequency: envNumber("QUALITY_MAX_FREQUENCY", 50.5),
+};
+// The power factor of an idle meter means nothing, so it is only judged
+// while the meter carries at least this load
+const LOADED_POWER_WATTS = envNumber("QUALITY_LOADED_WATTS", 20);
+
+const EVENT_TYPES = {
+  sag: {
+    applies: (w, limits) => w.voltageMin < limits.minVoltage,
+    extreme: (w) => w.voltageMin,
+    worse: Math.min,
+  },
+  swell: {
+    applies: (w, limits) => w.voltageMax > limits.maxVoltage,
+    extreme: (w) => w.voltageMax,
+    worse: Math.max,
+  },
+  low_frequency: {
+    applies: (w, limits) => w.frequencyMin < limits.minFrequency,
+    extreme: (w) => w.frequencyMin,
+    worse: Math.min,
+  },
+  high_frequency: {
+    applies: (w, limits) => w.frequencyMax > limits.maxFrequency,
+    extreme: (w) => w.frequencyMax,
+    worse: Math.max,
+  },
+};
+
+// Parse limit overrides from query parameters, keeping the defaults for
+// anything missing and throwing on values that are not numbers
+const parseQualityLimits = (query) => {
+  const limits = { ...DEFAULT_QUALITY_LIMITS };
+  Object.keys(DEFAULT_QUALITY_LIMITS).forEach((key) => {
+    if (query[key] === undefined) return;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid ${key}: ${query[key]}`);
+    }
+    limits[key] = value;
+  });
+  if (limits.minVoltage >= limits.maxVoltage) {
+    throw new Error("minVoltage must be below maxVoltage");
+  }
+  if (limits.minFrequency >= limits.maxFrequency) {
+    throw new Error("minFrequency must be below maxFrequency");
+  }
+  return limits;
+};
+
+const round = (value, digits = 2) =>
+  value === null ? null : parseFloat(value.toFixed(digits));
+
+const stats = (values) => {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (present.length === 0) return { min: null, avg: null, max: null };
+  return {
+    min: round(Math.min(...present)),
+    avg: round(present.reduce((sum, v) => sum + v, 0) / present.length),
+    max: round(Math.max(...present)),
+  };
+};
+
+// Events of one meter from its windows (sorted by time). Neighbouring
+// windows beyond a limit form one event; a window without readings ends
+// it. Events are as fine as the windows, so a short sag counts for the
+// whole window it falls in.
+const findQualityEvents = (windows, limits, windowMinutes) => {
+  const events = [];
+  const windowMs = windowMinutes * 60 * 1000;
+
+  Object.entries(EVENT_TYPES).forEach(([type, { applies, extreme, worse }]) => {
+    let open = null;
+    windows.forEach((w) => {
+      const value = extreme(w);
+      const start = Date.parse(w.time);
+      if (value === null || value === undefined || !applies(w, limits)) {
+        open = null;
+        return;
+      }
+      if (open && start === open.endMs) {
+        open.endMs = start + windowMs;
+        open.extreme = worse(open.extreme, value);
+        return;
+      }
+      open = { type, startMs: start, endMs: start + windowMs, extreme: value };
+      events.push(open);
+    });
+  });
+
+  return events
+    .map(({ type, startMs, endMs, extreme }) => ({
+      type,
+      start: new Date(startMs).toISOString(),
+      end: new Date(endMs).toISOString(),
+      minutes: (endMs - startMs) / 60000,
+      extreme: round(extreme),
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+// Voltage, frequency and power factor statistics of one meter, with the
+// time it spent loaded and the part of it below the power factor limit
+const summarizeQuality = (windows, limits, windowMinutes) => {
+  const loaded = windows.filter(
+    (w) => w.power !== null && w.power >= LOADED_POWER_WATTS
+  );
+  const lowPowerFactor = loaded.filter(
+    (w) => w.powerFactor !== null && w.powerFactor < limits.minPowerFactor
+  );
+  const events = findQualityEvents(windows, limits, windowMinutes);
+
+  return {
+    windows: windows.length,
+    voltage: {
+      min: stats(windows.map((w) => w.voltageMin)).min,
+      avg: stats(windows.map((w) => w.voltage)).avg,
+      max: stats(windows.map((w) => w.voltageMax)).max,
+    },
+    frequency: {
+      min: stats(windows.map((w) => w.frequencyMin)).min,
+      avg: stats(windows.map((w) => w.frequency)).avg,
+      max: stats(windows.map((w) => w.frequencyMax)).max,
+    },
+    powerFactor: {
+      avg: stats(loaded.map((w) => w.powerFactor)).avg,
+      loadedMinutes: loaded.length * windowMinutes,
+      lowMinutes: lowPowerFactor.length * windowMinutes,
+      lowShare:
+        loaded.length > 0
+          ? round((lowPowerFactor.length / loaded.length) * 100)
+          : null,
+    },
+    eventCounts: Object.fromEntries(
+      Object.keys(EVENT_TYPES).map((type) => [
+        type,
+        events.filter((event) => event.type === type).length,
+      ])
+    ),
+    events,
+  };
+};
+
+module.exports = {
+  DEFAULT_QUALITY_LIMITS,
+  EVENT_TYPES,
+  parseQualityLimits,
+  summarizeQuality,
+};
@@ -1,10 +1,99 @@
 require("dotenv").config();
 const express = require("express");
-const { InfluxDB, Point } = require("@influxdata/influxdb-client");
+const { Point } = require("@influxdata/influxdb-client");
 const cors = require("cors");
 const dayjs = require("dayjs");
 const utc = require("dayjs/plugin/utc");
 const timezone = require("dayjs/plugin/timezone");
+const {
+  loadTariffConfig,
+  saveTariffConfig,
+  getTariff,
+  calculateEnergyCost,
+  calculateFixedCharge,
+  getBandAt,
+} = require("./tariffs");
+const {
+  influxDB,
+  queryApi,
+  INFLUX_BUCKET_PZEM,
+  INFLUX_BUCKET_METERS,
+} = require("./influx");
+const {
+  TIMEZONE,
+  SUPPLY_MACS,
+  METER_ROLES,
+  MAX_METER_POWER_KW,
+  HEALTH_GAP_MINUTES,
+  normalizeMacAddress,
+  formatMacAddress,
+  fetchMeterHistory,
+  resolveMeterRole,
+  resolveMeterAt,
+  getRoomMacsInRange,
+  getMetersMapping,
+  clearMetersCache,
+  calculateEnergyFromInfluxData,
+  getCountedSeries,
+  getBucketCoverage,
+  interpolateGaps,
+  fetchEnergyRows,
+  getRoomBreakdown,
+} = require("./energy");
+const {
+  LOSS_SPLITS,
+  buildBill,
+  withoutSiteTotals,
+  billToCsv,
+  billToHtml,
+  writeBillPdf,
+} = require("./billing");
+const { parseLossThresholds, analyzeLosses } = require("./losses");
+const { FORECAST_MODELS, forecastRooms } = require("./forecast");
+const { parseStandbyPercentile, analyzeStandby } = require("./standby");
+const {
+  EVENT_TYPES,
+  parseQualityLimits,
+  summarizeQuality,
+} = require("./quality");
+const {
+  DEMAND_STEP_MINUTES,
+  parseDemandWindow,
+  parseDemandSource,
+  rollingDemand,
+  findDemandPeaks,
+  formatPeak,
+} = require("./demand");
+const {
+  EXPORT_FORMATS,
+  buildExportColumns,
+  buildExportRecords,
+  writeExportCsv,
+  buildExportXlsx,
+} = require("./export");
+const {
+  loadAlertConfig,
+  saveAlertConfig,
+  redactAlertConfig,
+  readAlertHistory,
+  getActiveAlerts,
+  processAlertResults,
+  pruneActiveAlerts,
+} = require("./alerts");
+const {
+  ROLES,
+  loadUsers,
+  describeUser,
+  findUser,
+  authenticateUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdminUser,
+  signToken,
+  verifyToken,
+} = require("./auth");
+const { envNumber } = require("./env");
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -13,8 +102,37 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Configuration constants
-const TIMEZONE = "Asia/Shanghai"; // UTC+8
-const SUPPLY_MAC_NORMALIZED = "08:f9:e0:73:64:db";
+// Instantaneous PZEM fields served by the live endpoints
+const LIVE_FIELDS = ["voltage", "current", "power", "pf", "frequency"];
+const LIVE_LOOKBACK = "-15m"; // Meters silent for longer are left out
+const LIVE_INTERVAL = 5000; // 5 seconds between pushed updates
+const PERIODS = ["hour", "day", "month", "year"];
+// Bucket sizes of custom start/end ranges
+const CUSTOM_BUCKETS = {
+  "15m": { unit: "minute", step: 15, format: "MMM DD HH:mm" },
+  hour: { unit: "hour", step: 1, format: "MMM DD HH:00" },
+  day: { unit: "day", step: 1, format: "MMM DD" },
+  week: { unit: "week", step: 1, format: "MMM DD YYYY" },
+  month: { unit: "month", step: 1, format: "MMM DD YYYY" },
+};
+const MAX_BUCKETS = envNumber("MAX_BUCKETS", 1000);
+// Meter health: meters silent for longer are offline
+const HEALTH_OFFLINE_MINUTES = 15;
+const HEALTH_MAX_HOURS = 7 * 24;
+// A counter that does not move while the meter draws more is stuck
+const STUCK_POWER_WATTS = 5;
+const ALERT_INTERVAL = envNumber("ALERT_INTERVAL_MINUTES", 5) * 60 * 1000;
+// How far back silent meters are looked up, at least twice their limit
+const ALERT_SILENT_LOOKBACK_MINUTES = 24 * 60;
+// Analyses that work on hourly readings cap their window
+const HOURLY_ANALYSIS_MAX_DAYS = 92;
+const HEATMAP_STATS = ["average", "total"];
+// Power quality windows per meter, whatever the length of the range
+const QUALITY_POINTS = 480;
+// Raw readings are served in pages over a bounded range
+const READINGS_PAGE_SIZE = 100;
+const READINGS_MAX_PAGE = 1000;
+const READINGS_MAX_DAYS = 31;
 
 // CORS configuration
 app.use(
@@ -32,21 +150,13 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    // Downloads are fetched by script and named from this header
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 
 app.use(express.json());
 
-// InfluxDB client configuration
-const influxDB = new InfluxDB({
-  url: process.env.INFLUX_URL,
-  token: process.env.INFLUX_TOKEN,
-});
-
-const queryApi = influxDB.getQueryApi(process.env.INFLUX_ORG);
-const INFLUX_BUCKET_PZEM = process.env.INFLUX_BUCKET_PZEM;
-const INFLUX_BUCKET_METERS = process.env.INFLUX_BUCKET_METERS;
-
 // Test InfluxDB connection on startup
 (async () => {
   try {
@@ -68,112 +178,140 @@ app.get("/api/health", (req, res) => {
   res.status(200).json({ status: "ok", message: "Server is healthy" });
 });
 
-// Helper functions
-const normalizeMacAddress = (mac) => {
-  if (!mac) return null;
-  // Remove colons, spaces, hyphens and convert to lowercase for comparison
-  return mac.replace(/[:\s-]/g, "").toLowerCase();
-};
-
-// Function to convert normalized MAC back to colon format
-const formatMacAddress = (normalizedMac) => {
-  if (!normalizedMac || normalizedMac.length !== 12) return normalizedMac;
-  return normalizedMac.replace(/(.{2})/g, "$1:").slice(0, -1);
-};
-
-// Cache for meters mapping to avoid repeated queries
-let metersCache = null;
-let cacheTimestamp = null;
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
-const getMetersMapping = async () => {
-  const now = Date.now();
-
-  if (metersCache && cacheTimestamp && now - cacheTimestamp < CACHE_DURATION) {
-    console.log("📋 Using cached meters mapping");
-    return metersCache;
+// Sign in with a local user, answering a bearer token for the other endpoints
+app.post("/api/auth/login", (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = authenticateUser(username, password);
+    if (!user) {
+      console.warn("🔒 Failed login for:", username);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error("❌ Error signing in:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to sign in", details: error.message });
   }
+});
 
+// Every other endpoint needs a signed-in user. The token is only taken from
+// the Authorization header, never from the URL where it would end up in
+// history and logs.
+app.use("/api", (req, res, next) => {
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice("Bearer ".length)
+    : null;
+  const username = verifyToken(token);
+  let user = null;
   try {
-    console.log("🔍 Fetching meters mapping from InfluxDB...");
+    user = username ? findUser(username) : null;
+  } catch (error) {
+    console.error("❌ Error loading users:", error.message);
+    return res.status(500).json({
+      error: "Failed to load users",
+      details: error.message,
+    });
+  }
+  if (!user) {
+    return res.status(401).json({ error: "Sign in required" });
+  }
+  req.user = describeUser(user);
+  next();
+});
 
-    // Query to get all meter_mac and room_id combinations
-    const query = `
-      from(bucket: "${INFLUX_BUCKET_METERS}")
-        |> range(start: 0)
-        |> filter(fn: (r) => r._measurement == "meters")
-        |> filter(fn: (r) => r._field == "room_id")
-        |> keep(columns: ["meter_mac", "_value", "_time"])
-        |> group(columns: ["meter_mac"])
-        |> last()
-        |> rename(columns: {_value: "room_id"})
-    `;
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ error: `Only ${roles.join(" or ")} users can do this` });
+    }
+    next();
+  };
 
-    const rows = await queryApi.collectRows(query);
-    console.log("📊 Raw meters mapping data:", rows.length, "records");
+const requireAdmin = requireRole("admin");
+const requireManager = requireRole("admin", "manager");
 
-    const macToRoomMap = {};
-    const roomToMacsMap = {};
-    const originalMacFormats = {}; // Store original formats for InfluxDB queries
+// Rooms a user may see, or null for every room
+const getUserRooms = (user) => (user.role === "tenant" ? user.rooms : null);
 
-    rows.forEach((row) => {
-      if (row.meter_mac && row.room_id !== undefined) {
-        const originalMac = row.meter_mac;
-        const normalizedMac = normalizeMacAddress(originalMac);
-        const roomId = row.room_id.toString();
-
-        if (normalizedMac) {
-          macToRoomMap[normalizedMac] = roomId;
-          originalMacFormats[normalizedMac] = originalMac;
-
-          // Also create reverse mapping for easier lookup
-          if (!roomToMacsMap[roomId]) {
-            roomToMacsMap[roomId] = [];
-          }
-          roomToMacsMap[roomId].push({
-            normalized: normalizedMac,
-            original: originalMac,
-          });
-        }
-      }
-    });
+// Keep tenants to their own rooms: asking for another room is refused, and
+// asking for no room in particular selects all of theirs
+const scopeRooms = (req, res, next) => {
+  const userRooms = getUserRooms(req.user);
+  if (!userRooms) return next();
 
-    console.log(
-      "🗂️ Processed MAC to Room mapping:",
-      Object.keys(macToRoomMap).length,
-      "entries"
-    );
-    console.log("🗂️ Available rooms:", Object.keys(roomToMacsMap));
+  const requested = parseRoomList(req.query.room);
+  const foreign = requested.filter((room) => !userRooms.includes(room));
+  if (foreign.length > 0) {
+    return res
+      .status(403)
+      .json({ error: `No access to room ${foreign.join(", ")}` });
+  }
+  if (requested.length === 0) {
+    const [pathname, search = ""] = req.url.split("?");
+    const params = new URLSearchParams(search);
+    params.set("room", userRooms.join(","));
+    req.url = `${pathname}?${params}`;
+  }
+  next();
+};
 
-    // Log some examples for debugging
-    Object.entries(macToRoomMap)
-      .slice(0, 3)
-      .forEach(([mac, room]) => {
-        console.log(`   📍 MAC ${formatMacAddress(mac)} → Room ${room}`);
-      });
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
 
-    const mappingData = {
-      macToRoomMap,
-      roomToMacsMap,
-      originalMacFormats,
-    };
+// Local users, for admins
+app.get("/api/users", requireAdmin, (req, res) => {
+  try {
+    res.json({ users: loadUsers().users.map(describeUser), roles: ROLES });
+  } catch (error) {
+    console.error("❌ Error loading users:", error.message);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+app.post("/api/users", requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(createUser(req.body || {}));
+  } catch (error) {
+    console.error("❌ Error creating user:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    metersCache = mappingData;
-    cacheTimestamp = now;
+app.put("/api/users/:username", requireAdmin, (req, res) => {
+  try {
+    const user = updateUser(req.params.username, req.body || {});
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: `Unknown user: ${req.params.username}` });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error("❌ Error updating user:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    return mappingData;
+app.delete("/api/users/:username", requireAdmin, (req, res) => {
+  try {
+    if (!deleteUser(req.params.username)) {
+      return res
+        .status(404)
+        .json({ error: `Unknown user: ${req.params.username}` });
+    }
+    res.status(204).end();
   } catch (error) {
-    console.error("❌ Error fetching meters mapping:", error.message);
-    console.error("Stack trace:", error.stack);
-    return (
-      metersCache || {
-        macToRoomMap: {},
-        roomToMacsMap: {},
-        originalMacFormats: {},
-      }
-    );
+    console.error("❌ Error deleting user:", error.message);
+    res.status(400).json({ error: error.message });
   }
-};
+});
 
 // Optimized date range builder - converts local periods to UTC ranges
 const buildDateRangeQuery = (period, date) => {
@@ -206,130 +344,37 @@ const buildDateRangeQuery = (period, date) => {
   return ranges[period] || ranges.hour;
 };
 
-// Build InfluxDB query for energy consumption
-const buildInfluxQuery = (dateRange, macFilter, timePeriod = null) => {
-  let query = `
-    from(bucket: "${INFLUX_BUCKET_PZEM}")
-      |> range(start: ${dateRange.start}, stop: ${dateRange.stop})
-      |> filter(fn: (r) => r._measurement == "pzem")
-      |> filter(fn: (r) => r._field == "energy")
-  `;
-
-  // Add time period filter if specified
-  if (timePeriod) {
-    query += `
-      |> range(start: ${timePeriod.utcStart}, stop: ${timePeriod.utcEnd})
-    `;
-  }
-
-  // Add MAC address filter if specified
-  if (macFilter && macFilter.length > 0) {
-    const macAddresses = macFilter.map((mac) => `"${mac}"`).join(", ");
-    query += `
-      |> filter(fn: (r) => contains(value: r.mac_address, set: [${macAddresses}]))
-    `;
-  }
-
-  return query;
-};
-
-// Calculate energy consumption from InfluxDB results
-const calculateEnergyFromInfluxData = (data, mappingData, room) => {
-  let consumptionEnergy = 0;
-  let supplyEnergy = 0;
-
-  const { macToRoomMap } = mappingData;
-
-  // Group data by MAC address
-  const macGroups = {};
-  data.forEach((row) => {
-    const normalizedMac = normalizeMacAddress(row.mac_address);
-    if (normalizedMac) {
-      if (!macGroups[normalizedMac]) {
-        macGroups[normalizedMac] = [];
-      }
-      macGroups[normalizedMac].push(row);
-    }
-  });
-
-  console.log(
-    "📈 Processing energy data for MACs:",
-    Object.keys(macGroups).map((mac) => formatMacAddress(mac))
-  );
-
-  // Calculate energy delta for each MAC
-  Object.entries(macGroups).forEach(([normalizedMac, readings]) => {
-    if (readings.length < 2) {
-      console.log(
-        `⚠️ Insufficient readings for MAC ${formatMacAddress(normalizedMac)}: ${
-          readings.length
-        } readings`
-      );
-      return;
-    }
-
-    // Sort by time to get first and last readings
-    readings.sort((a, b) => new Date(a._time) - new Date(b._time));
-    const firstReading = readings[0];
-    const lastReading = readings[readings.length - 1];
-
-    const energyDelta = lastReading._value - firstReading._value;
-
-    // Check if this is the supply meter
-    const normalizedSupplyMac = normalizeMacAddress(SUPPLY_MAC_NORMALIZED);
-    if (normalizedMac === normalizedSupplyMac) {
-      supplyEnergy += energyDelta;
-      console.log(
-        `🔌 Supply energy from ${formatMacAddress(
-          normalizedMac
-        )}: ${energyDelta} kWh`
-      );
-    } else if (room) {
-      // If a specific room is requested
-      const macRoom = macToRoomMap[normalizedMac];
-      console.log(
-        `🏠 MAC ${formatMacAddress(
-          normalizedMac
-        )} belongs to room ${macRoom}, requested room: ${room}`
-      );
-
-      if (macRoom && macRoom.toString() === room.toString()) {
-        consumptionEnergy += energyDelta;
-        console.log(
-          `✅ Added consumption from room ${room}: ${energyDelta} kWh`
-        );
-      }
-    } else {
-      // For all rooms: only sum MACs that are in meters table
-      if (macToRoomMap.hasOwnProperty(normalizedMac)) {
-        consumptionEnergy += energyDelta;
-        console.log(
-          `✅ Added consumption from MAC ${formatMacAddress(
-            normalizedMac
-          )} (room ${macToRoomMap[normalizedMac]}): ${energyDelta} kWh`
-        );
-      } else {
-        console.log(
-          `❌ MAC ${formatMacAddress(
-            normalizedMac
-          )} not found in meters mapping`
-        );
-      }
-    }
-  });
-
-  const result = {
-    consumption: Math.max(0, parseFloat(consumptionEnergy.toFixed(3))),
-    supply: Math.max(0, parseFloat(supplyEnergy.toFixed(3))),
-  };
-
-  console.log("🎯 Energy calculation result:", result);
-  return result;
-};
-
 // Generic function to get time periods - properly handles local to UTC conversion
 const getTimePeriods = (period, dateRange, inputDate) => {
   const periods = [];
+
+  // Custom ranges are cut into buckets counted from the range start, so a
+  // billing cycle from the 15th gets months from the 15th to the 14th
+  if (dateRange && dateRange.custom) {
+    const { unit, step, format } = CUSTOM_BUCKETS[dateRange.bucket];
+    const rangeStart = dayjs(dateRange.start).tz(TIMEZONE);
+    const rangeEnd = dayjs(dateRange.stop).tz(TIMEZONE);
+
+    for (let i = 0; ; i++) {
+      const current = rangeStart.add(i * step, unit);
+      if (!current.isBefore(rangeEnd)) break;
+      const next = rangeStart.add((i + 1) * step, unit);
+      const end = next.isBefore(rangeEnd)
+        ? next.subtract(1, "millisecond")
+        : rangeEnd;
+
+      periods.push({
+        local: current,
+        utcStart: current.utc().toISOString(),
+        utcEnd: end.utc().toISOString(),
+        timestamp: current.format(format),
+        fullTimestamp: current.toDate(),
+        period: i,
+      });
+    }
+    return periods;
+  }
+
   const localInputDate = dayjs.tz(inputDate, TIMEZONE);
 
   const configs = {
@@ -390,6 +435,274 @@ const getTimePeriods = (period, dateRange, inputDate) => {
   return periods;
 };
 
+// Bucket size that keeps a custom range of the given length readable
+const pickBucket = (days) => {
+  if (days <= 1) return "15m";
+  if (days <= 7) return "hour";
+  if (days <= 92) return "day";
+  if (days <= 366) return "week";
+  return "month";
+};
+
+// Resolve the time range of a request: a period anchored to a date, or
+// custom start and end dates (inclusive, local time) with a bucket size that
+// is picked from the length of the range unless one is given. Throws on
+// invalid input.
+const parseRangeQuery = (query) => {
+  const { start, end, bucket } = query;
+
+  if (start !== undefined || end !== undefined) {
+    // dayjs rolls 2025-02-30 over into March, so it has to format back
+    const isDate = (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value || "") &&
+      dayjs(value).format("YYYY-MM-DD") === value;
+    if (!isDate(start) || !isDate(end)) {
+      throw new Error("start and end are required as YYYY-MM-DD.");
+    }
+
+    const localStart = dayjs.tz(start, TIMEZONE).startOf("day");
+    const localEnd = dayjs.tz(end, TIMEZONE).endOf("day");
+    if (localEnd.isBefore(localStart)) {
+      throw new Error("end must not be before start.");
+    }
+
+    const size = bucket || pickBucket(localEnd.diff(localStart, "day") + 1);
+    if (!CUSTOM_BUCKETS[size]) {
+      throw new Error(
+        `Invalid bucket. Use: ${Object.keys(CUSTOM_BUCKETS).join(", ")}`
+      );
+    }
+    const { unit, step } = CUSTOM_BUCKETS[size];
+    const bucketCount = Math.ceil((localEnd.diff(localStart, unit) + 1) / step);
+    if (bucketCount > MAX_BUCKETS) {
+      throw new Error(
+        `The range has ${bucketCount} ${size} buckets, the limit is ${MAX_BUCKETS}. Use a larger bucket.`
+      );
+    }
+
+    return {
+      period: size,
+      date: start,
+      custom: { start, end, bucket: size },
+      dateRange: {
+        start: localStart.utc().toISOString(),
+        stop: localEnd.utc().toISOString(),
+        bucket: size,
+        custom: true,
+      },
+    };
+  }
+
+  const { period = "hour", date = dayjs().tz(TIMEZONE).format("YYYY-MM-DD") } =
+    query;
+  if (!PERIODS.includes(period)) {
+    throw new Error("Invalid period. Use: hour, day, month, or year");
+  }
+  if (!dayjs(date).isValid()) {
+    throw new Error("Invalid date format. Use YYYY-MM-DD.");
+  }
+
+  return {
+    period,
+    date,
+    custom: null,
+    dateRange: buildDateRangeQuery(period, date),
+  };
+};
+
+const COMPARISONS = ["previous", "year"];
+// What "previous" means for each period view
+const PREVIOUS_UNITS = {
+  hour: "day",
+  day: "month",
+  month: "year",
+  year: "year",
+};
+
+// Range a request is compared with and how far it is shifted: the previous
+// range of the same length, or the same range one year earlier. Custom
+// ranges keep their bucket size so the buckets line up one to one.
+const getComparisonRange = (range, compare) => {
+  if (range.custom) {
+    const { start, end, bucket } = range.custom;
+    const localStart = dayjs.tz(start, TIMEZONE);
+    const shift =
+      compare === "year"
+        ? { amount: 1, unit: "year" }
+        : {
+            amount: dayjs.tz(end, TIMEZONE).diff(localStart, "day") + 1,
+            unit: "day",
+          };
+    const shiftDate = (date) =>
+      dayjs
+        .tz(date, TIMEZONE)
+        .subtract(shift.amount, shift.unit)
+        .format("YYYY-MM-DD");
+
+    return {
+      shift,
+      range: parseRangeQuery({
+        start: shiftDate(start),
+        end: shiftDate(end),
+        bucket,
+      }),
+    };
+  }
+
+  const shift = {
+    amount: 1,
+    unit: compare === "year" ? "year" : PREVIOUS_UNITS[range.period],
+  };
+  return {
+    shift,
+    range: parseRangeQuery({
+      period: range.period,
+      date: dayjs(range.date)
+        .subtract(shift.amount, shift.unit)
+        .format("YYYY-MM-DD"),
+    }),
+  };
+};
+
+// Attach the matching comparison bucket to every bucket. Buckets without an
+// exact counterpart (March 31st has none in February) get null.
+const alignComparison = (buckets, comparisonBuckets, shift) => {
+  const byStart = {};
+  comparisonBuckets.forEach((bucket) => {
+    byStart[bucket.utcStart] = bucket;
+  });
+
+  return buckets.map((bucket) => {
+    const local = dayjs(bucket.utcStart).tz(TIMEZONE);
+    const shifted = local.subtract(shift.amount, shift.unit);
+    const match = shifted.add(shift.amount, shift.unit).isSame(local)
+      ? byStart[shifted.utc().toISOString()]
+      : null;
+    if (!match) return { ...bucket, comparison: null };
+
+    const { utcStart, timestamp, consumption, supply } = match;
+    const comparison = { utcStart, timestamp, consumption, supply };
+    if (match.consumptionCost !== undefined) {
+      comparison.consumptionCost = match.consumptionCost;
+      comparison.supplyCost = match.supplyCost;
+    }
+    return { ...bucket, comparison };
+  });
+};
+
+// Group rows by the bucket whose time range contains them; rows outside
+// every bucket are dropped
+const groupByBucket = (rows, timePeriods) => {
+  const starts = timePeriods.map((p) => Date.parse(p.utcStart));
+  const groups = {};
+
+  rows.forEach((row) => {
+    const time = Date.parse(row._time);
+    let low = 0;
+    let high = starts.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (starts[middle] <= time) {
+        index = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (index < 0 || time > Date.parse(timePeriods[index].utcEnd)) return;
+
+    const key = timePeriods[index].utcStart;
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(row);
+  });
+
+  return groups;
+};
+
+// Local calendar months a bucket overlaps, with the share of the bucket that
+// falls in each and the fraction of the month that share covers
+const splitByMonth = (utcStart, utcEnd) => {
+  const start = dayjs(utcStart).tz(TIMEZONE);
+  const endMs = dayjs(utcEnd).valueOf() + 1;
+  const months = [];
+  for (let from = start; from.valueOf() < endMs; ) {
+    const monthStart = from.startOf("month");
+    const nextMonth = monthStart.add(1, "month");
+    const toMs = Math.min(endMs, nextMonth.valueOf());
+    months.push({
+      monthKey: from.format("YYYY-MM"),
+      share: (toMs - from.valueOf()) / (endMs - start.valueOf()),
+      monthFraction:
+        (toMs - from.valueOf()) / (nextMonth.valueOf() - monthStart.valueOf()),
+    });
+    from = nextMonth;
+  }
+  return months;
+};
+
+// Add consumptionCost and supplyCost to every bucket. Buckets are priced in
+// order so tiered tariffs see the usage already accumulated in the month;
+// priorUsage is what was used in the month of the first bucket before it.
+// A bucket across month boundaries (a year, say) has its kWh split between
+// the months in proportion to time. Buckets only count up to `until`, so the
+// running year of a report is not priced as twelve months; forecasts price
+// whole buckets. The fixed monthly charge is prorated over the buckets and
+// billed with the grid supply.
+const applyTariff = (
+  tariff,
+  buckets,
+  bandsByBucket,
+  priorUsage,
+  until = Infinity
+) => {
+  const usage = {};
+  if (buckets.length > 0) {
+    const firstMonth = dayjs(buckets[0].utcStart)
+      .tz(TIMEZONE)
+      .format("YYYY-MM");
+    ["consumption", "supply"].forEach((series) => {
+      usage[`${series}:${firstMonth}`] = priorUsage[series] || 0;
+    });
+  }
+
+  buckets.forEach((bucket) => {
+    const end = Math.min(Date.parse(bucket.utcEnd), until - 1);
+    const months =
+      end >= Date.parse(bucket.utcStart)
+        ? splitByMonth(bucket.utcStart, new Date(end).toISOString())
+        : [];
+    const monthFraction = months.reduce(
+      (sum, month) => sum + month.monthFraction,
+      0
+    );
+
+    ["consumption", "supply"].forEach((series) => {
+      const kWh = bucket[series];
+      const bandEnergy = bandsByBucket[bucket.utcStart]?.[series] || {};
+      let cost = months.reduce((sum, { monthKey, share }) => {
+        const usageKey = `${series}:${monthKey}`;
+        const monthToDate = usage[usageKey] || 0;
+        usage[usageKey] = monthToDate + kWh * share;
+        return (
+          sum +
+          calculateEnergyCost(tariff, kWh * share, {
+            bandEnergy,
+            monthToDate,
+          })
+        );
+      }, 0);
+
+      if (series === "supply") {
+        cost += calculateFixedCharge(tariff, monthFraction);
+      }
+      bucket[`${series}Cost`] = parseFloat(cost.toFixed(4));
+    });
+  });
+};
+
 // Get energy readings from InfluxDB
 const getEnergyReadings = async (
   period,
@@ -397,63 +710,195 @@ const getEnergyReadings = async (
   macFilter,
   inputDate,
   mappingData,
-  room
+  room,
+  tariff = null,
+  interpolate = false
 ) => {
   try {
     const timePeriods = getTimePeriods(period, dateRange, inputDate);
-    const results = [];
+    if (timePeriods.length === 0) return { data: [], counterResets: [] };
 
     console.log(
       `⏰ Processing ${timePeriods.length} time periods for ${period} view`
     );
 
-    // Process periods in batches to avoid overwhelming InfluxDB
-    const batchSize = 10;
-    for (let i = 0; i < timePeriods.length; i += batchSize) {
-      const batch = timePeriods.slice(i, i + batchSize);
-
-      const batchPromises = batch.map(async (timePeriod) => {
-        let query = `
-          from(bucket: "${INFLUX_BUCKET_PZEM}")
-            |> range(start: ${timePeriod.utcStart}, stop: ${timePeriod.utcEnd})
-            |> filter(fn: (r) => r._measurement == "pzem")
-            |> filter(fn: (r) => r._field == "energy")
-        `;
-
-        // Add MAC filter if specified
-        if (macFilter && macFilter.length > 0) {
-          const macAddresses = macFilter.map((mac) => `"${mac}"`).join(", ");
-          query += `
-            |> filter(fn: (r) => contains(value: r.mac_address, set: [${macAddresses}]))
-          `;
-        }
-
-        query += `
-          |> sort(columns: ["_time"])
-        `;
+    const {
+      edges: data,
+      counterEvents,
+      bands,
+      gaps,
+    } = await fetchEnergyRows(
+      {
+        start: timePeriods[0].utcStart,
+        stop: timePeriods[timePeriods.length - 1].utcEnd,
+      },
+      macFilter,
+      period,
+      tariff
+    );
 
-        const data = await queryApi.collectRows(query);
+    // Split the readings and counter events into their buckets
+    const rowsByBucket = groupByBucket(data, timePeriods);
+    const eventsByBucket = groupByBucket(counterEvents, timePeriods);
+    const rawBandsByBucket = groupByBucket(bands, timePeriods);
+    const gapsByBucket = groupByBucket(gaps, timePeriods);
+
+    // Several rooms also get a series per room
+    const roomSeries = Array.isArray(room) && room.length > 1 ? room : null;
+
+    // Meters that report in the range are expected in every bucket where
+    // they count towards the requested series
+    const reportingMacs = [
+      ...new Set(data.map((row) => normalizeMacAddress(row.mac_address))),
+    ].filter(Boolean);
+    const now = Date.now();
+    const interpolated = interpolate
+      ? interpolateGaps(data, timePeriods, mappingData, room)
+      : {};
+
+    const counterResets = [];
+    const bandsByBucket = {};
+    const results = timePeriods.map((timePeriod) => {
+      const bucketRows = rowsByBucket[timePeriod.utcStart] || [];
+
+      const { resets, macs, rooms, ...energy } =
+        bucketRows.length > 0
+          ? calculateEnergyFromInfluxData(
+              bucketRows,
+              mappingData,
+              room,
+              eventsByBucket[timePeriod.utcStart]
+            )
+          : {
+              consumption: 0,
+              supply: 0,
+              gridExport: 0,
+              solar: 0,
+              subMeter: 0,
+              rooms: {},
+              resets: [],
+              macs: { consumption: [], supply: [] },
+            };
+      counterResets.push(...resets);
+
+      // Sum band energy of the meters that were counted in each series
+      const bucketBands = { consumption: {}, supply: {} };
+      (rawBandsByBucket[timePeriod.utcStart] || []).forEach((row) => {
+        const normalizedMac = normalizeMacAddress(row.mac_address);
+        Object.entries(macs).forEach(([series, seriesMacs]) => {
+          if (!seriesMacs.includes(normalizedMac)) return;
+          bucketBands[series][row.band] =
+            (bucketBands[series][row.band] || 0) + row._value;
+        });
+      });
+      bandsByBucket[timePeriod.utcStart] = bucketBands;
+
+      const coverage = getBucketCoverage(
+        timePeriod,
+        bucketRows,
+        gapsByBucket[timePeriod.utcStart] || [],
+        reportingMacs.filter((normalizedMac) =>
+          getCountedSeries(
+            mappingData,
+            normalizedMac,
+            timePeriod.utcStart,
+            room
+          )
+        ),
+        now
+      );
+      const gapEnergy = interpolated[timePeriod.utcStart];
+      if (gapEnergy) {
+        energy.consumption = parseFloat(
+          (energy.consumption + gapEnergy.consumption).toFixed(3)
+        );
+        energy.supply = parseFloat(
+          (energy.supply + gapEnergy.supply).toFixed(3)
+        );
+      }
 
-        const energy =
-          data.length > 0
-            ? calculateEnergyFromInfluxData(data, mappingData, room)
-            : { consumption: 0, supply: 0 };
+      return {
+        timestamp: timePeriod.timestamp,
+        fullTimestamp: timePeriod.fullTimestamp,
+        period: timePeriod.period,
+        utcStart: timePeriod.utcStart,
+        utcEnd: timePeriod.utcEnd,
+        ...energy,
+        ...coverage,
+        ...(interpolate && {
+          interpolated: {
+            consumption: gapEnergy
+              ? parseFloat(gapEnergy.consumption.toFixed(3))
+              : 0,
+            supply: gapEnergy ? parseFloat(gapEnergy.supply.toFixed(3)) : 0,
+          },
+        }),
+        ...(roomSeries && {
+          rooms: roomSeries.map((roomId) => ({
+            room: roomId,
+            consumption: parseFloat(
+              ((rooms[roomId] || 0) + (gapEnergy?.rooms[roomId] || 0)).toFixed(
+                3
+              )
+            ),
+          })),
+        }),
+      };
+    });
 
-        return {
-          timestamp: timePeriod.timestamp,
-          fullTimestamp: timePeriod.fullTimestamp,
-          period: timePeriod.period,
-          utcStart: timePeriod.utcStart,
-          utcEnd: timePeriod.utcEnd,
-          ...energy,
-        };
-      });
+    if (tariff) {
+      // Tiered prices depend on what was used earlier in the month
+      let priorUsage = {};
+      const firstBucket = timePeriods[0].local;
+      if (
+        tariff.type === "tiered" &&
+        period !== "year" &&
+        !firstBucket.isSame(firstBucket.startOf("month"))
+      ) {
+        const { data: days } = await getEnergyReadings(
+          "day",
+          null,
+          macFilter,
+          firstBucket.format("YYYY-MM-DD"),
+          mappingData,
+          room
+        );
+        priorUsage = days
+          .filter((day) => day.utcStart < timePeriods[0].utcStart)
+          .reduce(
+            (sum, day) => ({
+              consumption: sum.consumption + day.consumption,
+              supply: sum.supply + day.supply,
+            }),
+            { consumption: 0, supply: 0 }
+          );
+      }
 
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
+      applyTariff(tariff, results, bandsByBucket, priorUsage, Date.now());
+
+      // Tiers and bands apply to the combined usage, so every room pays
+      // its share of the bucket cost
+      if (roomSeries) {
+        results.forEach((bucket) => {
+          bucket.rooms.forEach((r) => {
+            r.consumptionCost =
+              bucket.consumption > 0
+                ? parseFloat(
+                    (
+                      (bucket.consumptionCost * r.consumption) /
+                      bucket.consumption
+                    ).toFixed(4)
+                  )
+                : 0;
+          });
+        });
+      }
     }
 
-    return results.sort((a, b) => a.period - b.period);
+    return {
+      data: results.sort((a, b) => a.period - b.period),
+      counterResets,
+    };
   } catch (error) {
     console.error(
       `❌ Error in getEnergyReadings for ${period}:`,
@@ -466,17 +911,12 @@ const getEnergyReadings = async (
 // Rooms endpoint
 app.get("/api/rooms", async (req, res) => {
   try {
-    const query = `
-      from(bucket: "${INFLUX_BUCKET_METERS}")
-        |> range(start: 0)
-        |> filter(fn: (r) => r._measurement == "meters")
-        |> filter(fn: (r) => r._field == "room_id")
-        |> distinct(column: "_value")
-        |> sort(columns: ["_value"])
-    `;
-
-    const rows = await queryApi.collectRows(query);
-    const rooms = rows.map((row) => row._value).sort((a, b) => a - b);
+    // Only rooms that still have an active meter assigned
+    const { roomToMacsMap } = await getMetersMapping();
+    const userRooms = getUserRooms(req.user);
+    const rooms = Object.keys(roomToMacsMap)
+      .filter((room) => !userRooms || userRooms.includes(room))
+      .sort((a, b) => a - b);
 
     res.json({ rooms });
   } catch (error) {
@@ -485,160 +925,2565 @@ app.get("/api/rooms", async (req, res) => {
   }
 });
 
-// Debug endpoint to help troubleshoot MAC address matching
-app.get("/api/debug/mappings", async (req, res) => {
-  try {
-    const mappingData = await getMetersMapping();
-
-    // Also get raw data from both buckets for comparison
-    const pzemQuery = `
-      from(bucket: "${INFLUX_BUCKET_PZEM}")
-        |> range(start: -24h)
-        |> filter(fn: (r) => r._measurement == "pzem")
-        |> filter(fn: (r) => r._field == "energy")
-        |> distinct(column: "mac_address")
-        |> keep(columns: ["mac_address"])
-        |> limit(n: 20)
-    `;
+// Total consumption of every room over a whole range
+const getRoomTotals = async (dateRange, mappingData) => {
+  const { edges, counterEvents } = await fetchEnergyRows(dateRange, [], "day");
+  const { consumption, rooms } = calculateEnergyFromInfluxData(
+    edges,
+    mappingData,
+    null,
+    counterEvents
+  );
+  return { total: consumption, rooms };
+};
 
-    const metersQuery = `
-      from(bucket: "${INFLUX_BUCKET_METERS}")
-        |> range(start: 0)
-        |> filter(fn: (r) => r._measurement == "meters")
-        |> distinct(column: "meter_mac")
-        |> keep(columns: ["meter_mac"])
-        |> limit(n: 20)
-    `;
+// Rooms ranked by consumption, with their share of the total and the change
+// since the previous period
+app.get("/api/rooms/breakdown", requireManager, async (req, res) => {
+  try {
+    let range;
+    let previous;
+    try {
+      range = parseRangeQuery(req.query);
+      previous = getComparisonRange(range, "previous").range;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { period, date, dateRange, custom } = range;
 
-    const [pzemMacs, meterMacs] = await Promise.all([
-      queryApi.collectRows(pzemQuery),
-      queryApi.collectRows(metersQuery),
-    ]);
+    const mappingData = await getMetersMapping();
+    const roomIds = Object.keys(
+      getRoomMacsInRange(mappingData, dateRange.start, dateRange.stop)
+    );
+    const current = await getRoomTotals(dateRange, mappingData);
+    const prior = await getRoomTotals(previous.dateRange, mappingData);
+
+    const data = roomIds
+      .map((room) => {
+        const consumption = current.rooms[room] || 0;
+        const previousConsumption = prior.rooms[room] || 0;
+        const change = consumption - previousConsumption;
+        return {
+          room,
+          consumption,
+          share:
+            current.total > 0
+              ? parseFloat(((consumption / current.total) * 100).toFixed(2))
+              : null,
+          previous: previousConsumption,
+          change: parseFloat(change.toFixed(3)),
+          changePercent:
+            previousConsumption > 0
+              ? parseFloat(((change / previousConsumption) * 100).toFixed(2))
+              : null,
+        };
+      })
+      .sort((a, b) => b.consumption - a.consumption || a.room - b.room)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
 
     res.json({
-      mappingData,
-      debug: {
-        pzemMacs: pzemMacs.map((row) => ({
-          original: row.mac_address,
-          normalized: normalizeMacAddress(row.mac_address),
-        })),
-        meterMacs: meterMacs.map((row) => ({
-          original: row.meter_mac,
-          normalized: normalizeMacAddress(row.meter_mac),
-        })),
-        supplyMac: {
-          original: SUPPLY_MAC_NORMALIZED,
-          normalized: normalizeMacAddress(SUPPLY_MAC_NORMALIZED),
+      data,
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        total: current.total,
+        previousTotal: prior.total,
+        previous: {
+          period: previous.custom ? "custom" : previous.period,
+          date: previous.date,
+          ...previous.custom,
         },
       },
     });
   } catch (error) {
-    console.error("❌ Debug endpoint error:", error.message);
+    console.error("❌ API /api/rooms/breakdown error:", error.message);
+    res.status(500).json({
+      error: "Failed to fetch room breakdown",
+      details: error.message,
+    });
+  }
+});
+
+// Always-on load of every room over a window: base load (a low percentile
+// of its hourly kWh), peak load and load factor, ranked by the energy the
+// base load uses
+app.get("/api/rooms/standby", requireManager, async (req, res) => {
+  try {
+    let range;
+    let p;
+    try {
+      range = parseRangeQuery(req.query);
+      p = parseStandbyPercentile(req.query.percentile);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { period, date, dateRange, custom } = range;
+    const days = dayjs(dateRange.stop).diff(dateRange.start, "day", true);
+    if (days > HOURLY_ANALYSIS_MAX_DAYS) {
+      return res.status(400).json({
+        error: `Standby analysis covers at most ${HOURLY_ANALYSIS_MAX_DAYS} days, pick a shorter range.`,
+      });
+    }
+
+    // Only whole hours count, the one under way would look like a quiet hour
+    const currentHour = dayjs()
+      .tz(TIMEZONE)
+      .startOf("hour")
+      .utc()
+      .toISOString();
+    const buckets = (await getRoomBreakdown(dateRange, "hour")).filter(
+      (bucket) => bucket.utcStart < currentHour
+    );
+    const hourlyByRoom = {};
+    buckets.forEach((bucket) => {
+      bucket.rooms.forEach(({ room, consumption }) => {
+        if (!hourlyByRoom[room]) {
+          hourlyByRoom[room] = [];
+        }
+        hourlyByRoom[room].push(consumption);
+      });
+    });
+
+    const data = analyzeStandby(hourlyByRoom, p);
+    const total = (key) =>
+      parseFloat(data.reduce((sum, entry) => sum + entry[key], 0).toFixed(3));
+
+    res.json({
+      data,
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        percentile: p,
+        hours: buckets.length,
+        consumption: total("consumption"),
+        standbyEnergy: total("standbyEnergy"),
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/rooms/standby error:", error.message);
+    res.status(500).json({
+      error: "Failed to analyze standby load",
+      details: error.message,
+    });
+  }
+});
+
+// Consumption of all rooms or the selected ones folded into a 24×7 grid of
+// local hour of day by day of week (0 = Sunday), averaged over the hours
+// measured in each cell or summed
+app.get("/api/heatmap", scopeRooms, async (req, res) => {
+  try {
+    const { stat = "average" } = req.query;
+    let range;
+    try {
+      range = parseRangeQuery(req.query);
+      if (!HEATMAP_STATS.includes(stat)) {
+        throw new Error(`Invalid stat. Use: ${HEATMAP_STATS.join(" or ")}`);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { period, date, dateRange, custom } = range;
+    const days = dayjs(dateRange.stop).diff(dateRange.start, "day", true);
+    if (days > HOURLY_ANALYSIS_MAX_DAYS) {
+      return res.status(400).json({
+        error: `The heatmap covers at most ${HOURLY_ANALYSIS_MAX_DAYS} days, pick a shorter range.`,
+      });
+    }
+    const selectedRooms = parseRoomList(req.query.room);
+
+    const currentHour = dayjs()
+      .tz(TIMEZONE)
+      .startOf("hour")
+      .utc()
+      .toISOString();
+    const buckets = (await getRoomBreakdown(dateRange, "hour")).filter(
+      (bucket) => bucket.utcStart < currentHour
+    );
+
+    const cells = Array.from({ length: 7 * 24 }, (_, i) => ({
+      weekday: Math.floor(i / 24),
+      hour: i % 24,
+      total: 0,
+      hours: 0,
+    }));
+    buckets.forEach((bucket) => {
+      const local = dayjs(bucket.utcStart).tz(TIMEZONE);
+      const cell = cells[local.day() * 24 + local.hour()];
+      cell.total += bucket.rooms
+        .filter(
+          ({ room }) =>
+            selectedRooms.length === 0 || selectedRooms.includes(room)
+        )
+        .reduce((sum, { consumption }) => sum + consumption, 0);
+      cell.hours += 1;
+    });
+
+    const data = cells.map((cell) => ({
+      weekday: cell.weekday,
+      hour: cell.hour,
+      hours: cell.hours,
+      total: parseFloat(cell.total.toFixed(3)),
+      average:
+        cell.hours > 0
+          ? parseFloat((cell.total / cell.hours).toFixed(3))
+          : null,
+    }));
+
+    res.json({
+      data,
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        rooms: selectedRooms,
+        stat,
+        hours: buckets.length,
+        max: Math.max(0, ...data.map((cell) => cell[stat] ?? 0)),
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/heatmap error:", error.message);
+    res.status(500).json({
+      error: "Failed to build heatmap",
+      details: error.message,
+    });
+  }
+});
+
+// Meter registry. Every change is written as a new point to the meters
+// bucket so the latest value of each field wins and the history is kept.
+const metersWriteApi = influxDB.getWriteApi(
+  process.env.INFLUX_ORG,
+  INFLUX_BUCKET_METERS
+);
+
+const METER_STATUSES = ["active", "retired"];
+
+const listMeters = async () => {
+  const history = await fetchMeterHistory();
+  const meters = {};
+
+  Object.entries(history).forEach(([normalizedMac, meter]) => {
+    const { storedMac, fields, updatedAt } = meter;
+
+    meters[normalizedMac] = {
+      mac: formatMacAddress(normalizedMac),
+      storedMac,
+      room:
+        fields.room_id !== undefined && fields.room_id !== null
+          ? fields.room_id.toString()
+          : null,
+      role: resolveMeterRole(normalizedMac, fields),
+      label: fields.label || "",
+      status: fields.status || "active",
+      updatedAt,
+    };
+  });
+
+  // Supply meters from the environment show up even before they are edited
+  SUPPLY_MACS.forEach((mac) => {
+    const normalizedMac = normalizeMacAddress(mac);
+    if (meters[normalizedMac]) return;
+    meters[normalizedMac] = {
+      mac: formatMacAddress(normalizedMac),
+      storedMac: mac,
+      room: null,
+      role: "grid_import",
+      label: "",
+      status: "active",
+      updatedAt: null,
+    };
+  });
+
+  return Object.values(meters).sort((a, b) => a.mac.localeCompare(b.mac));
+};
+
+// Reading count, first and last energy reading, data gaps and peak power of
+// every meter that reported in the last `hours`, from one query
+const fetchMeterReporting = async (hours, gapMinutes) => {
+  const query = `
+    data = from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: -${hours}h)
+      |> filter(fn: (r) => r._measurement == "pzem")
+      |> filter(fn: (r) => r._field == "energy")
+      |> group(columns: ["mac_address"])
+      |> sort(columns: ["_time"])
+
+    data
+      |> count()
+      |> keep(columns: ["_value", "mac_address"])
+      |> yield(name: "counts")
+
+    data
+      |> first()
+      |> keep(columns: ["_time", "_value", "mac_address"])
+      |> yield(name: "first")
+
+    data
+      |> last()
+      |> keep(columns: ["_time", "_value", "mac_address"])
+      |> yield(name: "last")
+
+    data
+      |> elapsed(unit: 1s)
+      |> filter(fn: (r) => r.elapsed > ${gapMinutes * 60})
+      |> keep(columns: ["_time", "elapsed", "mac_address"])
+      |> yield(name: "gaps")
+
+    from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: -${hours}h)
+      |> filter(fn: (r) => r._measurement == "pzem")
+      |> filter(fn: (r) => r._field == "power")
+      |> group(columns: ["mac_address"])
+      |> max()
+      |> keep(columns: ["_value", "mac_address"])
+      |> yield(name: "maxPower")
+  `;
+
+  const rows = await queryApi.collectRows(query);
+  const reporting = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (!normalizedMac) return;
+    if (!reporting[normalizedMac]) {
+      reporting[normalizedMac] = {
+        storedMac: row.mac_address,
+        readings: 0,
+        first: null,
+        last: null,
+        gaps: [],
+        maxPower: null,
+      };
+    }
+    const stats = reporting[normalizedMac];
+
+    if (row.result === "counts") {
+      stats.readings += row._value;
+    } else if (row.result === "first") {
+      stats.first = { time: row._time, energy: row._value };
+    } else if (row.result === "last") {
+      stats.last = { time: row._time, energy: row._value };
+    } else if (row.result === "gaps") {
+      stats.gaps.push({
+        start: dayjs(row._time).subtract(row.elapsed, "second").toISOString(),
+        end: row._time,
+        minutes: parseFloat((row.elapsed / 60).toFixed(1)),
+      });
+    } else if (row.result === "maxPower") {
+      stats.maxPower = row._value;
+    }
+  });
+
+  return reporting;
+};
+
+// Health of one meter from its registry entry (null when it only shows up
+// in the pzem bucket) and its reporting statistics (null when silent)
+const describeMeterHealth = (mac, meter, stats, hours, now) => {
+  const issues = [];
+  if (!meter) {
+    issues.push("unregistered");
+  } else if (!meter.role) {
+    issues.push("unmapped");
+  }
+
+  const lastSeen = stats?.last?.time ?? null;
+  const silentMinutes = lastSeen ? now.diff(dayjs(lastSeen), "minute") : null;
+  if (silentMinutes === null || silentMinutes >= HEALTH_OFFLINE_MINUTES) {
+    issues.push("offline");
+  }
+
+  if (stats) {
+    if (stats.readings < 2) issues.push("insufficient_readings");
+    if (stats.gaps.length > 0) issues.push("gaps");
+    // Meters with power but no energy readings have no counter to check
+    const hasEnergy = Boolean(stats.first && stats.last);
+    if (hasEnergy && stats.last.energy === 0) {
+      issues.push("zero_counter");
+    } else if (
+      hasEnergy &&
+      stats.readings >= 2 &&
+      stats.last.energy === stats.first.energy &&
+      stats.maxPower > STUCK_POWER_WATTS
+    ) {
+      issues.push("stuck_counter");
+    }
+  }
+
+  const gaps = stats ? stats.gaps : [];
+  return {
+    mac: formatMacAddress(mac),
+    storedMac: meter ? meter.storedMac : stats.storedMac,
+    label: meter ? meter.label : "",
+    role: meter ? meter.role : null,
+    room: meter ? meter.room : null,
+    registered: Boolean(meter),
+    online: !issues.includes("offline"),
+    lastSeen,
+    silentMinutes,
+    readings: stats ? stats.readings : 0,
+    readingsPerHour: stats
+      ? parseFloat((stats.readings / hours).toFixed(1))
+      : 0,
+    firstEnergy: stats?.first?.energy ?? null,
+    lastEnergy: stats?.last?.energy ?? null,
+    maxPower: stats ? stats.maxPower : null,
+    gapCount: gaps.length,
+    gapMinutes: parseFloat(
+      gaps.reduce((sum, gap) => sum + gap.minutes, 0).toFixed(1)
+    ),
+    // Latest gaps first
+    gaps: gaps.slice(-20).reverse(),
+    issues,
+  };
+};
+
+// Validate a create or update request body, returning the fields to write
+const parseMeterBody = (body, { requireRoom = false } = {}) => {
+  const fields = {};
+
+  if (body.room !== undefined || requireRoom) {
+    const room = String(body.room ?? "").trim();
+    if (!/^\d+$/.test(room)) {
+      throw new Error("Room must be a room number");
+    }
+    fields.room_id = room;
+  }
+  if (body.role !== undefined) {
+    if (!METER_ROLES.includes(body.role)) {
+      throw new Error(`Role must be one of ${METER_ROLES.join(", ")}`);
+    }
+    fields.role = body.role;
+  }
+  if (body.label !== undefined) {
+    fields.label = String(body.label).trim();
+  }
+  if (body.status !== undefined) {
+    if (!METER_STATUSES.includes(body.status)) {
+      throw new Error(`Status must be one of ${METER_STATUSES.join(", ")}`);
+    }
+    fields.status = body.status;
+  }
+
+  return fields;
+};
+
+const writeMeterFields = async (storedMac, fields) => {
+  const point = new Point("meters").tag("meter_mac", storedMac);
+  Object.entries(fields).forEach(([key, value]) => {
+    // room_id has always been an integer field in the meters bucket; writing
+    // it as a string would be rejected as a field type conflict
+    if (key === "room_id") {
+      point.intField(key, Number(value));
+    } else {
+      point.stringField(key, value);
+    }
+  });
+  metersWriteApi.writePoint(point);
+  await metersWriteApi.flush();
+
+  // The next lookup has to see the change
+  clearMetersCache();
+};
+
+// Look up a meter by any MAC spelling, answering 404 when it is unknown
+const findMeter = async (mac, res) => {
+  const normalizedMac = normalizeMacAddress(mac);
+  const meter = (await listMeters()).find(
+    (m) => normalizeMacAddress(m.mac) === normalizedMac
+  );
+  if (!meter) {
+    res.status(404).json({ error: `Meter ${mac} not found` });
+  }
+  return meter;
+};
+
+const updateMeter = async (req, res, fields) => {
+  const meter = await findMeter(req.params.mac, res);
+  if (!meter) return;
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  await writeMeterFields(meter.storedMac, fields);
+  console.log(`🔧 Updated meter ${meter.mac}:`, fields);
+  res.json(await findMeter(meter.mac, res));
+};
+
+app.get("/api/meters", requireAdmin, async (req, res) => {
+  try {
+    res.json({ meters: await listMeters(), roles: METER_ROLES });
+  } catch (error) {
+    console.error("❌ Error listing meters:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to list meters", details: error.message });
+  }
+});
+
+// Last-seen time, reporting rate, data gaps and counter problems of every
+// active meter and of every MAC that reports without being registered
+app.get("/api/meters/health", requireManager, async (req, res) => {
+  const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+  const gapMinutes =
+    req.query.gap === undefined ? HEALTH_GAP_MINUTES : Number(req.query.gap);
+  if (!Number.isInteger(hours) || hours < 1 || hours > HEALTH_MAX_HOURS) {
+    return res.status(400).json({
+      error: `hours must be a whole number from 1 to ${HEALTH_MAX_HOURS}`,
+    });
+  }
+  if (!(gapMinutes > 0)) {
+    return res.status(400).json({ error: "gap must be a positive number" });
+  }
+
+  try {
+    const meters = await listMeters();
+    const reporting = await fetchMeterReporting(hours, gapMinutes);
+    const now = dayjs();
+
+    const registered = {};
+    meters.forEach((meter) => {
+      registered[normalizeMacAddress(meter.mac)] = meter;
+    });
+
+    const health = [
+      // Retired meters are expected to be silent
+      ...meters
+        .filter((meter) => meter.status !== "retired")
+        .map((meter) => normalizeMacAddress(meter.mac)),
+      ...Object.keys(reporting).filter((mac) => !registered[mac]),
+    ].map((mac) =>
+      describeMeterHealth(
+        mac,
+        registered[mac] || null,
+        reporting[mac] || null,
+        hours,
+        now
+      )
+    );
+
+    const countIssue = (issue) =>
+      health.filter((meter) => meter.issues.includes(issue)).length;
+
+    res.json({
+      meters: health.sort(
+        (a, b) =>
+          b.issues.length - a.issues.length || a.mac.localeCompare(b.mac)
+      ),
+      summary: {
+        total: health.length,
+        online: health.filter((meter) => meter.online).length,
+        offline: countIssue("offline"),
+        unregistered: countIssue("unregistered"),
+        unmapped: countIssue("unmapped"),
+        withGaps: countIssue("gaps"),
+        stuckCounters: countIssue("stuck_counter"),
+        zeroCounters: countIssue("zero_counter"),
+      },
+      meta: {
+        hours,
+        gapMinutes,
+        offlineMinutes: HEALTH_OFFLINE_MINUTES,
+        from: now.subtract(hours, "hour").toISOString(),
+        to: now.toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error checking meter health:", error.message);
+    res.status(500).json({
+      error: "Failed to check meter health",
+      details: error.message,
+    });
+  }
+});
+
+app.post("/api/meters", requireAdmin, async (req, res) => {
+  try {
+    const normalizedMac = normalizeMacAddress(req.body.mac);
+    if (!normalizedMac || !/^[0-9a-f]{12}$/.test(normalizedMac)) {
+      return res.status(400).json({ error: "A valid MAC address is required" });
+    }
+
+    let fields;
+    try {
+      fields = parseMeterBody(
+        { role: "room", ...req.body },
+        { requireRoom: (req.body.role || "room") === "room" }
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const existing = (await listMeters()).find(
+      (m) => normalizeMacAddress(m.mac) === normalizedMac
+    );
+    if (existing && existing.status !== "retired") {
+      return res
+        .status(409)
+        .json({ error: `Meter ${existing.mac} is already registered` });
+    }
+
+    // Re-registering a retired meter keeps writing to its original series
+    const storedMac = existing
+      ? existing.storedMac
+      : formatMacAddress(normalizedMac);
+    await writeMeterFields(storedMac, { ...fields, status: "active" });
+    console.log(`➕ Registered meter ${formatMacAddress(normalizedMac)}`);
+
+    res.status(201).json(await findMeter(storedMac, res));
+  } catch (error) {
+    console.error("❌ Error registering meter:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to register meter", details: error.message });
+  }
+});
+
+app.put("/api/meters/:mac", requireAdmin, async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = parseMeterBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await updateMeter(req, res, fields);
+  } catch (error) {
+    console.error("❌ Error updating meter:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to update meter", details: error.message });
+  }
+});
+
+// Assign a meter to a room, making it a room meter
+app.put("/api/meters/:mac/room", requireAdmin, async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = parseMeterBody(
+        { room: req.body.room, role: "room" },
+        { requireRoom: true }
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await updateMeter(req, res, fields);
+  } catch (error) {
+    console.error("❌ Error assigning meter:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to assign meter", details: error.message });
+  }
+});
+
+// Retire a meter; its readings stay in InfluxDB but it stops being counted
+app.delete("/api/meters/:mac", requireAdmin, async (req, res) => {
+  try {
+    await updateMeter(req, res, { status: "retired" });
+  } catch (error) {
+    console.error("❌ Error retiring meter:", error.message);
+    res
+      .status(500)
+      .json({ error: "Failed to retire meter", details: error.message });
+  }
+});
+
+// Debug endpoint to help troubleshoot MAC address matching
+app.get("/api/debug/mappings", requireAdmin, async (req, res) => {
+  try {
+    const mappingData = await getMetersMapping();
+
+    // Also get raw data from both buckets for comparison
+    const pzemQuery = `
+      from(bucket: "${INFLUX_BUCKET_PZEM}")
+        |> range(start: -24h)
+        |> filter(fn: (r) => r._measurement == "pzem")
+        |> filter(fn: (r) => r._field == "energy")
+        |> distinct(column: "mac_address")
+        |> keep(columns: ["mac_address"])
+        |> limit(n: 20)
+    `;
+
+    const metersQuery = `
+      from(bucket: "${INFLUX_BUCKET_METERS}")
+        |> range(start: 0)
+        |> filter(fn: (r) => r._measurement == "meters")
+        |> distinct(column: "meter_mac")
+        |> keep(columns: ["meter_mac"])
+        |> limit(n: 20)
+    `;
+
+    const [pzemMacs, meterMacs] = await Promise.all([
+      queryApi.collectRows(pzemQuery),
+      queryApi.collectRows(metersQuery),
+    ]);
+
+    res.json({
+      mappingData,
+      debug: {
+        pzemMacs: pzemMacs.map((row) => ({
+          original: row.mac_address,
+          normalized: normalizeMacAddress(row.mac_address),
+        })),
+        meterMacs: meterMacs.map((row) => ({
+          original: row.meter_mac,
+          normalized: normalizeMacAddress(row.meter_mac),
+        })),
+        meterRoles: Object.entries(mappingData.macToRoleMap).map(
+          ([normalized, role]) => ({
+            mac: formatMacAddress(normalized),
+            normalized,
+            role,
+          })
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Debug endpoint error:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Main API endpoint
-app.get("/api/data", async (req, res) => {
-  console.log("📥 Received request for energy data:", req.query);
+// Tariff definitions
+app.get("/api/tariffs", (req, res) => {
+  try {
+    res.json(loadTariffConfig());
+  } catch (error) {
+    console.error("❌ Error loading tariffs:", error.message);
+    res.status(500).json({ error: "Failed to load tariffs" });
+  }
+});
+
+app.put("/api/tariffs", requireAdmin, (req, res) => {
+  try {
+    res.json(saveTariffConfig(req.body));
+  } catch (error) {
+    console.error("❌ Error saving tariffs:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Per-room billing statements for a billing period
+app.get("/api/bills", scopeRooms, async (req, res) => {
+  try {
+    const {
+      start,
+      end,
+      room,
+      format = "json",
+      lossSplit = "proportional",
+      tariff: tariffId,
+    } = req.query;
+
+    if (!start || !end || !dayjs(start).isValid() || !dayjs(end).isValid()) {
+      return res
+        .status(400)
+        .json({ error: "start and end are required as YYYY-MM-DD." });
+    }
+    if (!["json", "csv", "html", "pdf"].includes(format)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format. Use: json, csv, html, or pdf" });
+    }
+    if (!LOSS_SPLITS.includes(lossSplit)) {
+      return res.status(400).json({
+        error: `Invalid lossSplit. Use: ${LOSS_SPLITS.join(" or ")}`,
+      });
+    }
+
+    const localStart = dayjs.tz(start, TIMEZONE).startOf("day");
+    const localEnd = dayjs.tz(end, TIMEZONE).endOf("day");
+    if (localEnd.isBefore(localStart)) {
+      return res.status(400).json({ error: "end must not be before start." });
+    }
+
+    const tariff = getTariff(tariffId);
+    if (tariffId && !tariff) {
+      return res.status(400).json({ error: `Unknown tariff: ${tariffId}` });
+    }
+
+    const range = {
+      start: localStart.utc().toISOString(),
+      stop: localEnd.utc().toISOString(),
+    };
+
+    // Bill every room for the meters it had during the period
+    const mappingData = await getMetersMapping();
+    const roomToMacsMap = getRoomMacsInRange(
+      mappingData,
+      range.start,
+      range.stop
+    );
+    const selectedRooms = parseRoomList(room);
+    const missingRoom = selectedRooms.find((r) => !roomToMacsMap[r]);
+    if (missingRoom) {
+      return res
+        .status(404)
+        .json({ error: `No meters found for room ${missingRoom}` });
+    }
+    const { edges, counterEvents, bands } = await fetchEnergyRows(
+      range,
+      [],
+      "day",
+      tariff
+    );
+
+    const site = calculateEnergyFromInfluxData(
+      edges,
+      mappingData,
+      null,
+      counterEvents
+    );
+    const supplyBands = {};
+    bands.forEach((row) => {
+      if (!site.macs.supply.includes(normalizeMacAddress(row.mac_address))) {
+        return;
+      }
+      supplyBands[row.band] = (supplyBands[row.band] || 0) + row._value;
+    });
+
+    // Supply per calendar month for the tiers, which restart every month.
+    // The day windows never cross a month, so the edges group cleanly.
+    const edgesByMonth = {};
+    const eventsByMonth = {};
+    const addToMonth = (months, row) => {
+      const monthKey = dayjs(row._time).tz(TIMEZONE).format("YYYY-MM");
+      if (!months[monthKey]) {
+        months[monthKey] = [];
+      }
+      months[monthKey].push(row);
+    };
+    edges.forEach((row) => addToMonth(edgesByMonth, row));
+    counterEvents.forEach((row) => addToMonth(eventsByMonth, row));
+
+    // A period from mid-month starts on top of what the month used so far
+    let monthToDate = 0;
+    if (tariff && !localStart.isSame(localStart.startOf("month"))) {
+      const prior = await fetchEnergyRows(
+        {
+          start: localStart.startOf("month").utc().toISOString(),
+          stop: range.start,
+        },
+        [],
+        "day"
+      );
+      monthToDate = calculateEnergyFromInfluxData(
+        prior.edges,
+        mappingData,
+        null,
+        prior.counterEvents
+      ).supply;
+    }
+    const supplyMonths = Object.keys(edgesByMonth)
+      .sort()
+      .map((monthKey) => ({
+        supply: calculateEnergyFromInfluxData(
+          edgesByMonth[monthKey],
+          mappingData,
+          null,
+          eventsByMonth[monthKey] || []
+        ).supply,
+        monthToDate:
+          monthKey === localStart.format("YYYY-MM") ? monthToDate : 0,
+      }));
+
+    const rooms = Object.keys(roomToMacsMap)
+      .sort((a, b) => a - b)
+      .map((roomId) => ({
+        room: roomId,
+        meters: roomToMacsMap[roomId].map((macInfo) => macInfo.original),
+        consumption: calculateEnergyFromInfluxData(
+          edges,
+          mappingData,
+          roomId,
+          counterEvents
+        ).consumption,
+      }));
+
+    let bill = buildBill({
+      start,
+      end,
+      utcStart: range.start,
+      utcEnd: range.stop,
+      months: localEnd.add(1, "millisecond").diff(localStart, "month", true),
+      rooms,
+      supply: site.supply,
+      available: site.supply + site.solar - site.gridExport,
+      supplyBands,
+      ...(supplyMonths.length > 0 && { supplyMonths }),
+      tariff,
+      lossSplit,
+    });
+    if (selectedRooms.length > 0) {
+      bill.statements = bill.statements.filter((statement) =>
+        selectedRooms.includes(statement.room)
+      );
+    }
+    // Tenants get their statements without the site totals behind them
+    const siteView = !getUserRooms(req.user);
+    if (!siteView) {
+      bill = withoutSiteTotals(bill);
+    }
+
+    const filename = `bill-${start}_${end}${
+      selectedRooms.length > 0 ? `-room-${selectedRooms.join("-")}` : ""
+    }`;
+    if (format === "csv") {
+      res.attachment(`${filename}.csv`);
+      res.type("text/csv").send(billToCsv(bill));
+    } else if (format === "html") {
+      res.type("html").send(billToHtml(bill));
+    } else if (format === "pdf") {
+      res.attachment(`${filename}.pdf`);
+      res.type("application/pdf");
+      writeBillPdf(bill, res);
+    } else {
+      res.json({ ...bill, counterResets: siteView ? site.resets : null });
+    }
+  } catch (error) {
+    console.error("❌ API /api/bills error:", error.message);
+    res.status(500).json({
+      error: "Failed to build bills",
+      details: error.message,
+    });
+  }
+});
+
+// Main API endpoint
+// A comma-separated list selects several rooms
+const parseRoomList = (room) =>
+  room
+    ? [
+        ...new Set(
+          [].concat(room).flatMap((r) =>
+            r
+              .toString()
+              .split(",")
+              .map((roomId) => roomId.trim())
+              .filter(Boolean)
+          )
+        ),
+      ]
+    : [];
+
+// Parse the query of a chart view (/api/data and /api/export), throwing on
+// invalid input
+const parseDataQuery = (query) => {
+  const { room, tariff: tariffId, compare } = query;
+  const selectedRooms = parseRoomList(room);
+
+  const range = parseRangeQuery(query);
+  let comparisonRange = null;
+  if (compare !== undefined) {
+    if (!COMPARISONS.includes(compare)) {
+      throw new Error(`Invalid compare. Use: ${COMPARISONS.join(" or ")}`);
+    }
+    comparisonRange = getComparisonRange(range, compare);
+  }
+
+  const tariff = getTariff(tariffId);
+  if (tariffId && !tariff) {
+    throw new Error(`Unknown tariff: ${tariffId}`);
+  }
+
+  return {
+    room,
+    selectedRooms,
+    roomFilter: selectedRooms.length > 0 ? selectedRooms : null,
+    // Spread energy across data gaps instead of leaving it out
+    interpolate: query.interpolate === "true",
+    compare,
+    range,
+    comparisonRange,
+    tariff,
+  };
+};
+
+// Buckets of a chart view with their meta
+const getDataView = async ({
+  room,
+  selectedRooms,
+  roomFilter,
+  interpolate,
+  compare,
+  range,
+  comparisonRange,
+  tariff,
+  userRooms = null,
+}) => {
+  const { period, date, dateRange, custom } = range;
+  const tariffMeta = tariff
+    ? {
+        id: tariff.id,
+        name: tariff.name,
+        type: tariff.type,
+        currency: tariff.currency,
+      }
+    : null;
+
+  // Get meters mapping
+  const mappingData = await getMetersMapping();
+  const { macToRoomMap, roomToMacsMap } = mappingData;
+  // Rooms the user may pick from
+  const availableRooms = Object.keys(roomToMacsMap).filter(
+    (roomId) => !userRooms || userRooms.includes(roomId)
+  );
+
+  console.log("🗂️ Available rooms:", Object.keys(roomToMacsMap));
+  console.log("🔍 Requested rooms:", selectedRooms);
+
+  // Meters the rooms had at some point during a range
+  const getRoomMacs = (r) => {
+    const macsInRange = getRoomMacsInRange(mappingData, r.start, r.stop);
+    return selectedRooms.flatMap((roomId) => macsInRange[roomId] || []);
+  };
+
+  // Build MAC filter for the rooms from every meter they had in the range
+  let macFilter = [];
+  if (roomFilter) {
+    const macsForRoom = getRoomMacs(dateRange);
+
+    if (macsForRoom.length > 0) {
+      // Use original MAC formats for InfluxDB query
+      macFilter = macsForRoom.map((macInfo) => macInfo.original);
+      console.log("🎯 MAC filter for rooms", selectedRooms, ":", macFilter);
+    } else {
+      console.log("❌ No meters found for room:", room);
+      return {
+        data: [],
+        message: `No meters found for room ${room}. Available rooms: ${availableRooms.join(
+          ", "
+        )}`,
+        meta: {
+          period: custom ? "custom" : period,
+          room,
+          rooms: selectedRooms,
+          date,
+          ...custom,
+          timezone: TIMEZONE,
+          totalRecords: 0,
+          availableRooms,
+          tariff: tariffMeta,
+        },
+      };
+    }
+  }
+
+  // Get energy readings
+  let { data: result, counterResets } = await getEnergyReadings(
+    period,
+    dateRange,
+    macFilter,
+    date,
+    mappingData,
+    roomFilter,
+    tariff,
+    interpolate
+  );
+
+  let comparisonMeta = null;
+  if (comparisonRange) {
+    const { range: compared, shift } = comparisonRange;
+    const comparedMacs = roomFilter
+      ? getRoomMacs(compared.dateRange).map((macInfo) => macInfo.original)
+      : [];
+
+    // A room without meters back then has nothing to compare with
+    const { data: comparisonData } =
+      roomFilter && comparedMacs.length === 0
+        ? { data: [] }
+        : await getEnergyReadings(
+            compared.period,
+            compared.dateRange,
+            comparedMacs,
+            compared.date,
+            mappingData,
+            roomFilter,
+            tariff,
+            interpolate
+          );
+
+    result = alignComparison(result, comparisonData, shift);
+    comparisonMeta = {
+      compare,
+      period: compared.custom ? "custom" : compared.period,
+      date: compared.date,
+      ...compared.custom,
+    };
+  }
+
+  return {
+    data: result,
+    meta: {
+      period: custom ? "custom" : period,
+      room,
+      rooms: selectedRooms,
+      date,
+      ...custom,
+      timezone: TIMEZONE,
+      totalRecords: result.length,
+      availableRooms,
+      macMappingCount: Object.keys(macToRoomMap).length,
+      counterResets,
+      interpolate,
+      tariff: tariffMeta,
+      comparison: comparisonMeta,
+    },
+  };
+};
+
+app.get("/api/data", scopeRooms, async (req, res) => {
+  console.log("📥 Received request for energy data:", req.query);
+
+  try {
+    // Validate inputs
+    let parsed;
+    try {
+      parsed = parseDataQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(
+      await getDataView({ ...parsed, userRooms: getUserRooms(req.user) })
+    );
+  } catch (error) {
+    console.error("❌ API /api/data error:", error.message);
+    res.status(500).json({
+      error: "API request failed",
+      details: error.message,
+    });
+  }
+});
+
+// Download of a chart view in CSV, XLSX or JSON. Takes the /api/data
+// parameters plus format and supply=false to leave out the supply series
+// like the chart toggle does; supply is only shown for all rooms.
+app.get("/api/export", scopeRooms, async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    let parsed;
+    try {
+      parsed = parseDataQuery(req.query);
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format. Use: ${EXPORT_FORMATS.join(", ")}`);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { data, meta } = await getDataView({
+      ...parsed,
+      userRooms: getUserRooms(req.user),
+    });
+    const columns = buildExportColumns(data, {
+      showSupply: !parsed.roomFilter && req.query.supply !== "false",
+      rooms: parsed.selectedRooms.length > 1 ? parsed.selectedRooms : [],
+      currency: meta.tariff?.currency,
+      comparison: parsed.comparisonRange !== null,
+    });
+    const records = buildExportRecords(data, TIMEZONE);
+
+    const { range, selectedRooms } = parsed;
+    const filename = `energy-${
+      range.custom
+        ? `${range.custom.start}_${range.custom.end}`
+        : `${range.period}-${range.date}`
+    }${selectedRooms.length > 0 ? `-room-${selectedRooms.join("_")}` : ""}`;
+    if (format === "csv") {
+      res.attachment(`${filename}.csv`);
+      res.type("text/csv");
+      writeExportCsv(columns, records, res);
+    } else if (format === "xlsx") {
+      res.attachment(`${filename}.xlsx`);
+      res.send(buildExportXlsx(columns, records));
+    } else {
+      res.attachment(`${filename}.json`);
+      res.json({ columns, data: records, meta });
+    }
+  } catch (error) {
+    console.error("❌ API /api/export error:", error.message);
+    res.status(500).json({
+      error: "Failed to export data",
+      details: error.message,
+    });
+  }
+});
+
+// Raw pzem readings behind the charts, one row per meter and timestamp with
+// every requested field of the point. Pages follow (time, mac) order and a
+// cursor points just past the last row of the previous page.
+const READING_FIELDS = ["energy", ...LIVE_FIELDS];
+
+const encodeReadingsCursor = (row) =>
+  Buffer.from(
+    JSON.stringify({ time: row._time, mac: row.mac_address })
+  ).toString("base64url");
+
+const decodeReadingsCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+  // Both parts end up in the Flux query
+  if (
+    !decoded ||
+    Number.isNaN(Date.parse(decoded.time)) ||
+    !/^[0-9a-fA-F:.-]{12,17}$/.test(decoded.mac || "")
+  ) {
+    throw new Error("Invalid cursor");
+  }
+  return { time: new Date(decoded.time).toISOString(), mac: decoded.mac };
+};
+
+// Resolve the filters of a readings request, throwing on invalid input
+const parseReadingsQuery = (query) => {
+  const parseTime = (name) => {
+    const value = query[name];
+    if (!value || Number.isNaN(Date.parse(value))) {
+      throw new Error(`${name} is required as an ISO timestamp.`);
+    }
+    return new Date(value).toISOString();
+  };
+  const start = parseTime("start");
+  const stop = parseTime("stop");
+  if (stop <= start) {
+    throw new Error("stop must be after start.");
+  }
+  // Edges are two readings per meter, so they may span any bucket
+  const edges = query.edges === "true";
+  if (!edges && dayjs(stop).diff(start, "day", true) > READINGS_MAX_DAYS) {
+    throw new Error(
+      `Readings cover at most ${READINGS_MAX_DAYS} days, pick a shorter range.`
+    );
+  }
+
+  const list = (value) =>
+    value
+      ? [].concat(value).flatMap((v) =>
+          v
+            .toString()
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean)
+        )
+      : [];
+  const fields = list(query.field);
+  const unknownField = fields.find((field) => !READING_FIELDS.includes(field));
+  if (unknownField) {
+    throw new Error(
+      `Invalid field: ${unknownField}. Use: ${READING_FIELDS.join(", ")}`
+    );
+  }
+  const macs = list(query.mac).map((mac) => {
+    const normalizedMac = normalizeMacAddress(mac);
+    if (!/^[0-9a-f]{12}$/.test(normalizedMac)) {
+      throw new Error(`Invalid mac: ${mac}`);
+    }
+    return normalizedMac;
+  });
+
+  const limit =
+    query.limit === undefined ? READINGS_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > READINGS_MAX_PAGE) {
+    throw new Error(
+      `Invalid limit: ${query.limit}. Use 1 to ${READINGS_MAX_PAGE}.`
+    );
+  }
+
+  return {
+    start,
+    stop,
+    fields: fields.length > 0 ? fields : READING_FIELDS,
+    macs,
+    rooms: parseRoomList(query.room),
+    limit,
+    cursor: query.cursor ? decodeReadingsCursor(query.cursor) : null,
+    // Only the first and last energy reading of every meter, which is what
+    // a bucket's delta is taken from
+    edges,
+  };
+};
+
+app.get("/api/readings", scopeRooms, async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = parseReadingsQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { start, stop, fields, macs, rooms, limit, cursor, edges } = filters;
+
+    // Meters matching every filter, as stored in the pzem bucket
+    const mappingData = await getMetersMapping();
+    let macFilter = null;
+    if (rooms.length > 0) {
+      const macsInRange = getRoomMacsInRange(mappingData, start, stop);
+      macFilter = rooms
+        .flatMap((room) => macsInRange[room] || [])
+        .map((macInfo) => macInfo.normalized);
+    }
+    if (macs.length > 0) {
+      macFilter = macFilter
+        ? macFilter.filter((normalizedMac) => macs.includes(normalizedMac))
+        : macs;
+    }
+    const storedMacs = (macFilter || []).map(
+      (normalizedMac) =>
+        mappingData.originalMacFormats[normalizedMac] ||
+        formatMacAddress(normalizedMac)
+    );
+
+    const meta = {
+      start,
+      stop,
+      timezone: TIMEZONE,
+      macs: macFilter ? macFilter.map(formatMacAddress) : [],
+      rooms,
+      fields: edges ? ["energy"] : fields,
+      limit,
+      edges,
+    };
+    if (macFilter && macFilter.length === 0) {
+      return res.json({ data: [], nextCursor: null, meta });
+    }
+
+    const macCondition =
+      storedMacs.length > 0
+        ? `|> filter(fn: (r) => contains(value: r.mac_address, set: [${storedMacs
+            .map((mac) => `"${mac}"`)
+            .join(", ")}]))`
+        : "";
+    const query = edges
+      ? `
+        data = from(bucket: "${INFLUX_BUCKET_PZEM}")
+          |> range(start: ${start}, stop: ${stop})
+          |> filter(fn: (r) => r._measurement == "pzem" and r._field == "energy")
+          ${macCondition}
+
+        union(tables: [
+          data |> first() |> set(key: "edge", value: "first"),
+          data |> last() |> set(key: "edge", value: "last"),
+        ])
+          |> group()
+          |> map(fn: (r) => ({r with energy: r._value}))
+          |> keep(columns: ["_time", "energy", "edge", "mac_address"])
+          |> sort(columns: ["mac_address", "_time"])
+      `
+      : `
+        from(bucket: "${INFLUX_BUCKET_PZEM}")
+          |> range(start: ${start}, stop: ${stop})
+          |> filter(fn: (r) => r._measurement == "pzem")
+          |> filter(fn: (r) => contains(value: r._field, set: [${fields
+            .map((field) => `"${field}"`)
+            .join(", ")}]))
+          ${macCondition}
+          ${
+            cursor
+              ? `|> filter(fn: (r) => r._time > time(v: "${cursor.time}") or (r._time == time(v: "${cursor.time}") and r.mac_address > "${cursor.mac}"))`
+              : ""
+          }
+          |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> group()
+          |> sort(columns: ["_time", "mac_address"])
+          |> limit(n: ${limit + 1})
+      `;
+
+    const rows = await queryApi.collectRows(query);
+    const page = edges ? rows : rows.slice(0, limit);
+    const data = page.map((row) => {
+      const normalizedMac = normalizeMacAddress(row.mac_address);
+      const { role, room } = resolveMeterAt(
+        mappingData,
+        normalizedMac,
+        row._time
+      );
+      return {
+        time: row._time,
+        localTime: dayjs(row._time).tz(TIMEZONE).format("YYYY-MM-DD HH:mm:ss"),
+        mac: formatMacAddress(normalizedMac),
+        role,
+        room,
+        ...(edges && { edge: row.edge }),
+        ...Object.fromEntries(
+          meta.fields.map((field) => [field, row[field] ?? null])
+        ),
+      };
+    });
+
+    res.json({
+      data,
+      nextCursor:
+        !edges && rows.length > limit
+          ? encodeReadingsCursor(page[page.length - 1])
+          : null,
+      meta,
+    });
+  } catch (error) {
+    console.error("❌ API /api/readings error:", error.message);
+    res.status(500).json({
+      error: "Failed to fetch readings",
+      details: error.message,
+    });
+  }
+});
+
+// Unaccounted energy: grid supply minus the sum of metered rooms
+app.get("/api/losses", requireManager, async (req, res) => {
+  try {
+    let range;
+    let thresholds;
+    try {
+      range = parseRangeQuery(req.query);
+      thresholds = parseLossThresholds(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { period, date, dateRange, custom } = range;
+
+    const mappingData = await getMetersMapping();
+    const { data: buckets } = await getEnergyReadings(
+      period,
+      dateRange,
+      [],
+      date,
+      mappingData,
+      null
+    );
+
+    const { data, summary } = analyzeLosses(buckets, thresholds);
+
+    res.json({
+      data,
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        thresholds,
+        ...summary,
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/losses error:", error.message);
+    res.status(500).json({
+      error: "Failed to analyze losses",
+      details: error.message,
+    });
+  }
+});
+
+// Forecast horizons: the slots they are cut into, the season the models
+// repeat over (in slots) and the days of history they learn from
+const FORECAST_HORIZONS = {
+  day: { period: "hour", unit: "hour", season: 24, historyDays: 28 },
+  month: { period: "day", unit: "day", season: 7, historyDays: 56 },
+};
+
+// kWh share of every time-of-use band in a slot, to price projected energy.
+// Days are assumed to use their energy evenly over the hours.
+const estimateSlotBands = (tariff, slotStart, unit) => {
+  const bands = {};
+  if (!tariff || tariff.type !== "tou") return { consumption: bands };
+  const hours = unit === "hour" ? 1 : 24;
+  for (let h = 0; h < hours; h++) {
+    const time = slotStart.add(h, "hour");
+    const band = getBandAt(tariff, time.hour(), time.day());
+    bands[band] = (bands[band] || 0) + 1;
+  }
+  return { consumption: bands };
+};
+
+// Project the consumption of the current day (hourly) or month (daily) from
+// the per-room history, with the cost when a tariff is set
+app.get("/api/forecast", scopeRooms, async (req, res) => {
+  try {
+    const {
+      horizon = "month",
+      model = "weighted_average",
+      tariff: tariffId,
+    } = req.query;
+    const config = FORECAST_HORIZONS[horizon];
+    if (!config) {
+      return res.status(400).json({
+        error: `Invalid horizon. Use: ${Object.keys(FORECAST_HORIZONS).join(
+          " or "
+        )}`,
+      });
+    }
+    if (!FORECAST_MODELS[model]) {
+      return res.status(400).json({
+        error: `Invalid model. Use: ${Object.keys(FORECAST_MODELS).join(
+          " or "
+        )}`,
+      });
+    }
+    const tariff = getTariff(tariffId);
+    if (tariffId && !tariff) {
+      return res.status(400).json({ error: `Unknown tariff: ${tariffId}` });
+    }
+    const selectedRooms = parseRoomList(req.query.room);
+
+    const { period, unit, season, historyDays } = config;
+    const now = dayjs().tz(TIMEZONE);
+    const date = now.format("YYYY-MM-DD");
+    const timePeriods = getTimePeriods(period, null, date);
+    const currentSlot = now.startOf(unit);
+    const currentKey = currentSlot.utc().toISOString();
+    const historyStart = timePeriods[0].local.subtract(historyDays, "day");
+
+    const buckets = await getRoomBreakdown(
+      {
+        start: historyStart.utc().toISOString(),
+        stop: now.utc().toISOString(),
+      },
+      unit
+    );
+    const bucketsByStart = Object.fromEntries(
+      buckets.map((bucket) => [bucket.utcStart, bucket])
+    );
+    const allRooms =
+      buckets.length > 0 ? buckets[0].rooms.map((r) => r.room) : [];
+    const rooms =
+      selectedRooms.length > 0
+        ? allRooms.filter((room) => selectedRooms.includes(room))
+        : allRooms;
+    if (rooms.length === 0) {
+      return res.status(400).json({
+        error:
+          selectedRooms.length > 0
+            ? `No meters found for room ${selectedRooms.join(", ")}`
+            : "No room meters reported in the forecast history",
+      });
+    }
+
+    // kWh of every room per complete slot, null where nothing was measured
+    const roomKWh = (key, room) => {
+      const bucket = bucketsByStart[key];
+      return bucket
+        ? bucket.rooms.find((r) => r.room === room)?.consumption ?? 0
+        : null;
+    };
+    const slotKeys = [];
+    for (let slot = historyStart; slot.isBefore(currentSlot); ) {
+      slotKeys.push(slot.utc().toISOString());
+      slot = slot.add(1, unit);
+    }
+    const history = Object.fromEntries(
+      rooms.map((room) => [room, slotKeys.map((key) => roomKWh(key, room))])
+    );
+    const current = {
+      elapsed:
+        now.diff(currentSlot) / currentSlot.add(1, unit).diff(currentSlot),
+      rooms: Object.fromEntries(
+        rooms.map((room) => [room, roomKWh(currentKey, room) || 0])
+      ),
+    };
+
+    const elapsedPeriods = timePeriods.filter((p) => p.utcStart < currentKey);
+    const remainingPeriods = timePeriods.filter(
+      (p) => p.utcStart >= currentKey
+    );
+    const measuredRooms = Object.fromEntries(
+      rooms.map((room) => [
+        room,
+        elapsedPeriods.reduce(
+          (sum, p) => sum + (roomKWh(p.utcStart, room) || 0),
+          0
+        ),
+      ])
+    );
+    const measured = Object.values(measuredRooms).reduce((a, b) => a + b, 0);
+
+    const forecasts = Object.fromEntries(
+      Object.keys(FORECAST_MODELS).map((id) => [
+        id,
+        forecastRooms(history, remainingPeriods.length, season, id, current),
+      ])
+    );
+    const { slots, error } = forecasts[model];
+    const sumSlots = (key) =>
+      slots.reduce((sum, slot) => sum + (slot[key] ?? 0), 0);
+    const hasBand = slots.every((slot) => slot.lower !== null);
+    const round = (value) => parseFloat(value.toFixed(3));
+
+    const data = remainingPeriods.map((p, i) => ({
+      timestamp: p.timestamp,
+      fullTimestamp: p.fullTimestamp,
+      period: p.period,
+      utcStart: p.utcStart,
+      utcEnd: p.utcEnd,
+      consumption: slots[i].consumption,
+      lower: slots[i].lower,
+      upper: slots[i].upper,
+    }));
+    const summary = {
+      measured: round(
+        measured + Object.values(current.rooms).reduce((a, b) => a + b, 0)
+      ),
+      projected: round(measured + sumSlots("consumption")),
+      // Slot errors are assumed to move together, which keeps the band on
+      // the safe side
+      lower: hasBand ? round(measured + sumSlots("lower")) : null,
+      upper: hasBand ? round(measured + sumSlots("upper")) : null,
+    };
+
+    if (tariff) {
+      // Price the whole period, measured slots included, so tiers and the
+      // fixed charge add up as on the bill
+      let priorUsage = {};
+      const monthStart = now.startOf("month");
+      if (
+        tariff.type === "tiered" &&
+        unit === "hour" &&
+        timePeriods[0].local.isAfter(monthStart)
+      ) {
+        // Tiered prices depend on the usage since the start of the month,
+        // which can reach back further than the forecast history
+        const days = await getRoomBreakdown(
+          {
+            start: monthStart.utc().toISOString(),
+            stop: timePeriods[0].utcStart,
+          },
+          "day"
+        );
+        priorUsage = {
+          consumption: days.reduce(
+            (sum, day) =>
+              sum +
+              day.rooms
+                .filter((r) => rooms.includes(r.room))
+                .reduce((s, r) => s + r.consumption, 0),
+            0
+          ),
+        };
+      }
+      const bandsByBucket = Object.fromEntries(
+        timePeriods.map((p) => [
+          p.utcStart,
+          estimateSlotBands(tariff, p.local, unit),
+        ])
+      );
+      const priceSeries = (key) => {
+        const priced = timePeriods.map((p, i) => ({
+          utcStart: p.utcStart,
+          utcEnd: p.utcEnd,
+          consumption:
+            i < elapsedPeriods.length
+              ? rooms.reduce(
+                  (sum, room) => sum + (roomKWh(p.utcStart, room) || 0),
+                  0
+                )
+              : slots[i - elapsedPeriods.length][key] ?? 0,
+          supply: 0,
+        }));
+        applyTariff(tariff, priced, bandsByBucket, priorUsage);
+        return priced.map((bucket) => bucket.consumptionCost);
+      };
+
+      const costs = { consumption: priceSeries("consumption") };
+      if (hasBand) {
+        costs.lower = priceSeries("lower");
+        costs.upper = priceSeries("upper");
+      }
+      const total = (values) =>
+        parseFloat(values.reduce((a, b) => a + b, 0).toFixed(2));
+
+      data.forEach((slot, i) => {
+        const index = elapsedPeriods.length + i;
+        slot.consumptionCost = costs.consumption[index];
+        slot.lowerCost = hasBand ? costs.lower[index] : null;
+        slot.upperCost = hasBand ? costs.upper[index] : null;
+      });
+      summary.projectedCost = total(costs.consumption);
+      summary.lowerCost = hasBand ? total(costs.lower) : null;
+      summary.upperCost = hasBand ? total(costs.upper) : null;
+    }
+
+    res.json({
+      data,
+      summary,
+      rooms: rooms.map((room) => ({
+        room,
+        measured: round(measuredRooms[room] + current.rooms[room]),
+        projected: round(
+          measuredRooms[room] +
+            slots.reduce((sum, slot) => sum + slot.rooms[room], 0)
+        ),
+      })),
+      models: Object.entries(forecasts).map(([id, forecast]) => ({
+        id,
+        name: FORECAST_MODELS[id],
+        projected: round(
+          measured +
+            forecast.slots.reduce((sum, slot) => sum + slot.consumption, 0)
+        ),
+        error: forecast.error,
+      })),
+      meta: {
+        horizon,
+        model,
+        period,
+        date,
+        timezone: TIMEZONE,
+        rooms: selectedRooms,
+        season,
+        historyDays,
+        error,
+        generatedAt: now.toISOString(),
+        tariff: tariff
+          ? {
+              id: tariff.id,
+              name: tariff.name,
+              type: tariff.type,
+              currency: tariff.currency,
+            }
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/forecast error:", error.message);
+    res.status(500).json({
+      error: "Failed to forecast consumption",
+      details: error.message,
+    });
+  }
+});
+
+// Window statistics of every quality field; each becomes one yield
+const QUALITY_STATISTICS = [
+  { name: "voltageMin", field: "voltage", fn: "min" },
+  { name: "voltageMax", field: "voltage", fn: "max" },
+  { name: "voltage", field: "voltage", fn: "mean" },
+  { name: "frequencyMin", field: "frequency", fn: "min" },
+  { name: "frequencyMax", field: "frequency", fn: "max" },
+  { name: "frequency", field: "frequency", fn: "mean" },
+  { name: "powerFactor", field: "pf", fn: "mean" },
+  { name: "power", field: "power", fn: "mean" },
+];
+
+// Voltage, frequency, power factor and power of every meter in windows
+// sized so a range gives about QUALITY_POINTS of them, from one query.
+// Returns the windows per normalized MAC, sorted by time.
+const fetchQualityWindows = async (dateRange, macFilter) => {
+  const windowMinutes = Math.max(
+    1,
+    Math.ceil(
+      dayjs(dateRange.stop).diff(dateRange.start, "minute") / QUALITY_POINTS
+    )
+  );
+  const fieldSet = [...new Set(QUALITY_STATISTICS.map((s) => s.field))]
+    .map((field) => `"${field}"`)
+    .join(", ");
+  const macSet = macFilter.map((mac) => `"${mac}"`).join(", ");
 
-  try {
-    const {
-      period = "hour",
-      room,
-      date = dayjs().tz(TIMEZONE).format("YYYY-MM-DD"),
-    } = req.query;
+  const query = `
+    data = from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: ${dateRange.start}, stop: ${dateRange.stop})
+      |> filter(fn: (r) => r._measurement == "pzem")
+      |> filter(fn: (r) => contains(value: r._field, set: [${fieldSet}]))
+      ${
+        macFilter.length > 0
+          ? `|> filter(fn: (r) => contains(value: r.mac_address, set: [${macSet}]))`
+          : ""
+      }
 
-    // Validate inputs
-    if (!["hour", "day", "month", "year"].includes(period)) {
-      return res
-        .status(400)
-        .json({ error: "Invalid period. Use: hour, day, month, or year" });
-    }
+    ${QUALITY_STATISTICS.map(
+      ({ name, field, fn }) => `
+    data
+      |> filter(fn: (r) => r._field == "${field}")
+      |> aggregateWindow(every: ${windowMinutes}m, fn: ${fn}, createEmpty: false, timeSrc: "_start")
+      |> keep(columns: ["_time", "_value", "mac_address"])
+      |> yield(name: "${name}")`
+    ).join("\n")}
+  `;
 
-    if (!dayjs(date).isValid()) {
-      return res
-        .status(400)
-        .json({ error: "Invalid date format. Use YYYY-MM-DD." });
+  const rows = await queryApi.collectRows(query);
+  const windowsByMac = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (!normalizedMac) return;
+    if (!windowsByMac[normalizedMac]) {
+      windowsByMac[normalizedMac] = {};
     }
+    const windows = windowsByMac[normalizedMac];
+    if (!windows[row._time]) {
+      windows[row._time] = Object.fromEntries([
+        ["time", row._time],
+        ...QUALITY_STATISTICS.map(({ name }) => [name, null]),
+      ]);
+    }
+    windows[row._time][row.result] = row._value;
+  });
 
-    // Get meters mapping
-    const mappingData = await getMetersMapping();
-    const { macToRoomMap, roomToMacsMap, originalMacFormats } = mappingData;
+  return {
+    windowMinutes,
+    windowsByMac: Object.fromEntries(
+      Object.entries(windowsByMac).map(([normalizedMac, windows]) => [
+        normalizedMac,
+        Object.values(windows).sort((a, b) => a.time.localeCompare(b.time)),
+      ])
+    ),
+  };
+};
 
-    console.log("🗂️ Available rooms:", Object.keys(roomToMacsMap));
-    console.log("🔍 Requested room:", room);
+// Resolve the range, limits and meter filter shared by the quality
+// endpoints, throwing on invalid input
+const parseQualityQuery = (query) => {
+  const range = parseRangeQuery(query);
+  const { dateRange } = range;
+  const days = dayjs(dateRange.stop).diff(dateRange.start, "day", true);
+  if (days > HOURLY_ANALYSIS_MAX_DAYS) {
+    throw new Error(
+      `Power quality covers at most ${HOURLY_ANALYSIS_MAX_DAYS} days, pick a shorter range.`
+    );
+  }
+  const normalizedMac = query.mac ? normalizeMacAddress(query.mac) : null;
+  if (query.mac && !/^[0-9a-f]{12}$/.test(normalizedMac)) {
+    throw new Error(`Invalid mac: ${query.mac}`);
+  }
+  return { range, limits: parseQualityLimits(query), normalizedMac };
+};
 
-    const dateRange = buildDateRangeQuery(period, date);
+// Voltage, frequency and power factor statistics and the quality events of
+// every meter (or one, by mac) over a range
+app.get("/api/quality", requireManager, async (req, res) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseQualityQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { range, limits, normalizedMac } = parsed;
+    const { period, date, dateRange, custom } = range;
 
-    // Build MAC filter for room
-    let macFilter = [];
-    if (room) {
-      const macsForRoom = roomToMacsMap[room.toString()] || [];
+    const registry = {};
+    (await listMeters()).forEach((meter) => {
+      registry[normalizeMacAddress(meter.mac)] = meter;
+    });
+    const { windowMinutes, windowsByMac } = await fetchQualityWindows(
+      dateRange,
+      normalizedMac
+        ? [
+            registry[normalizedMac]?.storedMac ||
+              formatMacAddress(normalizedMac),
+          ]
+        : []
+    );
 
-      if (macsForRoom.length > 0) {
-        // Use original MAC formats for InfluxDB query
-        macFilter = macsForRoom.map((macInfo) => macInfo.original);
-        console.log("🎯 MAC filter for room", room, ":", macFilter);
-      } else {
-        console.log("❌ No meters found for room:", room);
-        return res.json({
-          data: [],
-          message: `No meters found for room ${room}. Available rooms: ${Object.keys(
-            roomToMacsMap
-          ).join(", ")}`,
-          meta: {
-            period,
-            room,
-            date,
-            timezone: TIMEZONE,
-            totalRecords: 0,
-            availableRooms: Object.keys(roomToMacsMap),
-          },
-        });
+    // The summary of every meter, and its events for the combined list
+    const results = Object.entries(windowsByMac).map(([mac, windows]) => {
+      const meter = registry[mac];
+      const { events, ...summary } = summarizeQuality(
+        windows,
+        limits,
+        windowMinutes
+      );
+      return {
+        meter: {
+          mac: formatMacAddress(mac),
+          label: meter?.label || "",
+          role: meter?.role || null,
+          room: meter?.room || null,
+          ...summary,
+        },
+        events: events.map((event) => ({
+          mac: formatMacAddress(mac),
+          ...event,
+        })),
+      };
+    });
+    const events = results
+      .flatMap((result) => result.events)
+      .sort((a, b) => b.start.localeCompare(a.start));
+
+    res.json({
+      meters: results
+        .map((result) => result.meter)
+        .sort((a, b) => a.mac.localeCompare(b.mac)),
+      events,
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        limits,
+        windowMinutes,
+        eventCounts: Object.fromEntries(
+          Object.keys(EVENT_TYPES).map((type) => [
+            type,
+            events.filter((event) => event.type === type).length,
+          ])
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/quality error:", error.message);
+    res.status(500).json({
+      error: "Failed to analyze power quality",
+      details: error.message,
+    });
+  }
+});
+
+// Quality windows of one meter, for charting
+app.get("/api/quality/series", requireManager, async (req, res) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseQualityQuery(req.query);
+      if (!parsed.normalizedMac) {
+        throw new Error("mac is required");
       }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
+    const { range, limits, normalizedMac } = parsed;
+    const { period, date, dateRange, custom } = range;
 
-    // Get energy readings
-    const result = await getEnergyReadings(
-      period,
+    const meter = (await listMeters()).find(
+      (m) => normalizeMacAddress(m.mac) === normalizedMac
+    );
+    const { windowMinutes, windowsByMac } = await fetchQualityWindows(
       dateRange,
-      macFilter,
-      date,
-      mappingData,
-      room
+      [meter?.storedMac || formatMacAddress(normalizedMac)]
     );
 
     res.json({
-      data: result,
+      data: windowsByMac[normalizedMac] || [],
       meta: {
-        period,
-        room,
+        mac: formatMacAddress(normalizedMac),
+        period: custom ? "custom" : period,
         date,
+        ...custom,
         timezone: TIMEZONE,
-        totalRecords: result.length,
-        availableRooms: Object.keys(roomToMacsMap),
-        macMappingCount: Object.keys(macToRoomMap).length,
+        limits,
+        windowMinutes,
       },
     });
   } catch (error) {
-    console.error("❌ API /api/data error:", error.message);
+    console.error("❌ API /api/quality/series error:", error.message);
     res.status(500).json({
-      error: "API request failed",
+      error: "Failed to fetch power quality series",
       details: error.message,
     });
   }
 });
 
-// Correct way to start the server
-const server = app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Server running at http://0.0.0.0:${PORT}`);
+// kW of the grid supply and of every room per demand step between start and
+// stop, keyed by step start (ms). Power steps are the mean reading; energy
+// steps are the counter advance since the previous step, so that query
+// starts one step early. Advances that go backwards or exceed what a meter
+// can draw are left out.
+const fetchDemandSteps = async (dateRange, source) => {
+  const mappingData = await getMetersMapping();
+  const stepMs = DEMAND_STEP_MINUTES * 60 * 1000;
+  const stepHours = DEMAND_STEP_MINUTES / 60;
+  const start =
+    source === "energy"
+      ? new Date(Date.parse(dateRange.start) - stepMs).toISOString()
+      : dateRange.start;
+  const fn = source === "energy" ? "last" : "mean";
+
+  const query = `
+    from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: ${start}, stop: ${dateRange.stop})
+      |> filter(fn: (r) => r._measurement == "pzem" and r._field == "${source}")
+      |> aggregateWindow(every: ${DEMAND_STEP_MINUTES}m, fn: ${fn}, createEmpty: false, timeSrc: "_start")
+      |> keep(columns: ["_time", "_value", "mac_address"])
+  `;
+  const rows = await queryApi.collectRows(query);
+
+  const valuesByMac = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (!normalizedMac) return;
+    if (!valuesByMac[normalizedMac]) {
+      valuesByMac[normalizedMac] = {};
+    }
+    valuesByMac[normalizedMac][Date.parse(row._time)] = row._value;
+  });
+
+  const supply = {};
+  const rooms = {};
+  const add = (steps, time, kW) => {
+    steps[time] = (steps[time] || 0) + kW;
+  };
+  Object.entries(valuesByMac).forEach(([normalizedMac, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      const time = Number(key);
+      let kW = value / 1000;
+      if (source === "energy") {
+        const previous = values[time - stepMs];
+        if (previous === undefined) return;
+        kW = (value - previous) / stepHours;
+        if (kW < 0 || kW > MAX_METER_POWER_KW) return;
+      }
+
+      const state = resolveMeterAt(mappingData, normalizedMac, time);
+      if (state.role === "grid_import") {
+        add(supply, time, kW);
+      } else if (state.role === "room" && state.room) {
+        if (!rooms[state.room]) {
+          rooms[state.room] = {};
+        }
+        add(rooms[state.room], time, kW);
+      }
+    });
+  });
+
+  return { supply, rooms };
+};
+
+// Peak demand (the highest mean kW over a rolling 15 or 30 minute window)
+// of the grid supply and of every room or the selected ones, with when it
+// happened, over the whole range and per local day and month
+app.get("/api/demand", scopeRooms, async (req, res) => {
+  try {
+    let range;
+    let windowMinutes;
+    let source;
+    try {
+      range = parseRangeQuery(req.query);
+      windowMinutes = parseDemandWindow(req.query.window);
+      source = parseDemandSource(req.query.source);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { period, date, dateRange, custom } = range;
+    const days = dayjs(dateRange.stop).diff(dateRange.start, "day", true);
+    if (days > HOURLY_ANALYSIS_MAX_DAYS) {
+      return res.status(400).json({
+        error: `Peak demand covers at most ${HOURLY_ANALYSIS_MAX_DAYS} days, pick a shorter range.`,
+      });
+    }
+    const selectedRooms = parseRoomList(req.query.room);
+
+    const { supply, rooms } = await fetchDemandSteps(dateRange, source);
+
+    // Windows start on step boundaries, so the local keys repeat a lot
+    const localKeys = {};
+    const localKey = (time, format) => {
+      if (!localKeys[time]) {
+        const local = dayjs(time).tz(TIMEZONE);
+        localKeys[time] = {
+          day: local.format("YYYY-MM-DD"),
+          month: local.format("YYYY-MM"),
+        };
+      }
+      return localKeys[time][format];
+    };
+    const peaksOf = (steps) =>
+      findDemandPeaks(
+        rollingDemand(steps, windowMinutes),
+        (time) => localKey(time, "day"),
+        (time) => localKey(time, "month")
+      );
+
+    // The site supply is not shown to tenants
+    const supplyPeaks = getUserRooms(req.user) ? null : peaksOf(supply);
+    const roomPeaks = Object.keys(rooms)
+      .filter(
+        (room) => selectedRooms.length === 0 || selectedRooms.includes(room)
+      )
+      .sort((a, b) => a - b)
+      .map((room) => ({ room, ...peaksOf(rooms[room]) }));
+
+    // One entry per local day or month that has a peak in any series
+    const byPeriod = (unit, key) =>
+      [
+        ...new Set(
+          [supplyPeaks, ...roomPeaks]
+            .filter(Boolean)
+            .flatMap((peaks) => Object.keys(peaks[key]))
+        ),
+      ]
+        .sort()
+        .map((localDate) => ({
+          [unit]: localDate,
+          utcStart: dayjs
+            .tz(unit === "month" ? `${localDate}-01` : localDate, TIMEZONE)
+            .utc()
+            .toISOString(),
+          supply: supplyPeaks && formatPeak(supplyPeaks[key][localDate]),
+          rooms: roomPeaks
+            .filter((peaks) => peaks[key][localDate])
+            .map((peaks) => ({
+              room: peaks.room,
+              ...formatPeak(peaks[key][localDate]),
+            })),
+        }));
+
+    res.json({
+      days: byPeriod("date", "days"),
+      months: byPeriod("month", "months"),
+      peaks: {
+        supply: supplyPeaks && formatPeak(supplyPeaks.peak),
+        rooms: roomPeaks
+          .filter((peaks) => peaks.peak)
+          .map((peaks) => ({ room: peaks.room, ...formatPeak(peaks.peak) })),
+      },
+      meta: {
+        period: custom ? "custom" : period,
+        date,
+        ...custom,
+        timezone: TIMEZONE,
+        rooms: selectedRooms,
+        window: windowMinutes,
+        step: DEMAND_STEP_MINUTES,
+        source,
+      },
+    });
+  } catch (error) {
+    console.error("❌ API /api/demand error:", error.message);
+    res.status(500).json({
+      error: "Failed to calculate peak demand",
+      details: error.message,
+    });
+  }
+});
+
+// Latest instantaneous readings per meter, rolled up per room
+const getLiveReadings = async () => {
+  const mappingData = await getMetersMapping();
+  const { macToRoomMap, macToRoleMap } = mappingData;
+  const fieldSet = LIVE_FIELDS.map((field) => `"${field}"`).join(", ");
+
+  const query = `
+    from(bucket: "${INFLUX_BUCKET_PZEM}")
+      |> range(start: ${LIVE_LOOKBACK})
+      |> filter(fn: (r) => r._measurement == "pzem")
+      |> filter(fn: (r) => contains(value: r._field, set: [${fieldSet}]))
+      |> group(columns: ["mac_address", "_field"])
+      |> last()
+      |> keep(columns: ["_time", "_value", "_field", "mac_address"])
+  `;
+
+  const rows = await queryApi.collectRows(query);
+
+  // One entry per meter with all of its latest fields
+  const metersByMac = {};
+  rows.forEach((row) => {
+    const normalizedMac = normalizeMacAddress(row.mac_address);
+    if (!normalizedMac) return;
+
+    if (!metersByMac[normalizedMac]) {
+      metersByMac[normalizedMac] = {
+        mac: formatMacAddress(normalizedMac),
+        room: macToRoomMap[normalizedMac] || null,
+        role: macToRoleMap[normalizedMac] || null,
+        isSupply: macToRoleMap[normalizedMac] === "grid_import",
+        lastSeen: row._time,
+        voltage: null,
+        current: null,
+        power: null,
+        powerFactor: null,
+        frequency: null,
+      };
+    }
+
+    const meter = metersByMac[normalizedMac];
+    const key = row._field === "pf" ? "powerFactor" : row._field;
+    meter[key] = row._value;
+    if (new Date(row._time) > new Date(meter.lastSeen)) {
+      meter.lastSeen = row._time;
+    }
+  });
+
+  const meters = Object.values(metersByMac).sort((a, b) =>
+    a.mac.localeCompare(b.mac)
+  );
+
+  const average = (values) => {
+    const present = values.filter((v) => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    return present.reduce((sum, v) => sum + v, 0) / present.length;
+  };
+
+  // Sum power and current over a group of meters; voltage and frequency are
+  // averaged and the power factor is taken from real over apparent power
+  const summarizeMeters = (group) => {
+    const power = group.reduce((sum, m) => sum + (m.power || 0), 0);
+    const current = group.reduce((sum, m) => sum + (m.current || 0), 0);
+    const apparentPower = group.reduce(
+      (sum, m) => sum + (m.voltage || 0) * (m.current || 0),
+      0
+    );
+
+    return {
+      meterCount: group.length,
+      lastSeen: group
+        .map((m) => m.lastSeen)
+        .sort()
+        .pop(),
+      voltage: average(group.map((m) => m.voltage)),
+      current: parseFloat(current.toFixed(3)),
+      power: parseFloat(power.toFixed(1)),
+      powerFactor:
+        apparentPower > 0
+          ? parseFloat(Math.min(1, power / apparentPower).toFixed(2))
+          : null,
+      frequency: average(group.map((m) => m.frequency)),
+    };
+  };
+
+  const roomGroups = {};
+  meters.forEach((meter) => {
+    if (meter.role !== "room" || meter.room === null) return;
+    if (!roomGroups[meter.room]) {
+      roomGroups[meter.room] = [];
+    }
+    roomGroups[meter.room].push(meter);
+  });
+
+  const rooms = Object.entries(roomGroups)
+    .map(([room, roomMeters]) => ({ room, ...summarizeMeters(roomMeters) }))
+    .sort((a, b) => a.room - b.room);
+
+  const supplyMeters = meters.filter((meter) => meter.isSupply);
+  const solarMeters = meters.filter((meter) => meter.role === "solar");
+
+  return {
+    timestamp: new Date().toISOString(),
+    supply: supplyMeters.length > 0 ? summarizeMeters(supplyMeters) : null,
+    solar: solarMeters.length > 0 ? summarizeMeters(solarMeters) : null,
+    rooms,
+    meters,
+  };
+};
+
+// Narrow a live snapshot to some rooms; the site supply and solar are left
+// out, like everywhere tenants are served
+const scopeLiveReadings = (live, rooms) =>
+  rooms.length === 0
+    ? live
+    : {
+        ...live,
+        supply: null,
+        solar: null,
+        rooms: live.rooms.filter((entry) => rooms.includes(entry.room)),
+        meters: live.meters.filter(
+          (meter) => meter.role === "room" && rooms.includes(meter.room)
+        ),
+      };
+
+// Live readings endpoint
+app.get("/api/live", scopeRooms, async (req, res) => {
+  try {
+    res.json(
+      scopeLiveReadings(await getLiveReadings(), parseRoomList(req.query.room))
+    );
+  } catch (error) {
+    console.error("❌ API /api/live error:", error.message);
+    res.status(500).json({ error: "Failed to fetch live readings" });
+  }
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
-  server.close(() => {
-    console.log("Process terminated");
+// Server-Sent Events stream of live readings. A single poller is shared by
+// all connected clients and only runs while someone is listening. Each
+// client is kept with the rooms it may see.
+const liveClients = new Map();
+let liveTimer = null;
+
+const broadcastLiveReadings = async () => {
+  try {
+    const live = await getLiveReadings();
+    liveClients.forEach((rooms, client) =>
+      client.write(
+        `data: ${JSON.stringify(scopeLiveReadings(live, rooms))}\n\n`
+      )
+    );
+  } catch (error) {
+    console.error("❌ Live stream update failed:", error.message);
+    const payload = JSON.stringify({ error: error.message });
+    for (const client of liveClients.keys()) {
+      client.write(`event: error\ndata: ${payload}\n\n`);
+    }
+  }
+};
+
+app.get("/api/live/stream", scopeRooms, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
   });
+  res.flushHeaders();
+  res.write(`retry: ${LIVE_INTERVAL}\n\n`);
+
+  liveClients.set(res, parseRoomList(req.query.room));
+  console.log(`📡 Live stream client connected (${liveClients.size} total)`);
+
+  if (!liveTimer) {
+    liveTimer = setInterval(broadcastLiveReadings, LIVE_INTERVAL);
+  }
+  broadcastLiveReadings();
+
+  req.on("close", () => {
+    liveClients.delete(res);
+    console.log(
+      `📡 Live stream client disconnected (${liveClients.size} remaining)`
+    );
+    if (liveClients.size === 0 && liveTimer) {
+      clearInterval(liveTimer);
+      liveTimer = null;
+    }
+  });
+});
+
+// Each alert rule type reports one result per subject it watches
+const ALERT_EVALUATORS = {
+  // Energy the room used since local midnight
+  room_daily_energy: async (rule, mappingData, now) => {
+    const room = rule.room.toString();
+    const range = {
+      start: now.startOf("day").utc().toISOString(),
+      stop: now.utc().toISOString(),
+    };
+    const macs = (
+      getRoomMacsInRange(mappingData, range.start, range.stop)[room] || []
+    ).map((macInfo) => macInfo.original);
+    if (macs.length === 0) return [];
+
+    const { edges, counterEvents } = await fetchEnergyRows(range, macs, "day");
+    const { consumption } = calculateEnergyFromInfluxData(
+      edges,
+      mappingData,
+      room,
+      counterEvents
+    );
+    return [
+      {
+        subject: `room ${room}`,
+        value: consumption,
+        threshold: rule.maxKWh,
+        firing: consumption > rule.maxKWh,
+        message: `Room ${room} used ${consumption} kWh today (limit ${rule.maxKWh} kWh)`,
+      },
+    ];
+  },
+
+  // Minutes since the last energy reading of one meter or every active one
+  meter_silent: async (rule, mappingData, now) => {
+    const macs = rule.mac
+      ? [normalizeMacAddress(rule.mac)]
+      : Object.keys(mappingData.macToRoleMap);
+    const lookback = Math.max(rule.minutes * 2, ALERT_SILENT_LOOKBACK_MINUTES);
+    const rows = await queryApi.collectRows(`
+      from(bucket: "${INFLUX_BUCKET_PZEM}")
+        |> range(start: -${lookback}m)
+        |> filter(fn: (r) => r._measurement == "pzem")
+        |> filter(fn: (r) => r._field == "energy")
+        |> group(columns: ["mac_address"])
+        |> last()
+        |> keep(columns: ["_time", "mac_address"])
+    `);
+
+    const lastSeen = {};
+    rows.forEach((row) => {
+      lastSeen[normalizeMacAddress(row.mac_address)] = row._time;
+    });
+
+    return macs.map((mac) => {
+      const seen = lastSeen[mac];
+      const silentMinutes = seen ? now.diff(dayjs(seen), "minute") : null;
+      return {
+        subject: formatMacAddress(mac),
+        value: silentMinutes,
+        threshold: rule.minutes,
+        firing: silentMinutes === null || silentMinutes >= rule.minutes,
+        message: seen
+          ? `Meter ${formatMacAddress(
+              mac
+            )} last reported ${silentMinutes} minutes ago (limit ${
+              rule.minutes
+            } minutes)`
+          : `Meter ${formatMacAddress(
+              mac
+            )} has not reported in the last ${lookback} minutes`,
+      };
+    });
+  },
+
+  // Share of the available energy the rooms do not account for
+  supply_gap: async (rule, mappingData, now) => {
+    const minutes = rule.minutes ?? 60;
+    const range = {
+      start: now.subtract(minutes, "minute").utc().toISOString(),
+      stop: now.utc().toISOString(),
+    };
+    const { edges, counterEvents } = await fetchEnergyRows(range, [], "hour");
+    const { consumption, supply, solar, gridExport } =
+      calculateEnergyFromInfluxData(edges, mappingData, null, counterEvents);
+    const available = supply + solar - gridExport;
+    if (available <= 0) {
+      return [
+        {
+          subject: "site",
+          value: null,
+          threshold: rule.maxPercent,
+          firing: false,
+          message: `No supply measured in the last ${minutes} minutes`,
+        },
+      ];
+    }
+
+    const gapPercent = parseFloat(
+      (((available - consumption) / available) * 100).toFixed(2)
+    );
+    return [
+      {
+        subject: "site",
+        value: gapPercent,
+        threshold: rule.maxPercent,
+        firing: gapPercent > rule.maxPercent,
+        message: `Supply–rooms gap is ${gapPercent}% over the last ${minutes} minutes (limit ${rule.maxPercent}%)`,
+      },
+    ];
+  },
+};
+
+let alertsRunning = false;
+
+// Evaluate every enabled rule and deliver the alerts that changed state
+const evaluateAlertRules = async () => {
+  // Skip a tick while the previous run is still going
+  if (alertsRunning) return [];
+  alertsRunning = true;
+
+  try {
+    const { rules, channels } = loadAlertConfig();
+    pruneActiveAlerts(rules.map((rule) => rule.id));
+    const mappingData = await getMetersMapping();
+    const now = dayjs().tz(TIMEZONE);
+    const events = [];
+
+    for (const rule of rules) {
+      if (rule.enabled === false) continue;
+      try {
+        const results = await ALERT_EVALUATORS[rule.type](
+          rule,
+          mappingData,
+          now
+        );
+        events.push(...(await processAlertResults(rule, results, channels)));
+      } catch (error) {
+        console.error(`❌ Alert rule ${rule.id} failed:`, error.message);
+      }
+    }
+    return events;
+  } finally {
+    alertsRunning = false;
+  }
+};
+
+// Alert rules and delivery channels
+app.get("/api/alerts/rules", requireManager, (req, res) => {
+  try {
+    res.json(redactAlertConfig(loadAlertConfig()));
+  } catch (error) {
+    console.error("❌ Error loading alert rules:", error.message);
+    res.status(500).json({ error: "Failed to load alert rules" });
+  }
+});
+
+app.put("/api/alerts/rules", requireAdmin, (req, res) => {
+  try {
+    const config = saveAlertConfig(req.body);
+    pruneActiveAlerts(config.rules.map((rule) => rule.id));
+    res.json(redactAlertConfig(config));
+  } catch (error) {
+    console.error("❌ Error saving alert rules:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Alerts that are firing right now
+app.get("/api/alerts/active", requireManager, (req, res) => {
+  res.json({ alerts: getActiveAlerts() });
+});
+
+// Alert events, newest first
+app.get("/api/alerts/history", requireManager, (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  try {
+    res.json({ events: readAlertHistory({ ruleId: req.query.rule, limit }) });
+  } catch (error) {
+    console.error("❌ Error reading alert history:", error.message);
+    res.status(500).json({
+      error: "Failed to read alert history",
+      details: error.message,
+    });
+  }
+});
+
+// Evaluate the rules now instead of waiting for the schedule
+app.post("/api/alerts/evaluate", requireAdmin, async (req, res) => {
+  try {
+    res.json({ events: await evaluateAlertRules() });
+  } catch (error) {
+    console.error("❌ Alert evaluation failed:", error.message);
+    res.status(500).json({
+      error: "Alert evaluation failed",
+      details: error.message,
+    });
+  }
 });
+
+// Correct way to start the server
+// Only serve when started directly; the tests load this file for the app
+if (require.main === module) {
+  const admin = ensureAdminUser();
+  if (admin) {
+    console.log(`👤 Created admin user ${admin.username}`);
+  } else if (loadUsers().users.length === 0) {
+    console.warn(
+      "⚠️ No users yet, set ADMIN_PASSWORD to create the first admin"
+    );
+  }
+
+  const server = app.listen(PORT, "0.0.0.0", () => {
+    console.log(`🚀 Server running at http://0.0.0.0:${PORT}`);
+  });
+
+  // An interval of 0 leaves alerts to POST /api/alerts/evaluate
+  const alertTimer =
+    ALERT_INTERVAL > 0
+      ? setInterval(
+          () =>
+            evaluateAlertRules().catch((error) =>
+              console.error("❌ Alert evaluation failed:", error.message)
+            ),
+          ALERT_INTERVAL
+        )
+      : null;
+
+  // Graceful shutdown
+  process.on("SIGTERM", () => {
+    console.log("SIGTERM received, shutting down gracefully");
+    if (liveTimer) clearInterval(liveTimer);
+    if (alertTimer) clearInterval(alertTimer);
+    for (const client of liveClients.keys()) client.end();
+    server.close(() => {
+      console.log("Process terminated");
+    });
+  });
+}
+
+module.exports = { app, evaluateAlertRules };
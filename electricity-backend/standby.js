@@ -0,0 +1,59 @@
+// Hourly consumption below this percentile is the always-on base load,
+// overridable per request
+const DEFAULT_STANDBY_PERCENTILE = Number(process.env.STANDBY_PERCENTILE) || 10;
+
+// Nearest-rank percentile of a list of numbers
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+const parseStandbyPercentile = (value) => {
+  if (value === undefined) return DEFAULT_STANDBY_PERCENTILE;
+  const p = Number(value);
+  if (!Number.isFinite(p) || p <= 0 || p >= 100) {
+    throw new Error(`Invalid percentile: ${value}. Use a number from 1 to 99.`);
+  }
+  return p;
+};
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+// Base load, peak load and load factor of every room from its hourly kWh
+// (one value per measured hour, which is also the average kW of the hour).
+// The always-on energy is the base load running through every measured
+// hour; rooms are ranked by it.
+const analyzeStandby = (hourlyByRoom, p = DEFAULT_STANDBY_PERCENTILE) =>
+  Object.entries(hourlyByRoom)
+    .map(([room, hours]) => {
+      const consumption = hours.reduce((sum, kWh) => sum + kWh, 0);
+      const baseLoad = percentile(hours, p);
+      const peakLoad = hours.length > 0 ? Math.max(...hours) : 0;
+      const averageLoad = hours.length > 0 ? consumption / hours.length : 0;
+      const standbyEnergy = baseLoad * hours.length;
+
+      return {
+        room,
+        hours: hours.length,
+        consumption: round(consumption),
+        baseLoad: round(baseLoad),
+        peakLoad: round(peakLoad),
+        averageLoad: round(averageLoad),
+        loadFactor: peakLoad > 0 ? round(averageLoad / peakLoad) : null,
+        standbyEnergy: round(standbyEnergy),
+        standbyShare:
+          consumption > 0
+            ? round((standbyEnergy / consumption) * 100, 2)
+            : null,
+      };
+    })
+    .sort((a, b) => b.standbyEnergy - a.standbyEnergy || a.room - b.room)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+module.exports = {
+  DEFAULT_STANDBY_PERCENTILE,
+  parseStandbyPercentile,
+  analyzeStandby,
+};
@@ -0,0 +1,266 @@
+// Rolls PZEM energy up into hourly and daily per-room totals and upserts
+// them into MySQL (and Elasticsearch when ES_NODE is set), so BI tools can
+// query the totals without going through InfluxDB.
+//
+//   node sync.js          keep running, syncing every SYNC_INTERVAL_MINUTES
+//   node sync.js --once   sync what is pending and exit (for cron)
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { Client } = require("@elastic/elasticsearch");
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const { TIMEZONE, getRoomBreakdown } = require("./energy");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const ROLLUP_TABLE = process.env.SYNC_TABLE || "energy_rollups";
+const CHECKPOINT_TABLE = "sync_checkpoints";
+const ES_INDEX = process.env.ES_INDEX || "energy-rollups";
+// Where the first run starts; matches the start of the year view
+const SYNC_START = process.env.SYNC_START || "2023-01-01";
+const SYNC_INTERVAL =
+  (Number(process.env.SYNC_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const SITE_ROOM = "all"; // Room value of the site-wide rows
+
+// Hourly totals are synced one local day per query, daily totals one month
+const GRANULARITIES = {
+  hour: { chunk: "day" },
+  day: { chunk: "month" },
+};
+
+const pool = mysql.createPool({
+  host: process.env.DB_HOST || "localhost",
+  port: Number(process.env.DB_PORT) || 3306,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  timezone: "Z", // Store UTC
+  connectionLimit: 2,
+});
+
+const esClient = process.env.ES_NODE
+  ? new Client({
+      node: process.env.ES_NODE,
+      auth: process.env.ES_USERNAME
+        ? {
+            username: process.env.ES_USERNAME,
+            password: process.env.ES_PASSWORD,
+          }
+        : undefined,
+    })
+  : null;
+
+const ensureTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS \`${ROLLUP_TABLE}\` (
+      granularity ENUM('hour', 'day') NOT NULL,
+      period_start DATETIME NOT NULL,
+      room VARCHAR(32) NOT NULL,
+      consumption_kwh DOUBLE NOT NULL,
+      supply_kwh DOUBLE NULL,
+      solar_kwh DOUBLE NULL,
+      grid_export_kwh DOUBLE NULL,
+      counter_resets INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (granularity, period_start, room)
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS \`${CHECKPOINT_TABLE}\` (
+      name VARCHAR(64) NOT NULL PRIMARY KEY,
+      synced_until DATETIME NOT NULL
+    )
+  `);
+};
+
+const getCheckpoint = async (granularity) => {
+  const [rows] = await pool.query(
+    `SELECT synced_until FROM \`${CHECKPOINT_TABLE}\` WHERE name = ?`,
+    [`${ROLLUP_TABLE}:${granularity}`]
+  );
+  return rows.length > 0
+    ? dayjs(rows[0].synced_until).tz(TIMEZONE)
+    : dayjs.tz(SYNC_START, TIMEZONE).startOf("day");
+};
+
+const saveCheckpoint = async (granularity, syncedUntil) => {
+  await pool.query(
+    `INSERT INTO \`${CHECKPOINT_TABLE}\` (name, synced_until) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE synced_until = VALUES(synced_until)`,
+    [`${ROLLUP_TABLE}:${granularity}`, syncedUntil.toDate()]
+  );
+};
+
+// One row per room plus a site row with supply, solar and export
+const toRollupRows = (granularity, buckets) =>
+  buckets.flatMap((bucket) => [
+    {
+      granularity,
+      periodStart: bucket.utcStart,
+      room: SITE_ROOM,
+      consumption: bucket.site.consumption,
+      supply: bucket.site.supply,
+      solar: bucket.site.solar,
+      gridExport: bucket.site.gridExport,
+      counterResets: bucket.counterResets,
+    },
+    ...bucket.rooms.map((r) => ({
+      granularity,
+      periodStart: bucket.utcStart,
+      room: r.room,
+      consumption: r.consumption,
+      supply: null,
+      solar: null,
+      gridExport: null,
+      counterResets: 0,
+    })),
+  ]);
+
+const upsertRows = async (rows) => {
+  if (rows.length === 0) return;
+  await pool.query(
+    `INSERT INTO \`${ROLLUP_TABLE}\`
+       (granularity, period_start, room, consumption_kwh, supply_kwh,
+        solar_kwh, grid_export_kwh, counter_resets)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE
+       consumption_kwh = VALUES(consumption_kwh),
+       supply_kwh = VALUES(supply_kwh),
+       solar_kwh = VALUES(solar_kwh),
+       grid_export_kwh = VALUES(grid_export_kwh),
+       counter_resets = VALUES(counter_resets)`,
+    [
+      rows.map((row) => [
+        row.granularity,
+        new Date(row.periodStart),
+        row.room,
+        row.consumption,
+        row.supply,
+        row.solar,
+        row.gridExport,
+        row.counterResets,
+      ]),
+    ]
+  );
+};
+
+const indexRows = async (rows) => {
+  if (!esClient || rows.length === 0) return;
+
+  // Document ids are stable so re-syncing a period overwrites it
+  const operations = rows.flatMap((row) => [
+    {
+      index: {
+        _index: ES_INDEX,
+        _id: `${row.granularity}-${row.periodStart}-${row.room}`,
+      },
+    },
+    {
+      granularity: row.granularity,
+      period_start: row.periodStart,
+      room: row.room,
+      consumption_kwh: row.consumption,
+      supply_kwh: row.supply,
+      solar_kwh: row.solar,
+      grid_export_kwh: row.gridExport,
+      counter_resets: row.counterResets,
+    },
+  ]);
+
+  const response = await esClient.bulk({ operations });
+  if (response.errors) {
+    const failed = response.items.find((item) => item.index.error);
+    throw new Error(
+      `Elasticsearch bulk indexing failed: ${failed.index.error.reason}`
+    );
+  }
+};
+
+// Sync every complete bucket since the checkpoint, one chunk at a time, and
+// move the checkpoint after each chunk so a restart resumes from there
+const syncGranularity = async (granularity) => {
+  const { chunk } = GRANULARITIES[granularity];
+  const syncUntil = dayjs().tz(TIMEZONE).startOf(granularity);
+  let from = await getCheckpoint(granularity);
+
+  while (from.isBefore(syncUntil)) {
+    const nextChunk = from.startOf(chunk).add(1, chunk);
+    const to = nextChunk.isBefore(syncUntil) ? nextChunk : syncUntil;
+    const range = {
+      start: from.utc().toISOString(),
+      stop: to.utc().toISOString(),
+    };
+
+    const buckets = await getRoomBreakdown(range, granularity);
+    const rows = toRollupRows(granularity, buckets);
+    await upsertRows(rows);
+    await indexRows(rows);
+    await saveCheckpoint(granularity, to);
+
+    console.log(
+      `💾 Synced ${rows.length} ${granularity} rows for ${from.format(
+        "YYYY-MM-DD HH:mm"
+      )} → ${to.format("YYYY-MM-DD HH:mm")}`
+    );
+    from = to;
+  }
+};
+
+let running = false;
+
+// Returns whether everything pending was synced
+const runSync = async () => {
+  // Skip a tick while the previous run is still catching up
+  if (running) return false;
+  running = true;
+
+  try {
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      await syncGranularity(granularity);
+    }
+    console.log("✅ Sync complete");
+    return true;
+  } catch (error) {
+    console.error(
+      "❌ Sync failed, will resume on the next run:",
+      error.message
+    );
+    return false;
+  } finally {
+    running = false;
+  }
+};
+
+const main = async () => {
+  await ensureTables();
+  const synced = await runSync();
+
+  if (process.argv.includes("--once")) {
+    await pool.end();
+    process.exit(synced ? 0 : 1);
+  }
+
+  const timer = setInterval(runSync, SYNC_INTERVAL);
+  console.log(
+    `🔄 Syncing every ${SYNC_INTERVAL / 60000} minutes into ${ROLLUP_TABLE}${
+      esClient ? ` and ${ES_INDEX}` : ""
+    }`
+  );
+
+  const shutdown = async () => {
+    console.log("Shutting down sync worker");
+    clearInterval(timer);
+    await pool.end();
+    process.exit(0);
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+};
+
+main().catch((error) => {
+  console.error("❌ Sync worker failed to start:", error.message);
+  process.exit(1);
+});
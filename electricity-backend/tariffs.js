@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+
+const TARIFFS_FILE =
+  process.env.TARIFFS_FILE || path.join(__dirname, "tariffs.json");
+const TARIFF_TYPES = ["flat", "tiered", "tou"];
+const OFF_PEAK_BAND = "offpeak";
+
+// Parse "HH:00" into an hour of day; windows are priced per whole hour
+const parseHour = (value) => {
+  const match = /^(\d{2}):00$/.exec(value || "");
+  const hour = match ? Number(match[1]) : NaN;
+  return hour >= 0 && hour <= 24 ? hour : null;
+};
+
+const isRate = (value) => typeof value === "number" && value >= 0;
+
+// Validate a single tariff definition, throwing on the first problem
+const validateTariff = (tariff) => {
+  if (!tariff || typeof tariff !== "object") {
+    throw new Error("Tariff must be an object");
+  }
+  if (!tariff.id || typeof tariff.id !== "string") {
+    throw new Error("Tariff id is required");
+  }
+  if (!TARIFF_TYPES.includes(tariff.type)) {
+    throw new Error(
+      `Tariff ${tariff.id}: type must be one of ${TARIFF_TYPES.join(", ")}`
+    );
+  }
+  if (
+    tariff.fixedMonthlyCharge !== undefined &&
+    !isRate(tariff.fixedMonthlyCharge)
+  ) {
+    throw new Error(`Tariff ${tariff.id}: invalid fixedMonthlyCharge`);
+  }
+
+  if (tariff.type === "flat" && !isRate(tariff.rate)) {
+    throw new Error(`Tariff ${tariff.id}: flat tariffs need a rate`);
+  }
+
+  if (tariff.type === "tiered") {
+    if (!Array.isArray(tariff.tiers) || tariff.tiers.length === 0) {
+      throw new Error(`Tariff ${tariff.id}: tiered tariffs need tiers`);
+    }
+    tariff.tiers.forEach((tier, i) => {
+      const isLast = i === tariff.tiers.length - 1;
+      if (!isRate(tier.rate)) {
+        throw new Error(`Tariff ${tariff.id}: tier ${i + 1} needs a rate`);
+      }
+      if (isLast ? tier.upTo != null : !(tier.upTo > 0)) {
+        throw new Error(
+          `Tariff ${tariff.id}: every tier but the last needs an upTo limit`
+        );
+      }
+      if (i > 0 && !isLast && tier.upTo <= tariff.tiers[i - 1].upTo) {
+        throw new Error(`Tariff ${tariff.id}: tier limits must increase`);
+      }
+    });
+  }
+
+  if (tariff.type === "tou") {
+    if (!isRate(tariff.offPeakRate)) {
+      throw new Error(`Tariff ${tariff.id}: tou tariffs need an offPeakRate`);
+    }
+    if (!Array.isArray(tariff.windows) || tariff.windows.length === 0) {
+      throw new Error(`Tariff ${tariff.id}: tou tariffs need windows`);
+    }
+    tariff.windows.forEach((window) => {
+      if (!window.name || window.name === OFF_PEAK_BAND) {
+        throw new Error(`Tariff ${tariff.id}: every window needs a name`);
+      }
+      // Names and days end up in Flux queries, so nothing else gets through
+      if (typeof window.name !== "string" || !/^[\w -]+$/.test(window.name)) {
+        throw new Error(
+          `Tariff ${tariff.id}: window names may only hold letters, digits, spaces, dashes and underscores`
+        );
+      }
+      if (
+        window.days !== undefined &&
+        (!Array.isArray(window.days) ||
+          window.days.some(
+            (day) => !Number.isInteger(day) || day < 0 || day > 6
+          ))
+      ) {
+        throw new Error(
+          `Tariff ${tariff.id}: window ${window.name} days must be weekdays 0-6`
+        );
+      }
+      if (parseHour(window.start) === null || parseHour(window.end) === null) {
+        throw new Error(
+          `Tariff ${tariff.id}: window ${window.name} needs HH:00 start and end`
+        );
+      }
+      if (!isRate(window.rate)) {
+        throw new Error(
+          `Tariff ${tariff.id}: window ${window.name} needs a rate`
+        );
+      }
+    });
+  }
+
+  return tariff;
+};
+
+const validateTariffConfig = (config) => {
+  if (!config || !Array.isArray(config.tariffs)) {
+    throw new Error("Tariff config must contain a tariffs array");
+  }
+  config.tariffs.forEach(validateTariff);
+
+  const ids = config.tariffs.map((t) => t.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error("Tariff ids must be unique");
+  }
+  if (config.activeTariff && !ids.includes(config.activeTariff)) {
+    throw new Error(`Active tariff ${config.activeTariff} is not defined`);
+  }
+  return config;
+};
+
+const loadTariffConfig = () => {
+  if (!fs.existsSync(TARIFFS_FILE)) {
+    return { currency: "CNY", activeTariff: null, tariffs: [] };
+  }
+  return validateTariffConfig(
+    JSON.parse(fs.readFileSync(TARIFFS_FILE, "utf8"))
+  );
+};
+
+const saveTariffConfig = (config) => {
+  validateTariffConfig(config);
+  fs.writeFileSync(TARIFFS_FILE, JSON.stringify(config, null, 2) + "\n");
+  return config;
+};
+
+// Look up a tariff by id, falling back to the active one
+const getTariff = (id) => {
+  const config = loadTariffConfig();
+  const tariff = config.tariffs.find(
+    (t) => t.id === (id || config.activeTariff)
+  );
+  return tariff ? { currency: config.currency, ...tariff } : null;
+};
+
+// Cost of consuming kWh on a tiered tariff when monthToDate kWh were
+// already used in the same billing month
+const calculateTieredCost = (tiers, kWh, monthToDate = 0) => {
+  let cost = 0;
+  let lower = 0;
+  const from = monthToDate;
+  const to = monthToDate + kWh;
+
+  tiers.forEach((tier) => {
+    const upper = tier.upTo == null ? Infinity : tier.upTo;
+    const inTier = Math.max(0, Math.min(to, upper) - Math.max(from, lower));
+    cost += inTier * tier.rate;
+    lower = upper;
+  });
+
+  return cost;
+};
+
+// Energy charge for one bucket. bandEnergy holds the kWh measured in each
+// time-of-use band and is only used to split kWh between the band rates.
+const calculateEnergyCost = (
+  tariff,
+  kWh,
+  { bandEnergy = {}, monthToDate = 0 } = {}
+) => {
+  if (!tariff || kWh <= 0) return 0;
+
+  if (tariff.type === "flat") {
+    return kWh * tariff.rate;
+  }
+
+  if (tariff.type === "tiered") {
+    return calculateTieredCost(tariff.tiers, kWh, monthToDate);
+  }
+
+  const rates = { [OFF_PEAK_BAND]: tariff.offPeakRate };
+  tariff.windows.forEach((window) => {
+    rates[window.name] = window.rate;
+  });
+
+  const measured = Object.values(bandEnergy).reduce(
+    (sum, value) => sum + Math.max(0, value),
+    0
+  );
+  if (measured <= 0) {
+    return kWh * tariff.offPeakRate;
+  }
+
+  return Object.entries(bandEnergy).reduce(
+    (cost, [band, value]) =>
+      cost +
+      ((kWh * Math.max(0, value)) / measured) *
+        (rates[band] ?? tariff.offPeakRate),
+    0
+  );
+};
+
+// Share of the fixed monthly charge that falls into a bucket covering
+// monthFraction months
+const calculateFixedCharge = (tariff, monthFraction) =>
+  tariff && tariff.fixedMonthlyCharge
+    ? tariff.fixedMonthlyCharge * monthFraction
+    : 0;
+
+// Flux expression that names the time-of-use band of a local hour `h` on
+// weekday `wd` (0 = Sunday). Earlier windows win when they overlap.
+const buildBandExpression = (tariff) =>
+  tariff.windows.reduceRight((otherwise, window) => {
+    const start = parseHour(window.start);
+    const end = parseHour(window.end);
+    let condition =
+      start < end
+        ? `(h >= ${start} and h < ${end})`
+        : `(h >= ${start} or h < ${end})`;
+    if (Array.isArray(window.days) && window.days.length > 0) {
+      condition += ` and contains(value: wd, set: [${window.days.join(", ")}])`;
+    }
+    return `if ${condition} then "${window.name}" else ${otherwise}`;
+  }, `"${OFF_PEAK_BAND}"`);
+
+// Time-of-use band of a local hour on a weekday (0 = Sunday), the same one
+// buildBandExpression picks
+const getBandAt = (tariff, hour, weekday) => {
+  const window = tariff.windows.find((w) => {
+    const start = parseHour(w.start);
+    const end = parseHour(w.end);
+    const inHours =
+      start < end ? hour >= start && hour < end : hour >= start || hour < end;
+    return (
+      inHours &&
+      (!Array.isArray(w.days) ||
+        w.days.length === 0 ||
+        w.days.includes(weekday))
+    );
+  });
+  return window ? window.name : OFF_PEAK_BAND;
+};
+
+module.exports = {
+  OFF_PEAK_BAND,
+  validateTariff,
+  loadTariffConfig,
+  saveTariffConfig,
+  getTariff,
+  calculateEnergyCost,
+  calculateFixedCharge,
+  buildBandExpression,
+  getBandAt,
+};
@@ -0,0 +1,224 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "access-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.AUTH_SECRET = "test-secret";
+process.env.SUPPLY_MACS = "08:f9:e0:73:64:db";
+
+const SUPPLY = "08:f9:e0:73:64:db";
+const ROOM_METERS = { 101: "aa:bb:cc:dd:ee:01", 102: "aa:bb:cc:dd:ee:02" };
+// Local day 2025-03-10 starts at 16:00 UTC the day before
+const DAY_START = Date.parse("2025-03-09T16:00:00Z");
+const at = (minutes) => new Date(DAY_START + minutes * 60000).toISOString();
+
+// Energy counters at the start and end of the day, and steady power (W)
+// for the first hour
+const readings = [
+  [SUPPLY, 100, 115, 3000],
+  [ROOM_METERS[101], 10, 15, 1000],
+  [ROOM_METERS[102], 20, 28, 2000],
+];
+
+const { loadServer } = require("./helpers/server");
+const { app } = loadServer(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return Object.entries(ROOM_METERS).map(([room, mac]) => ({
+      meter_mac: mac,
+      _field: "room_id",
+      _value: Number(room),
+      _time: "2024-01-01T00:00:00Z",
+    }));
+  }
+  if (query.includes("aggregateWindow")) {
+    return readings.flatMap(([mac, , , watts]) =>
+      Array.from({ length: 12 }, (_, i) => ({
+        mac_address: mac,
+        _time: at(i * 5),
+        _value: watts,
+      }))
+    );
+  }
+  if (query.includes('yield(name: "edges")')) {
+    return readings.flatMap(([mac, first, last]) => [
+      { result: "edges", mac_address: mac, _time: at(0), _value: first },
+      { result: "edges", mac_address: mac, _time: at(1439), _value: last },
+    ]);
+  }
+  if (query.includes("|> last()")) {
+    return readings.map(([mac, , , watts]) => ({
+      mac_address: mac,
+      _field: "power",
+      _time: at(60),
+      _value: watts,
+    }));
+  }
+  return [];
+});
+const { createUser, signToken } = require("../auth");
+
+let server;
+let baseUrl;
+const tokens = {};
+
+before(async () => {
+  createUser({ username: "admin", password: "admin-pass", role: "admin" });
+  createUser({ username: "boss", password: "manager-pass", role: "manager" });
+  createUser({
+    username: "t101",
+    password: "tenant-pass",
+    role: "tenant",
+    rooms: ["101"],
+  });
+  ["admin", "boss", "t101"].forEach((username) => {
+    tokens[username] = signToken({ username });
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const get = (url, username) =>
+  fetch(`${baseUrl}${url}`, {
+    headers: username ? { Authorization: `Bearer ${tokens[username]}` } : {},
+  });
+
+const getJson = async (url, username) => {
+  const response = await get(url, username);
+  return { status: response.status, body: await response.json() };
+};
+
+test("the API needs a valid token", async () => {
+  assert.equal((await get("/api/rooms")).status, 401);
+  assert.equal(
+    (
+      await fetch(`${baseUrl}/api/rooms`, {
+        headers: { Authorization: `Bearer ${tokens.t101}x` },
+      })
+    ).status,
+    401
+  );
+  assert.equal((await get("/api/health")).status, 200);
+
+  const { body } = await getJson("/api/rooms", "t101");
+  assert.deepEqual(body, { rooms: ["101"] });
+
+  // Tokens in the URL would leak into history and logs
+  assert.equal(
+    (await get(`/api/rooms?access_token=${tokens.t101}`)).status,
+    401
+  );
+});
+
+test("roles guard the admin and manager endpoints", async () => {
+  assert.equal((await get("/api/users", "t101")).status, 403);
+  assert.equal((await get("/api/users", "boss")).status, 403);
+  assert.equal((await get("/api/users", "admin")).status, 200);
+  assert.equal((await get("/api/alerts/active", "t101")).status, 403);
+  assert.equal((await get("/api/alerts/active", "boss")).status, 200);
+});
+
+test("tenants are kept to their own rooms", async () => {
+  const foreign = await getJson(
+    "/api/demand?start=2025-03-10&end=2025-03-10&room=101,102",
+    "t101"
+  );
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.error, "No access to room 102");
+
+  const { body } = await getJson(
+    "/api/demand?start=2025-03-10&end=2025-03-10",
+    "t101"
+  );
+  assert.deepEqual(body.meta.rooms, ["101"]);
+  assert.deepEqual(
+    body.peaks.rooms.map((peak) => [peak.room, peak.kW]),
+    [["101", 1]]
+  );
+});
+
+test("tenants do not get the site supply demand", async () => {
+  const tenant = await getJson(
+    "/api/demand?start=2025-03-10&end=2025-03-10",
+    "t101"
+  );
+  assert.equal(tenant.body.peaks.supply, null);
+  assert.equal(tenant.body.days.length, 1);
+  assert.equal(tenant.body.days[0].supply, null);
+  assert.equal(tenant.body.months[0].supply, null);
+
+  const manager = await getJson(
+    "/api/demand?start=2025-03-10&end=2025-03-10",
+    "boss"
+  );
+  assert.equal(manager.body.peaks.supply.kW, 3);
+  assert.equal(manager.body.days[0].supply.kW, 3);
+  assert.deepEqual(
+    manager.body.peaks.rooms.map((peak) => peak.room),
+    ["101", "102"]
+  );
+});
+
+test("tenant bills leave out the site totals in every format", async () => {
+  const bills = "/api/bills?start=2025-03-10&end=2025-03-10";
+
+  const manager = await getJson(bills, "boss");
+  assert.equal(manager.body.supply, 15);
+  assert.equal(manager.body.roomsTotal, 13);
+  assert.deepEqual(manager.body.counterResets, []);
+  assert.equal(manager.body.statements.length, 2);
+
+  const tenant = await getJson(bills, "t101");
+  ["supply", "available", "roomsTotal", "loss", "lossPercent", "gridCost"]
+    .concat("counterResets")
+    .forEach((field) => assert.equal(tenant.body[field], null, field));
+  assert.deepEqual(
+    tenant.body.statements.map((statement) => statement.room),
+    ["101"]
+  );
+
+  const csv = await (await get(`${bills}&format=csv`, "t101")).text();
+  assert.equal(csv.trimEnd().split("\n").length, 2);
+  assert.match(csv, /\n101,/);
+
+  const html = await (await get(`${bills}&format=html`, "t101")).text();
+  assert.match(html, /Room 101/);
+  assert.doesNotMatch(html, /Grid supply/);
+  assert.match(
+    await (await get(`${bills}&format=html`, "boss")).text(),
+    /Grid supply 15 kWh/
+  );
+});
+
+test("tenants see live readings of their own rooms only", async () => {
+  const manager = await getJson("/api/live", "boss");
+  assert.equal(manager.body.supply.power, 3000);
+  assert.deepEqual(
+    manager.body.rooms.map((entry) => entry.room),
+    ["101", "102"]
+  );
+
+  const { body } = await getJson("/api/live", "t101");
+  assert.equal(body.supply, null);
+  assert.equal(body.solar, null);
+  assert.deepEqual(
+    body.rooms.map((entry) => [entry.room, entry.power]),
+    [["101", 1000]]
+  );
+  assert.deepEqual(
+    body.meters.map((meter) => meter.room),
+    ["101"]
+  );
+  assert.equal((await get("/api/live?room=102", "t101")).status, 403);
+  assert.equal((await get("/api/live/stream?room=102", "t101")).status, 403);
+});
@@ -0,0 +1,273 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+process.env.ALERTS_FILE = path.join(dir, "alerts.json");
+process.env.ALERT_HISTORY_FILE = path.join(dir, "alert-history.jsonl");
+process.env.ALERT_HISTORY_LIMIT = "4";
+process.env.SMTP_HOST = "127.0.0.1";
+process.env.ALERT_EMAIL_FROM = "alerts@example.com";
+
+const METER = "aa:bb:cc:dd:ee:01";
+let lastSeen = null; // Time of the newest energy reading of METER
+
+const { loadServer } = require("./helpers/server");
+const { evaluateAlertRules } = loadServer(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return [
+      {
+        meter_mac: METER,
+        _field: "room_id",
+        _value: 101,
+        _time: "2024-01-01T00:00:00Z",
+      },
+    ];
+  }
+  if (query.includes("|> last()")) {
+    return lastSeen ? [{ mac_address: METER, _time: lastSeen }] : [];
+  }
+  return [];
+});
+const {
+  loadAlertConfig,
+  saveAlertConfig,
+  redactAlertConfig,
+  readAlertHistory,
+  getActiveAlerts,
+  processAlertResults,
+} = require("../alerts");
+
+// Local stand-ins for a webhook receiver and an SMTP server
+const webhookBodies = [];
+const webhook = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    if (req.url === "/broken") {
+      res.writeHead(500).end();
+      return;
+    }
+    webhookBodies.push(JSON.parse(body));
+    res.writeHead(204).end();
+  });
+});
+
+const mails = [];
+const smtp = net.createServer((socket) => {
+  let buffer = "";
+  let message = null;
+  socket.write("220 localhost ESMTP\r\n");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (message !== null) {
+        if (line === ".") {
+          mails.push(message);
+          message = null;
+          socket.write("250 Queued\r\n");
+        } else {
+          message += line + "\n";
+        }
+      } else if (/^(EHLO|HELO)/i.test(line)) {
+        socket.write("250 localhost\r\n");
+      } else if (/^DATA/i.test(line)) {
+        message = "";
+        socket.write("354 Go ahead\r\n");
+      } else if (/^QUIT/i.test(line)) {
+        socket.end("221 Bye\r\n");
+      } else {
+        socket.write("250 OK\r\n");
+      }
+    }
+  });
+});
+
+const listen = (server) =>
+  new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port))
+  );
+
+let webhookUrl;
+
+before(async () => {
+  webhookUrl = `http://127.0.0.1:${await listen(webhook)}`;
+  process.env.SMTP_PORT = String(await listen(smtp));
+});
+
+after(() => {
+  webhook.close();
+  smtp.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("saveAlertConfig rejects rules for unknown channels", () => {
+  assert.throws(
+    () =>
+      saveAlertConfig({
+        channels: [],
+        rules: [
+          { id: "r", type: "meter_silent", minutes: 5, channels: ["ops"] },
+        ],
+      }),
+    /unknown channel ops/
+  );
+  assert.throws(
+    () =>
+      saveAlertConfig({
+        channels: [],
+        rules: [{ id: "r", type: "supply_gap", maxPercent: 0, channels: [] }],
+      }),
+    /maxPercent must be above 0/
+  );
+});
+
+test("processAlertResults fires once and resolves when the result clears", async () => {
+  const rule = { id: "gap", type: "supply_gap", channels: [] };
+  const result = (firing) => ({
+    subject: "site",
+    value: firing ? 30 : 5,
+    threshold: 20,
+    firing,
+    message: "gap",
+  });
+
+  const fired = await processAlertResults(rule, [result(true)], []);
+  assert.deepEqual(
+    fired.map((event) => event.status),
+    ["firing"]
+  );
+  assert.equal(getActiveAlerts().length, 1);
+
+  assert.deepEqual(await processAlertResults(rule, [result(true)], []), []);
+
+  const resolved = await processAlertResults(rule, [result(false)], []);
+  assert.deepEqual(
+    resolved.map((event) => [event.status, event.value]),
+    [["resolved", 5]]
+  );
+  assert.equal(getActiveAlerts().length, 0);
+});
+
+test("a silent meter is delivered by webhook and email, then resolves", async () => {
+  saveAlertConfig({
+    channels: [
+      { id: "hook", type: "webhook", url: `${webhookUrl}/alerts` },
+      { id: "broken", type: "webhook", url: `${webhookUrl}/broken` },
+      { id: "mail", type: "email", to: ["ops@example.com"] },
+    ],
+    rules: [
+      {
+        id: "silent",
+        name: "Meter silent",
+        type: "meter_silent",
+        mac: METER,
+        minutes: 30,
+        channels: ["hook", "broken", "mail"],
+      },
+    ],
+  });
+
+  lastSeen = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  assert.deepEqual(await evaluateAlertRules(), []);
+
+  lastSeen = new Date(Date.now() - 45 * 60 * 1000).toISOString();
+  const [firing] = await evaluateAlertRules();
+  assert.equal(firing.status, "firing");
+  assert.equal(firing.subject, METER);
+  assert.equal(firing.value, 45);
+  assert.deepEqual(
+    firing.deliveries.map(({ channel, delivered }) => [channel, delivered]),
+    [
+      ["hook", true],
+      ["broken", false],
+      ["mail", true],
+    ]
+  );
+  assert.equal(webhookBodies.length, 1);
+  assert.equal(webhookBodies[0].ruleId, "silent");
+  assert.equal(mails.length, 1);
+  assert.match(mails[0], /To: ops@example\.com/);
+  assert.match(mails[0], /Subject: \[ALERT\] Meter silent: aa:bb:cc:dd:ee:01/);
+
+  // Still silent: nothing new is sent
+  assert.deepEqual(await evaluateAlertRules(), []);
+
+  lastSeen = new Date().toISOString();
+  const [resolved] = await evaluateAlertRules();
+  assert.equal(resolved.status, "resolved");
+  assert.equal(webhookBodies.length, 2);
+  assert.equal(webhookBodies[1].status, "resolved");
+  assert.equal(mails.length, 2);
+  assert.match(mails[1], /Subject: \[RESOLVED\]/);
+});
+
+test("webhook header values are redacted and kept on save", () => {
+  const hook = {
+    id: "hook",
+    type: "webhook",
+    url: "https://example.com/alerts",
+    headers: { Authorization: "Bearer secret" },
+  };
+  const config = saveAlertConfig({ channels: [hook], rules: [] });
+
+  const [redacted] = redactAlertConfig(config).channels;
+  assert.deepEqual(redacted.headers, { Authorization: "********" });
+  assert.equal(redacted.url, hook.url);
+
+  // Sending the redacted config back keeps the secret
+  saveAlertConfig(redactAlertConfig(config));
+  assert.deepEqual(loadAlertConfig().channels[0].headers, {
+    Authorization: "Bearer secret",
+  });
+
+  assert.throws(
+    () =>
+      saveAlertConfig({
+        channels: [{ ...hook, headers: { "X-Key": "********" } }],
+        rules: [],
+      }),
+    /header X-Key has no stored value/
+  );
+  saveAlertConfig({ channels: [], rules: [] });
+});
+
+test("the alert history keeps only the newest ALERT_HISTORY_LIMIT events", async () => {
+  const rule = { id: "history", type: "supply_gap", channels: [] };
+  for (const value of [1, 2, 3]) {
+    await processAlertResults(
+      rule,
+      [{ subject: "site", value, firing: value % 2 === 1, message: "gap" }],
+      []
+    );
+  }
+
+  const lines = fs
+    .readFileSync(process.env.ALERT_HISTORY_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean);
+  assert.equal(lines.length, 4);
+
+  const events = readAlertHistory();
+  assert.equal(events.length, 4);
+  assert.deepEqual(
+    events.slice(0, 3).map((event) => [event.ruleId, event.value]),
+    [
+      ["history", 3],
+      ["history", 2],
+      ["history", 1],
+    ]
+  );
+  assert.deepEqual(
+    readAlertHistory({ ruleId: "silent" }).map((event) => event.status),
+    ["resolved"]
+  );
+  assert.equal(readAlertHistory({ limit: 2 }).length, 2);
+});
@@ -0,0 +1,136 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.AUTH_SECRET = "test-secret";
+process.env.ADMIN_PASSWORD = "first-admin";
+
+const {
+  loadUsers,
+  authenticateUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdminUser,
+  signToken,
+  verifyToken,
+  TOKEN_TTL_HOURS,
+} = require("../auth");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("the first admin is created from the environment only once", () => {
+  assert.deepEqual(ensureAdminUser(), {
+    username: "admin",
+    role: "admin",
+    rooms: [],
+  });
+  assert.equal(ensureAdminUser(), null);
+
+  const [stored] = loadUsers().users;
+  assert.match(stored.passwordHash, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+  assert.equal(fs.statSync(process.env.USERS_FILE).mode & 0o777, 0o600);
+});
+
+test("users sign in with their password only", () => {
+  assert.deepEqual(authenticateUser("admin", "first-admin"), {
+    username: "admin",
+    role: "admin",
+    rooms: [],
+  });
+  assert.equal(authenticateUser("admin", "wrong-password"), null);
+  assert.equal(authenticateUser("nobody", "first-admin"), null);
+  assert.equal(authenticateUser("admin", undefined), null);
+});
+
+test("createUser validates and keeps rooms for tenants only", () => {
+  assert.deepEqual(
+    createUser({
+      username: "t101",
+      password: "tenant-pass",
+      role: "tenant",
+      rooms: [101, "102"],
+    }),
+    { username: "t101", role: "tenant", rooms: ["101", "102"] }
+  );
+  assert.deepEqual(
+    createUser({
+      username: "boss",
+      password: "manager-pass",
+      role: "manager",
+      rooms: ["101"],
+    }).rooms,
+    []
+  );
+
+  assert.throws(
+    () => createUser({ username: "t101", password: "long-enough" }),
+    /already exists/
+  );
+  assert.throws(
+    () => createUser({ username: "x", password: "short", role: "admin" }),
+    /at least 8 characters/
+  );
+  assert.throws(
+    () => createUser({ username: "bad name", password: "long-enough" }),
+    /Username must be/
+  );
+  assert.throws(
+    () =>
+      createUser({ username: "t2", password: "long-enough", role: "tenant" }),
+    /a tenant needs at least one room/
+  );
+  assert.throws(
+    () => createUser({ username: "r", password: "long-enough", role: "root" }),
+    /role must be one of/
+  );
+});
+
+test("updateUser changes rooms and passwords", () => {
+  assert.deepEqual(updateUser("t101", { rooms: ["103"] }), {
+    username: "t101",
+    role: "tenant",
+    rooms: ["103"],
+  });
+  updateUser("t101", { password: "new-password" });
+  assert.equal(authenticateUser("t101", "tenant-pass"), null);
+  assert.ok(authenticateUser("t101", "new-password"));
+  assert.equal(updateUser("nobody", { role: "admin" }), null);
+});
+
+test("the last admin cannot be demoted or deleted", () => {
+  assert.throws(
+    () => updateUser("admin", { role: "manager" }),
+    /At least one admin must remain/
+  );
+  assert.throws(() => deleteUser("admin"), /At least one admin must remain/);
+
+  assert.equal(deleteUser("boss"), true);
+  assert.equal(deleteUser("boss"), false);
+});
+
+test("tokens name the user until they expire", () => {
+  const token = signToken({ username: "t101" });
+  assert.equal(verifyToken(token), "t101");
+
+  const [header, payload, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ sub: "admin", exp: Date.now() / 1000 + 3600 })
+  ).toString("base64url");
+  assert.equal(verifyToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(verifyToken(`${header}.${payload}.${signature}x`), null);
+  assert.equal(verifyToken("not-a-token"), null);
+  assert.equal(verifyToken(undefined), null);
+
+  const issued = Date.now();
+  mock.method(Date, "now", () => issued + TOKEN_TTL_HOURS * 3600 * 1000 + 1000);
+  try {
+    assert.equal(verifyToken(token), null);
+  } finally {
+    Date.now.mock.restore();
+  }
+});
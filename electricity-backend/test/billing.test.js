@@ -0,0 +1,147 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "billing-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.TARIFFS_FILE = path.join(dir, "tariffs.json");
+process.env.AUTH_SECRET = "test-secret";
+process.env.SUPPLY_MACS = "08:f9:e0:73:64:db";
+
+const SUPPLY = "08:f9:e0:73:64:db";
+const ROOM_METER = "aa:bb:cc:dd:ee:01";
+// 100 kWh at 0.5, anything beyond at 1 within each calendar month
+const tiered = {
+  id: "tiered",
+  name: "Tiered",
+  type: "tiered",
+  tiers: [
+    { upTo: 100, rate: 0.5 },
+    { upTo: null, rate: 1 },
+  ],
+  fixedMonthlyCharge: 10,
+};
+
+// Both meters read the same, so nothing is lost between them. January 1st
+// to 14th used 80 kWh, then 100 kWh in the rest of January and in February
+// up to the 14th.
+const edgesOf = (readings) =>
+  [SUPPLY, ROOM_METER].flatMap((mac) =>
+    readings.map(([time, value]) => ({
+      result: "edges",
+      mac_address: mac,
+      _time: time,
+      _value: value,
+    }))
+  );
+
+const { loadServer, serveApp } = require("./helpers/server");
+const { app } = loadServer(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return [
+      {
+        meter_mac: ROOM_METER,
+        _field: "room_id",
+        _value: 101,
+        _time: "2024-01-01T00:00:00Z",
+      },
+    ];
+  }
+  if (!query.includes('yield(name: "edges")')) return [];
+  if (query.includes("range(start: 2024-12-31T16:00:00.000Z")) {
+    return edgesOf([
+      ["2024-12-31T16:05:00Z", 0],
+      ["2025-01-14T15:55:00Z", 80],
+    ]);
+  }
+  return edgesOf([
+    ["2025-01-14T16:05:00Z", 80],
+    ["2025-01-31T15:55:00Z", 180],
+    ["2025-01-31T16:05:00Z", 180],
+    ["2025-02-14T15:55:00Z", 280],
+  ]);
+});
+const { buildBill } = require("../billing");
+const { saveTariffConfig } = require("../tariffs");
+
+let api;
+before(async () => {
+  saveTariffConfig({
+    currency: "CNY",
+    activeTariff: "tiered",
+    tariffs: [tiered],
+  });
+  api = await serveApp(app);
+});
+after(() => {
+  api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the shared loss is split by consumption at the grid rate", () => {
+  const bill = buildBill({
+    start: "2025-03-01",
+    end: "2025-03-31",
+    months: 1,
+    rooms: [
+      { room: "101", meters: [], consumption: 60 },
+      { room: "102", meters: [], consumption: 20 },
+    ],
+    supply: 100,
+    tariff: { ...tiered, type: "flat", rate: 0.5, fixedMonthlyCharge: 0 },
+  });
+
+  assert.equal(bill.loss, 20);
+  assert.equal(bill.gridCost, 50);
+  assert.deepEqual(
+    bill.statements.map((s) => [s.room, s.lossShare, s.amount]),
+    [
+      ["101", 15, 37.5],
+      ["102", 5, 12.5],
+    ]
+  );
+});
+
+test("tiers restart in every calendar month of a bill", () => {
+  const bill = buildBill({
+    start: "2025-01-01",
+    end: "2025-02-28",
+    months: 2,
+    rooms: [{ room: "101", meters: [], consumption: 200 }],
+    supply: 200,
+    supplyMonths: [
+      { supply: 100, monthToDate: 0 },
+      { supply: 100, monthToDate: 0 },
+    ],
+    tariff: tiered,
+  });
+
+  // Both months stay within the first tier, plus two fixed charges
+  assert.equal(bill.gridCost, 120);
+  assert.equal(bill.statements[0].amount, 120);
+
+  const inOneGo = buildBill({
+    start: "2025-01-01",
+    end: "2025-01-31",
+    months: 1,
+    rooms: [{ room: "101", meters: [], consumption: 200 }],
+    supply: 200,
+    tariff: tiered,
+  });
+  assert.equal(inOneGo.gridCost, 160);
+});
+
+test("a bill from mid-month counts the month's earlier usage", async () => {
+  const { status, body } = await api.get(
+    "/api/bills?start=2025-01-15&end=2025-02-14&tariff=tiered"
+  );
+  assert.equal(status, 200);
+  assert.equal(body.supply, 200);
+
+  // January: 80 kWh were used before, so 20 kWh at 0.5 and 80 kWh at 1.
+  // February: 100 kWh at 0.5. About one month of fixed charge.
+  const fixed = 10 * body.period.months;
+  assert.ok(Math.abs(body.gridCost - (90 + 50 + fixed)) < 0.1, body.gridCost);
+});
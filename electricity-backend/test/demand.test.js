@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEMAND_STEP_MINUTES,
+  parseDemandWindow,
+  parseDemandSource,
+  rollingDemand,
+  findDemandPeaks,
+  formatPeak,
+} = require("../demand");
+
+const STEP = DEMAND_STEP_MINUTES * 60 * 1000;
+const T0 = Date.parse("2025-03-10T00:00:00Z");
+
+test("parseDemandWindow accepts the billing windows only", () => {
+  assert.equal(parseDemandWindow(undefined), 15);
+  assert.equal(parseDemandWindow("30"), 30);
+  assert.throws(() => parseDemandWindow("20"), /Invalid window: 20/);
+  assert.throws(() => parseDemandWindow("abc"), /Invalid window/);
+});
+
+test("parseDemandSource defaults to power", () => {
+  assert.equal(parseDemandSource(), "power");
+  assert.equal(parseDemandSource("energy"), "energy");
+  assert.throws(() => parseDemandSource("current"), /Invalid source/);
+});
+
+test("rollingDemand averages full windows and skips windows with a gap", () => {
+  const steps = {
+    [T0]: 1,
+    [T0 + STEP]: 2,
+    [T0 + 2 * STEP]: 3,
+    [T0 + 3 * STEP]: 6,
+    // No step at T0 + 4 * STEP
+    [T0 + 5 * STEP]: 9,
+  };
+
+  assert.deepEqual(rollingDemand(steps, 15), [
+    { start: T0, end: T0 + 3 * STEP, kW: 2 },
+    { start: T0 + STEP, end: T0 + 4 * STEP, kW: 11 / 3 },
+  ]);
+  assert.deepEqual(rollingDemand(steps, 30), []);
+});
+
+test("findDemandPeaks keeps the highest window overall, per day and month", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const windows = [
+    { start: T0, end: T0 + 3 * STEP, kW: 4 },
+    { start: T0 + STEP, end: T0 + 4 * STEP, kW: 4 },
+    { start: T0 + DAY, end: T0 + DAY + 3 * STEP, kW: 7 },
+    { start: T0 + DAY + STEP, end: T0 + DAY + 4 * STEP, kW: 2 },
+  ];
+  const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+  const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+
+  const peaks = findDemandPeaks(windows, dayOf, monthOf);
+  assert.equal(peaks.peak, windows[2]);
+  // Ties keep the earlier window
+  assert.equal(peaks.days["2025-03-10"], windows[0]);
+  assert.equal(peaks.days["2025-03-11"], windows[2]);
+  assert.deepEqual(Object.keys(peaks.months), ["2025-03"]);
+  assert.deepEqual(findDemandPeaks([], dayOf, monthOf), {
+    peak: null,
+    days: {},
+    months: {},
+  });
+});
+
+test("formatPeak rounds kW and serves ISO times", () => {
+  assert.deepEqual(formatPeak({ start: T0, end: T0 + 3 * STEP, kW: 11 / 3 }), {
+    kW: 3.667,
+    start: "2025-03-10T00:00:00.000Z",
+    end: "2025-03-10T00:15:00.000Z",
+  });
+  assert.equal(formatPeak(null), null);
+});
@@ -0,0 +1,319 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SUPPLY = "08:f9:e0:73:64:db";
+const ROOM_METERS = { 101: "aa:bb:cc:dd:ee:01", 102: "aa:bb:cc:dd:ee:02" };
+process.env.SUPPLY_MACS = SUPPLY;
+
+// Energy counters at the start and end of one local hour
+const edges = [
+  [SUPPLY, 100, 104],
+  [ROOM_METERS[101], 10, 11.5],
+  [ROOM_METERS[102], 20, 22],
+];
+
+const { mockInflux } = require("./helpers/server");
+mockInflux(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return Object.entries(ROOM_METERS).map(([room, mac]) => ({
+      meter_mac: mac,
+      _field: "room_id",
+      _value: Number(room),
+      _time: "2024-01-01T00:00:00Z",
+    }));
+  }
+  if (query.includes('yield(name: "edges")')) {
+    return edges.flatMap(([mac, first, last]) => [
+      {
+        result: "edges",
+        mac_address: mac,
+        _time: "2025-03-10T02:00:00Z",
+        _value: first,
+      },
+      {
+        result: "edges",
+        mac_address: mac,
+        _time: "2025-03-10T02:59:00Z",
+        _value: last,
+      },
+    ]);
+  }
+  return [];
+});
+const {
+  ENERGY_COUNTER_MAX,
+  MAX_METER_POWER_KW,
+  normalizeMacAddress,
+  resolveMeterAt,
+  splitMeterStates,
+  getRoomMacsInRange,
+  classifyCounterEvent,
+  calculateEnergyFromInfluxData,
+  getBucketCoverage,
+  interpolateGaps,
+  getRoomBreakdown,
+} = require("../energy");
+
+const METER = ROOM_METERS[101];
+// A registry with one room meter and no history
+const mappingData = {
+  macToRoomMap: { [normalizeMacAddress(METER)]: "101" },
+  roomToMacsMap: {},
+  macToRoleMap: { [normalizeMacAddress(METER)]: "room" },
+  macTimelines: {},
+  originalMacFormats: {},
+};
+const reading = (time, value) => ({
+  mac_address: METER,
+  _time: `2025-03-10T${time}:00Z`,
+  _value: value,
+});
+// A counter event as the Flux difference() leaves it: the step and the
+// reading after it
+const counterEvent = (time, previous, value) => ({
+  mac_address: METER,
+  _time: `2025-03-10T${time}:00Z`,
+  _value: value - previous,
+  reading: value,
+});
+
+test("getRoomBreakdown splits the site totals into rooms", async () => {
+  const buckets = await getRoomBreakdown(
+    { start: "2025-03-10T00:00:00Z", stop: "2025-03-10T06:00:00Z" },
+    "hour"
+  );
+
+  assert.deepEqual(buckets, [
+    {
+      utcStart: "2025-03-10T02:00:00.000Z",
+      site: {
+        consumption: 3.5,
+        supply: 4,
+        gridExport: 0,
+        solar: 0,
+        subMeter: 0,
+      },
+      counterResets: 0,
+      rooms: [
+        { room: "101", consumption: 1.5 },
+        { room: "102", consumption: 2 },
+      ],
+    },
+  ]);
+});
+
+test("classifyCounterEvent tells resets, rollovers and jumps apart", () => {
+  assert.deepEqual(classifyCounterEvent(counterEvent("02:30", 52, 0)), {
+    type: "reset",
+    previousReading: 52,
+    correction: 52,
+  });
+  assert.deepEqual(
+    classifyCounterEvent(counterEvent("02:30", ENERGY_COUNTER_MAX - 1, 1)),
+    {
+      type: "rollover",
+      previousReading: ENERGY_COUNTER_MAX - 1,
+      correction: ENERGY_COUNTER_MAX,
+    }
+  );
+  assert.deepEqual(classifyCounterEvent(counterEvent("02:30", 12, 512)), {
+    type: "jump",
+    previousReading: 12,
+    correction: -500,
+  });
+});
+
+test("a counter reset mid-bucket keeps the energy on both sides", () => {
+  const result = calculateEnergyFromInfluxData(
+    [reading("02:00", 50), reading("02:59", 3)],
+    mappingData,
+    null,
+    [counterEvent("02:30", 52, 0)]
+  );
+
+  // 2 kWh up to the reset and 3 kWh after it
+  assert.equal(result.consumption, 5);
+  assert.deepEqual(result.rooms, { 101: 5 });
+  assert.deepEqual(result.resets, [
+    {
+      mac: METER,
+      room: "101",
+      time: "2025-03-10T02:30:00Z",
+      type: "reset",
+      previousReading: 52,
+      reading: 0,
+    },
+  ]);
+});
+
+test("a rollover near ENERGY_COUNTER_MAX counts across the wrap", () => {
+  const result = calculateEnergyFromInfluxData(
+    [reading("02:00", ENERGY_COUNTER_MAX - 2), reading("02:59", 2)],
+    mappingData,
+    null,
+    [counterEvent("02:30", ENERGY_COUNTER_MAX - 1, 1)]
+  );
+
+  assert.equal(result.consumption, 4);
+  assert.equal(result.resets[0].type, "rollover");
+});
+
+test("a jump above MAX_METER_POWER_KW is left out of the consumption", () => {
+  // Far more than the meter can draw between two readings, e.g. a swap
+  const jump = MAX_METER_POWER_KW * 2;
+  const result = calculateEnergyFromInfluxData(
+    [reading("02:00", 10), reading("02:59", 10 + 2 + jump + 3)],
+    mappingData,
+    null,
+    [counterEvent("02:30", 12, 12 + jump)]
+  );
+
+  assert.equal(result.consumption, 5);
+  assert.equal(result.resets[0].type, "jump");
+  assert.equal(result.resets[0].previousReading, 12);
+});
+
+test("counter events outside the readings are ignored", () => {
+  const result = calculateEnergyFromInfluxData(
+    [reading("02:00", 50), reading("02:59", 55)],
+    mappingData,
+    null,
+    [counterEvent("03:10", 55, 0)]
+  );
+
+  assert.equal(result.consumption, 5);
+  assert.deepEqual(result.resets, []);
+});
+
+test("a meter moved inside a bucket gives each room its share", () => {
+  const mac = normalizeMacAddress(METER);
+  // In room 101 until 02:15, then in room 102
+  const moved = {
+    ...mappingData,
+    macToRoomMap: { [mac]: "102" },
+    macTimelines: {
+      [mac]: [
+        { from: "2024-01-01T00:00:00Z", role: "room", room: "101" },
+        { from: "2025-03-10T02:15:00Z", role: "room", room: "102" },
+      ],
+    },
+    originalMacFormats: { [mac]: METER },
+  };
+
+  assert.equal(resolveMeterAt(moved, mac, "2025-03-10T02:10:00Z").room, "101");
+  assert.equal(resolveMeterAt(moved, mac, "2025-03-10T02:15:00Z").room, "102");
+  assert.deepEqual(
+    splitMeterStates(
+      moved,
+      mac,
+      "2025-03-10T02:00:00Z",
+      "2025-03-10T03:00:00Z"
+    ),
+    [
+      { from: "2024-01-01T00:00:00Z", role: "room", room: "101", share: 0.25 },
+      { from: "2025-03-10T02:15:00Z", role: "room", room: "102", share: 0.75 },
+    ]
+  );
+  assert.deepEqual(
+    getRoomMacsInRange(moved, "2025-03-10T02:00:00Z", "2025-03-10T03:00:00Z"),
+    {
+      101: [{ normalized: mac, original: METER }],
+      102: [{ normalized: mac, original: METER }],
+    }
+  );
+  assert.deepEqual(
+    getRoomMacsInRange(moved, "2025-03-10T03:00:00Z", "2025-03-10T04:00:00Z"),
+    { 102: [{ normalized: mac, original: METER }] }
+  );
+
+  const rows = [reading("02:00", 10), reading("03:00", 14)];
+  const site = calculateEnergyFromInfluxData(rows, moved, null);
+  assert.equal(site.consumption, 4);
+  assert.deepEqual(site.rooms, { 101: 1, 102: 3 });
+  assert.equal(
+    calculateEnergyFromInfluxData(rows, moved, "102").consumption,
+    3
+  );
+});
+
+// Hourly buckets from 02:00 to 05:00 UTC
+const hours = [2, 3, 4].map((hour) => ({
+  utcStart: `2025-03-10T0${hour}:00:00.000Z`,
+  utcEnd: `2025-03-10T0${hour}:59:59.999Z`,
+}));
+const AFTER_HOURS = Date.parse("2025-03-11T00:00:00Z");
+
+test("getBucketCoverage rates how much of a bucket the meters cover", () => {
+  const mac = normalizeMacAddress(METER);
+  const other = normalizeMacAddress(ROOM_METERS[102]);
+  const rows = [reading("02:01", 10), reading("02:58", 11)];
+
+  // Edge gaps within a tenth of the bucket are normal reporting intervals
+  assert.deepEqual(getBucketCoverage(hours[0], rows, [], [mac], AFTER_HOURS), {
+    coverage: 1,
+    status: "complete",
+  });
+
+  // A gap of 20 minutes between readings inside the bucket
+  const gap = {
+    mac_address: METER,
+    _time: "2025-03-10T02:40:00Z",
+    elapsed: 1200,
+  };
+  assert.deepEqual(
+    getBucketCoverage(hours[0], rows, [gap], [mac], AFTER_HOURS),
+    { coverage: 0.667, status: "partial" }
+  );
+
+  // A counted meter without readings
+  assert.deepEqual(
+    getBucketCoverage(hours[0], rows, [], [mac, other], AFTER_HOURS),
+    { coverage: 0.5, status: "partial" }
+  );
+  assert.deepEqual(getBucketCoverage(hours[0], [], [], [mac], AFTER_HOURS), {
+    coverage: 0,
+    status: "missing",
+  });
+  assert.deepEqual(getBucketCoverage(hours[0], rows, [], [], AFTER_HOURS), {
+    coverage: 0,
+    status: "missing",
+  });
+
+  // The current bucket is only measured up to now
+  assert.deepEqual(
+    getBucketCoverage(
+      hours[0],
+      [reading("02:01", 10), reading("02:29", 11)],
+      [],
+      [mac],
+      Date.parse("2025-03-10T02:30:00Z")
+    ),
+    { coverage: 1, status: "complete" }
+  );
+  assert.deepEqual(
+    getBucketCoverage(hours[1], [], [], [mac], Date.parse(hours[0].utcEnd)),
+    { coverage: null, status: "future" }
+  );
+});
+
+test("interpolateGaps spreads the energy across a gap over its buckets", () => {
+  const rows = [reading("02:50", 10), reading("04:10", 14)];
+
+  assert.deepEqual(interpolateGaps(rows, hours, mappingData, null), {
+    [hours[0].utcStart]: { consumption: 0.5, supply: 0, rooms: { 101: 0.5 } },
+    [hours[1].utcStart]: { consumption: 3, supply: 0, rooms: { 101: 3 } },
+    [hours[2].utcStart]: { consumption: 0.5, supply: 0, rooms: { 101: 0.5 } },
+  });
+
+  // Another room is asked for
+  assert.deepEqual(interpolateGaps(rows, hours, mappingData, "102"), {});
+  // Short gaps, readings in the same bucket, drops and jumps are left alone
+  [
+    [reading("02:55", 10), reading("03:05", 11)],
+    [reading("02:05", 10), reading("02:55", 11)],
+    [reading("02:50", 10), reading("04:10", 2)],
+    [reading("02:50", 10), reading("04:10", 10 + MAX_METER_POWER_KW * 2)],
+  ].forEach((pair) =>
+    assert.deepEqual(interpolateGaps(pair, hours, mappingData, null), {})
+  );
+});
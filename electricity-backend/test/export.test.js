@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const { unzipSync, strFromU8 } = require("fflate");
+
+const {
+  escapeCsv,
+  buildExportColumns,
+  buildExportRecords,
+  writeExportCsv,
+  buildExportXlsx,
+} = require("../export");
+
+const buckets = [
+  {
+    timestamp: "Mar 10",
+    utcStart: "2025-03-09T16:00:00.000Z",
+    utcEnd: "2025-03-10T15:59:59.999Z",
+    consumption: 12.5,
+    supply: 14,
+    solar: 0,
+    gridExport: 0,
+    consumptionCost: 6.25,
+    supplyCost: 7,
+    coverage: 0.9876,
+    status: "complete",
+    rooms: [
+      { room: "101", consumption: 5 },
+      { room: "102", consumption: 7.5 },
+    ],
+  },
+];
+
+const readCsv = (columns, records) =>
+  new Promise((resolve) => {
+    const stream = new PassThrough();
+    let text = "";
+    stream.on("data", (chunk) => (text += chunk));
+    stream.on("end", () => resolve(text));
+    writeExportCsv(columns, records, stream);
+  });
+
+test("escapeCsv quotes separators and defuses formulas", () => {
+  assert.equal(escapeCsv(null), "");
+  assert.equal(escapeCsv(-1.5), "-1.5");
+  assert.equal(escapeCsv('Room "A", east'), '"Room ""A"", east"');
+  assert.equal(escapeCsv("line\nbreak"), '"line\nbreak"');
+  assert.equal(escapeCsv("=1+1"), "'=1+1");
+  assert.equal(escapeCsv("+86 10"), "'+86 10");
+  assert.equal(escapeCsv("-5"), "'-5");
+  assert.equal(escapeCsv("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(escapeCsv('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+});
+
+test("columns follow the chart series", () => {
+  const keys = (options) =>
+    buildExportColumns(buckets, options).map((column) => column.key);
+
+  assert.deepEqual(keys({ rooms: ["101"], currency: "CNY" }), [
+    "bucket",
+    "localStart",
+    "localEnd",
+    "utcStart",
+    "utcEnd",
+    "consumption",
+    "room:101",
+    "supply",
+    "solar",
+    "gridExport",
+    "consumptionCost",
+    "supplyCost",
+    "coverage",
+    "status",
+  ]);
+  assert.deepEqual(keys({ showSupply: false, comparison: true }), [
+    "bucket",
+    "localStart",
+    "localEnd",
+    "utcStart",
+    "utcEnd",
+    "consumption",
+    "compareConsumption",
+    "coverage",
+    "status",
+  ]);
+});
+
+test("records carry local times, room series and coverage in percent", () => {
+  const [record] = buildExportRecords(buckets, "Asia/Shanghai");
+  assert.equal(record.localStart, "2025-03-10 00:00:00");
+  assert.equal(record.localEnd, "2025-03-10 23:59:59");
+  assert.equal(record["room:102"], 7.5);
+  assert.equal(record.coverage, 98.8);
+  assert.equal(record.compareConsumption, null);
+});
+
+test("CSV has a header with units and one line per bucket", async () => {
+  const columns = buildExportColumns(buckets, {
+    showSupply: false,
+    rooms: ["101"],
+  });
+  const csv = await readCsv(
+    columns,
+    buildExportRecords(buckets, "Asia/Shanghai")
+  );
+  assert.deepEqual(csv.trimEnd().split("\n"), [
+    "Bucket,Local start,Local end,UTC start,UTC end,Consumption (kWh),Room 101 (kWh),Coverage (%),Status",
+    "Mar 10,2025-03-10 00:00:00,2025-03-10 23:59:59,2025-03-09T16:00:00.000Z,2025-03-10T15:59:59.999Z,12.5,5,98.8,complete",
+  ]);
+});
+
+test("XLSX is a workbook with numbers kept as numbers", () => {
+  const columns = buildExportColumns(buckets, { showSupply: false });
+  const files = unzipSync(
+    buildExportXlsx(
+      columns,
+      buildExportRecords(buckets, "Asia/Shanghai"),
+      "Energy <Mar>"
+    )
+  );
+  assert.ok(files["[Content_Types].xml"]);
+  assert.match(
+    strFromU8(files["xl/workbook.xml"]),
+    /<sheet name="Energy &lt;Mar&gt;"/
+  );
+
+  const sheet = strFromU8(files["xl/worksheets/sheet1.xml"]);
+  assert.match(
+    sheet,
+    /<c r="F1" t="inlineStr"><is><t>Consumption \(kWh\)<\/t><\/is><\/c>/
+  );
+  assert.match(sheet, /<c r="F2"><v>12.5<\/v><\/c>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t>Mar 10<\/t>/);
+  assert.match(sheet, /state="frozen"/);
+});
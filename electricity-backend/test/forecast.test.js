@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FORECAST_MODELS, forecastRooms } = require("../forecast");
+
+test("both models are offered", () => {
+  assert.deepEqual(Object.keys(FORECAST_MODELS), [
+    "seasonal_naive",
+    "weighted_average",
+  ]);
+});
+
+test("the seasonal naive model repeats the last season", () => {
+  const { slots, error } = forecastRooms(
+    { 101: [1, 2, 3, 4] },
+    3,
+    2,
+    "seasonal_naive"
+  );
+
+  // The third slot is a season ahead and repeats the first prediction
+  assert.deepEqual(
+    slots.map((slot) => slot.consumption),
+    [3, 4, 3]
+  );
+  // Both backtested slots were 2 kWh above the season before
+  assert.deepEqual(error, { mae: 2, rmse: 2, samples: 2 });
+  // The band is ±1.96 rmse, never below zero, and wider a season ahead
+  assert.deepEqual(slots[1], {
+    consumption: 4,
+    lower: 0.08,
+    upper: 7.92,
+    rooms: { 101: 4 },
+  });
+  assert.equal(slots[0].lower, 0);
+  assert.equal(slots[2].upper, 8.544);
+});
+
+test("slots without readings fall back to an earlier season", () => {
+  const { slots } = forecastRooms(
+    { 101: [1, 2, null, 4] },
+    1,
+    2,
+    "seasonal_naive"
+  );
+  assert.equal(slots[0].consumption, 1);
+});
+
+test("the weighted average favours the latest seasons", () => {
+  const [slot] = forecastRooms({ 101: [2, 4] }, 1, 1, "weighted_average").slots;
+  // (4 × 4 + 3 × 2) / 7
+  assert.equal(slot.consumption, 3.143);
+
+  // Only the last four seasons count: (4 × 10 + 3 + 2 + 1) / 10
+  const [recent] = forecastRooms(
+    { 101: [1, 1, 1, 1, 1, 10] },
+    1,
+    1,
+    "weighted_average"
+  ).slots;
+  assert.equal(recent.consumption, 4.6);
+});
+
+test("a slot under way only predicts what is left of it", () => {
+  const [slot] = forecastRooms({ 101: [1, 2, 3, 4] }, 1, 2, "seasonal_naive", {
+    elapsed: 0.25,
+    rooms: { 101: 1 },
+  }).slots;
+
+  // 1 kWh so far plus three quarters of 3 kWh, and a band of 0.75 × 3.92
+  assert.deepEqual(slot, {
+    consumption: 3.25,
+    lower: 0.31,
+    upper: 6.19,
+    rooms: { 101: 3.25 },
+  });
+});
+
+test("rooms are added up and backtested where all were measured", () => {
+  const { slots, error } = forecastRooms(
+    { 101: [1, 2, 3, 4], 102: [1, null, 1, 1] },
+    1,
+    2,
+    "seasonal_naive"
+  );
+  assert.deepEqual(slots[0].rooms, { 101: 3, 102: 1 });
+  assert.equal(slots[0].consumption, 4);
+  assert.equal(error.samples, 1);
+});
+
+test("without history there is no band", () => {
+  assert.deepEqual(forecastRooms({ 101: [5] }, 1, 2, "seasonal_naive"), {
+    slots: [{ consumption: 0, lower: null, upper: null, rooms: { 101: 0 } }],
+    error: { mae: null, rmse: null, samples: 0 },
+  });
+  assert.equal(
+    forecastRooms({}, 2, 2, "weighted_average").slots[1].consumption,
+    0
+  );
+});
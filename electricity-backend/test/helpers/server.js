@@ -0,0 +1,56 @@
+const { mock } = require("node:test");
+const { InfluxDB } = require("@influxdata/influxdb-client");
+
+// Stand in for InfluxDB: every Flux query is answered by answerQuery(query)
+// and written points are collected in the returned list. Modules that talk
+// to InfluxDB must be loaded after this.
+const mockInflux = (answerQuery) => {
+  process.env.INFLUX_URL = "http://127.0.0.1:8086";
+  process.env.INFLUX_BUCKET_PZEM = "pzem";
+  process.env.INFLUX_BUCKET_METERS = "meters";
+
+  const points = [];
+  mock.method(InfluxDB.prototype, "getQueryApi", () => ({
+    collectRows: async (query) => answerQuery(query),
+  }));
+  mock.method(InfluxDB.prototype, "getWriteApi", () => ({
+    writePoint: (point) => points.push(point),
+    writePoints: (list) => points.push(...list),
+    flush: async () => {},
+    close: async () => {},
+  }));
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(console, "warn", () => {});
+  return points;
+};
+
+// Load server.js against a stand-in InfluxDB
+const loadServer = (answerQuery) => {
+  const points = mockInflux(answerQuery);
+  return { ...require("../../server"), points };
+};
+
+// Serve the app on a free local port; get(url) fetches JSON as an admin.
+// USERS_FILE must point at a scratch file before the server is loaded.
+const serveApp = async (app) => {
+  const { createUser, signToken } = require("../../auth");
+  createUser({ username: "admin", password: "admin-pass", role: "admin" });
+  const token = signToken({ username: "admin" });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    get: async (url) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => server.close(),
+  };
+};
+
+module.exports = { mockInflux, loadServer, serveApp };
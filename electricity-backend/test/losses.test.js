@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// A configured 0 must not fall back to the default
+process.env.LOSS_MIN_PERCENT = "0";
+process.env.LOSS_MAX_PERCENT = "not a number";
+
+const { envNumber } = require("../env");
+const {
+  DEFAULT_LOSS_THRESHOLDS,
+  parseLossThresholds,
+  analyzeLosses,
+} = require("../losses");
+
+test("envNumber keeps 0 and falls back on unset or invalid values", () => {
+  process.env.TEST_ENV_NUMBER = "0";
+  assert.equal(envNumber("TEST_ENV_NUMBER", 5), 0);
+  process.env.TEST_ENV_NUMBER = " ";
+  assert.equal(envNumber("TEST_ENV_NUMBER", 5), 5);
+  process.env.TEST_ENV_NUMBER = "-2.5";
+  assert.equal(envNumber("TEST_ENV_NUMBER", 5), -2.5);
+  delete process.env.TEST_ENV_NUMBER;
+  assert.equal(envNumber("TEST_ENV_NUMBER", 5), 5);
+});
+
+test("default thresholds come from the environment", () => {
+  assert.equal(DEFAULT_LOSS_THRESHOLDS.minLossPercent, 0);
+  assert.equal(DEFAULT_LOSS_THRESHOLDS.maxLossPercent, 15);
+});
+
+test("parseLossThresholds overrides defaults and rejects non-numbers", () => {
+  assert.equal(parseLossThresholds({ maxLossPercent: "0" }).maxLossPercent, 0);
+  assert.throws(() => parseLossThresholds({ spikeFactor: "x" }), /spikeFactor/);
+});
+
+test("analyzeLosses flags buckets outside the thresholds", () => {
+  const buckets = [
+    { supply: 10, consumption: 9 },
+    { supply: 10, consumption: 5 },
+    { supply: 10, consumption: 10.2 },
+    { supply: 0, consumption: 1 },
+  ];
+  const { data, summary } = analyzeLosses(buckets, {
+    maxLossPercent: 15,
+    minLossPercent: 0,
+    spikeFactor: 2,
+  });
+  assert.deepEqual(
+    data.map((d) => d.flagged),
+    [false, true, true, true]
+  );
+  assert.equal(data[1].lossPercent, 50);
+  assert.match(data[2].reasons[0], /exceed supply/);
+  assert.match(data[3].reasons[0], /reported none/);
+  assert.equal(summary.flaggedCount, 3);
+});
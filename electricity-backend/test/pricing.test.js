@@ -0,0 +1,70 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.TARIFFS_FILE = path.join(dir, "tariffs.json");
+process.env.AUTH_SECRET = "test-secret";
+process.env.SUPPLY_MACS = "08:f9:e0:73:64:db";
+
+const SUPPLY = "08:f9:e0:73:64:db";
+const flat = {
+  id: "flat",
+  name: "Flat",
+  type: "flat",
+  rate: 0.5,
+  fixedMonthlyCharge: 10,
+};
+
+// 732 kWh over the local year 2024 and 362 kWh in 2025 up to June 30th
+const { loadServer, serveApp } = require("./helpers/server");
+const { app } = loadServer(async (query) => {
+  if (!query.includes('yield(name: "edges")')) return [];
+  return [
+    ["2023-12-31T16:05:00Z", 0],
+    ["2024-12-31T15:55:00Z", 732],
+    ["2024-12-31T16:05:00Z", 732],
+    ["2025-06-30T15:55:00Z", 1094],
+  ].map(([time, value]) => ({
+    result: "edges",
+    mac_address: SUPPLY,
+    _time: time,
+    _value: value,
+  }));
+});
+const { saveTariffConfig } = require("../tariffs");
+
+let api;
+before(async () => {
+  saveTariffConfig({ currency: "CNY", activeTariff: "flat", tariffs: [flat] });
+  api = await serveApp(app);
+});
+after(() => {
+  api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the running year is only charged for the months so far", async () => {
+  // Local midnight of July 1st 2025
+  mock.method(Date, "now", () => Date.parse("2025-06-30T16:00:00Z"));
+  let response;
+  try {
+    response = await api.get(
+      "/api/data?period=year&date=2025-06-15&tariff=flat"
+    );
+  } finally {
+    Date.now.mock.restore();
+  }
+
+  assert.equal(response.status, 200);
+  const byYear = Object.fromEntries(
+    response.body.data.map((bucket) => [bucket.timestamp, bucket])
+  );
+  assert.equal(byYear["2024"].supply, 732);
+  assert.equal(byYear["2024"].supplyCost, 366 + 12 * 10);
+  assert.equal(byYear["2025"].supply, 362);
+  assert.equal(byYear["2025"].supplyCost, 181 + 6 * 10);
+});
@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// A configured 0 must not fall back to the default
+process.env.QUALITY_MIN_POWER_FACTOR = "0";
+process.env.QUALITY_LOADED_WATTS = "0";
+
+const {
+  DEFAULT_QUALITY_LIMITS,
+  parseQualityLimits,
+  summarizeQuality,
+} = require("../quality");
+
+// A 15 minute window with steady readings, overridden per test
+const qualityWindow = (minute, fields = {}) => ({
+  time: new Date(Date.UTC(2025, 2, 10, 0, minute)).toISOString(),
+  voltage: 220,
+  voltageMin: 219,
+  voltageMax: 221,
+  frequency: 50,
+  frequencyMin: 49.9,
+  frequencyMax: 50.1,
+  power: 0,
+  powerFactor: 0.5,
+  ...fields,
+});
+
+test("a configured limit of 0 is kept", () => {
+  assert.equal(DEFAULT_QUALITY_LIMITS.minPowerFactor, 0);
+  assert.equal(DEFAULT_QUALITY_LIMITS.minVoltage, 198);
+
+  // Idle windows count as loaded, and no power factor is below 0
+  const summary = summarizeQuality(
+    [qualityWindow(0), qualityWindow(15)],
+    DEFAULT_QUALITY_LIMITS,
+    15
+  );
+  assert.equal(summary.powerFactor.loadedMinutes, 30);
+  assert.equal(summary.powerFactor.lowShare, 0);
+});
+
+test("parseQualityLimits takes overrides, 0 included", () => {
+  const limits = parseQualityLimits({ minVoltage: "0", maxFrequency: "51" });
+  assert.equal(limits.minVoltage, 0);
+  assert.equal(limits.maxVoltage, 242);
+  assert.equal(limits.maxFrequency, 51);
+
+  assert.throws(() => parseQualityLimits({ minVoltage: "low" }), /Invalid/);
+  assert.throws(
+    () => parseQualityLimits({ minVoltage: "250" }),
+    /minVoltage must be below maxVoltage/
+  );
+});
+
+test("neighbouring windows beyond a limit form one event", () => {
+  const { events, eventCounts } = summarizeQuality(
+    [
+      qualityWindow(0, { voltageMin: 190 }),
+      qualityWindow(15, { voltageMin: 185 }),
+      qualityWindow(30),
+      qualityWindow(45, { voltageMin: 195 }),
+    ],
+    DEFAULT_QUALITY_LIMITS,
+    15
+  );
+
+  assert.equal(eventCounts.sag, 2);
+  assert.deepEqual(events[0], {
+    type: "sag",
+    start: "2025-03-10T00:00:00.000Z",
+    end: "2025-03-10T00:30:00.000Z",
+    minutes: 30,
+    extreme: 185,
+  });
+  assert.equal(events[1].minutes, 15);
+});
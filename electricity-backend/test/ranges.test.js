@@ -0,0 +1,115 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ranges-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.AUTH_SECRET = "test-secret";
+
+// Only the registry answers; every bucket comes back empty
+const { loadServer, serveApp } = require("./helpers/server");
+const { app } = loadServer(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return [
+      {
+        meter_mac: "aa:bb:cc:dd:ee:01",
+        _field: "room_id",
+        _value: 101,
+        _time: "2022-01-01T00:00:00Z",
+      },
+    ];
+  }
+  return [];
+});
+
+let api;
+before(async () => {
+  api = await serveApp(app);
+});
+after(() => {
+  api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Local midnight (UTC+8) of a date as the UTC start of its bucket
+const dayStart = (date) =>
+  new Date(Date.parse(`${date}T00:00:00+08:00`)).toISOString();
+
+test("custom ranges need two valid dates in order", async () => {
+  const cases = [
+    ["start=2025-03-01", "start and end are required as YYYY-MM-DD."],
+    ["start=2025-03-01&end=2025-3-5", "start and end are required"],
+    ["start=2025-02-01&end=2025-02-30", "start and end are required"],
+    ["start=2025-01-01&end=2025-13-01", "start and end are required"],
+    ["start=2025-03-05&end=2025-03-01", "end must not be before start."],
+    ["start=2025-03-01&end=2025-03-05&bucket=minute", "Invalid bucket"],
+    ["start=2025-03-01&end=2025-03-31&bucket=15m", "the limit is 1000"],
+  ];
+  for (const [query, error] of cases) {
+    const { status, body } = await api.get(`/api/data?${query}`);
+    assert.equal(status, 400, query);
+    assert.ok(body.error.includes(error), `${query}: ${body.error}`);
+  }
+});
+
+test("custom ranges pick a bucket from their length", async () => {
+  const day = await api.get("/api/data?start=2025-03-10&end=2025-03-10");
+  assert.equal(day.status, 200);
+  assert.equal(day.body.meta.bucket, "15m");
+  assert.equal(day.body.data.length, 96);
+  assert.equal(day.body.data[0].utcStart, dayStart("2025-03-10"));
+
+  const week = await api.get("/api/data?start=2025-03-01&end=2025-03-08");
+  assert.equal(week.body.meta.bucket, "day");
+  assert.deepEqual(
+    week.body.data.map((bucket) => bucket.utcStart),
+    [1, 2, 3, 4, 5, 6, 7, 8].map((d) => dayStart(`2025-03-0${d}`))
+  );
+});
+
+test("the previous month lines up day by day across month lengths", async () => {
+  const { body } = await api.get(
+    "/api/data?period=day&date=2025-03-15&compare=previous"
+  );
+  assert.equal(body.data.length, 31);
+  assert.equal(body.meta.comparison.date, "2025-02-15");
+
+  assert.equal(body.data[0].comparison.utcStart, dayStart("2025-02-01"));
+  assert.equal(body.data[27].comparison.utcStart, dayStart("2025-02-28"));
+  // February has no 29th to 31st
+  assert.deepEqual(
+    body.data.slice(28).map((bucket) => bucket.comparison),
+    [null, null, null]
+  );
+});
+
+test("a custom range is compared with the range of the same length before", async () => {
+  const { body } = await api.get(
+    "/api/data?start=2025-03-01&end=2025-03-31&bucket=day&compare=previous"
+  );
+  assert.equal(body.meta.comparison.start, "2025-01-29");
+  assert.equal(body.meta.comparison.end, "2025-02-28");
+  assert.equal(body.data[0].comparison.utcStart, dayStart("2025-01-29"));
+  assert.equal(body.data[30].comparison.utcStart, dayStart("2025-02-28"));
+});
+
+test("the year before has no match for February 29th", async () => {
+  const leapMonth = await api.get(
+    "/api/data?period=day&date=2024-02-10&compare=year"
+  );
+  const days = leapMonth.body.data;
+  assert.equal(days.length, 29);
+  assert.equal(days[27].comparison.utcStart, dayStart("2023-02-28"));
+  assert.equal(days[28].comparison, null);
+
+  const custom = await api.get(
+    "/api/data?start=2024-02-28&end=2024-03-01&bucket=day&compare=year"
+  );
+  assert.equal(custom.body.meta.comparison.start, "2023-02-28");
+  assert.deepEqual(
+    custom.body.data.map((bucket) => bucket.comparison?.utcStart ?? null),
+    [dayStart("2023-02-28"), null, dayStart("2023-03-01")]
+  );
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "readings-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+process.env.AUTH_SECRET = "test-secret";
+
+const METER = "aa:bb:cc:dd:ee:01";
+
+const { loadServer, serveApp } = require("./helpers/server");
+const { app } = loadServer(async (query) => {
+  if (query.includes('r._measurement == "meters"')) {
+    return [
+      {
+        meter_mac: METER,
+        _field: "room_id",
+        _value: 101,
+        _time: "2024-01-01T00:00:00Z",
+      },
+    ];
+  }
+  if (query.includes('set(key: "edge", value: "first")')) {
+    return [
+      {
+        mac_address: METER,
+        _time: "2025-01-01T00:05:00Z",
+        energy: 10,
+        edge: "first",
+      },
+      {
+        mac_address: METER,
+        _time: "2025-12-31T15:55:00Z",
+        energy: 910,
+        edge: "last",
+      },
+    ];
+  }
+  return [];
+});
+
+let api;
+before(async () => {
+  api = await serveApp(app);
+});
+after(() => {
+  api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("readings cover at most 31 days", async () => {
+  const { status, body } = await api.get(
+    "/api/readings?start=2025-01-01T00:00:00Z&stop=2025-03-01T00:00:00Z"
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /at most 31 days/);
+});
+
+test("the edges of a bucket longer than 31 days are served", async () => {
+  const { status, body } = await api.get(
+    "/api/readings?start=2024-12-31T16:00:00Z&stop=2025-12-31T16:00:00Z&edges=true"
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.map((row) => [row.edge, row.energy, row.room]),
+    [
+      ["first", 10, "101"],
+      ["last", 910, "101"],
+    ]
+  );
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_STANDBY_PERCENTILE,
+  parseStandbyPercentile,
+  analyzeStandby,
+} = require("../standby");
+
+test("parseStandbyPercentile takes 1 to 99", () => {
+  assert.equal(parseStandbyPercentile(undefined), DEFAULT_STANDBY_PERCENTILE);
+  assert.equal(parseStandbyPercentile("25"), 25);
+  assert.equal(parseStandbyPercentile("2.5"), 2.5);
+  ["0", "100", "-5", "abc"].forEach((value) =>
+    assert.throws(
+      () => parseStandbyPercentile(value),
+      /Invalid percentile/,
+      value
+    )
+  );
+});
+
+test("analyzeStandby measures base and peak load per room", () => {
+  const [room] = analyzeStandby({ 101: [1, 1, 1, 1, 1, 1, 1, 1, 1, 5] }, 10);
+  assert.deepEqual(room, {
+    rank: 1,
+    room: "101",
+    hours: 10,
+    consumption: 14,
+    baseLoad: 1,
+    peakLoad: 5,
+    averageLoad: 1.4,
+    loadFactor: 0.28,
+    standbyEnergy: 10,
+    standbyShare: 71.43,
+  });
+});
+
+test("the base load is the nearest-rank percentile", () => {
+  const hours = { 102: [2, 0.2, 2, 0.2] };
+  assert.equal(analyzeStandby(hours, 10)[0].baseLoad, 0.2);
+  assert.equal(analyzeStandby(hours, 50)[0].baseLoad, 0.2);
+  assert.equal(analyzeStandby(hours, 51)[0].baseLoad, 2);
+  assert.equal(analyzeStandby(hours, 99)[0].baseLoad, 2);
+});
+
+test("rooms are ranked by always-on energy, then by number", () => {
+  const ranking = analyzeStandby(
+    {
+      104: [],
+      101: [1, 1, 1, 1, 1, 1, 1, 1, 1, 5],
+      103: [],
+      102: [0.2, 0.2, 2, 2],
+    },
+    10
+  );
+
+  assert.deepEqual(
+    ranking.map((entry) => [entry.rank, entry.room, entry.standbyEnergy]),
+    [
+      [1, "101", 10],
+      [2, "102", 0.8],
+      [3, "103", 0],
+      [4, "104", 0],
+    ]
+  );
+  // Rooms without readings have no ratios
+  assert.equal(ranking[2].loadFactor, null);
+  assert.equal(ranking[2].standbyShare, null);
+});
@@ -0,0 +1,159 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tariffs-"));
+process.env.TARIFFS_FILE = path.join(dir, "tariffs.json");
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const {
+  OFF_PEAK_BAND,
+  validateTariff,
+  loadTariffConfig,
+  saveTariffConfig,
+  getTariff,
+  calculateEnergyCost,
+  calculateFixedCharge,
+  buildBandExpression,
+  getBandAt,
+} = require("../tariffs");
+
+const flat = { id: "flat", type: "flat", rate: 0.5 };
+const tiered = {
+  id: "tiered",
+  type: "tiered",
+  tiers: [
+    { upTo: 100, rate: 0.5 },
+    { upTo: 200, rate: 0.6 },
+    { upTo: null, rate: 0.9 },
+  ],
+};
+const tou = {
+  id: "tou",
+  type: "tou",
+  offPeakRate: 0.3,
+  windows: [
+    { name: "peak", start: "08:00", end: "22:00", rate: 0.6, days: [1, 2] },
+    { name: "night", start: "22:00", end: "06:00", rate: 0.2 },
+  ],
+  fixedMonthlyCharge: 10,
+};
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test("validateTariff accepts well-formed tariffs", () => {
+  [flat, tiered, tou].forEach((tariff) =>
+    assert.equal(validateTariff(tariff), tariff)
+  );
+});
+
+test("validateTariff rejects broken tariffs", () => {
+  assert.throws(() => validateTariff({ id: "x", type: "flat" }), /rate/);
+  assert.throws(() => validateTariff({ ...flat, type: "other" }), /type/);
+  assert.throws(
+    () =>
+      validateTariff({
+        ...tiered,
+        tiers: [
+          { upTo: 200, rate: 0.5 },
+          { upTo: 100, rate: 0.6 },
+          { upTo: null, rate: 0.9 },
+        ],
+      }),
+    /increase/
+  );
+  assert.throws(
+    () => validateTariff({ ...tiered, tiers: [{ upTo: 100, rate: 0.5 }] }),
+    /upTo/
+  );
+  assert.throws(
+    () =>
+      validateTariff({
+        ...tou,
+        windows: [{ name: "peak", start: "8:30", end: "22:00", rate: 1 }],
+      }),
+    /HH:00/
+  );
+});
+
+test("validateTariff keeps window names and days safe for Flux", () => {
+  const peak = { name: "peak", start: "08:00", end: "22:00", rate: 0.6 };
+  assert.throws(
+    () =>
+      validateTariff({
+        ...tou,
+        windows: [{ ...peak, name: 'peak" else "x' }],
+      }),
+    /window names may only hold/
+  );
+  ["1) or true", 7, -1, 1.5].forEach((day) =>
+    assert.throws(
+      () => validateTariff({ ...tou, windows: [{ ...peak, days: [1, day] }] }),
+      /days must be weekdays 0-6/
+    )
+  );
+  assert.throws(
+    () => validateTariff({ ...tou, windows: [{ ...peak, days: "1,2" }] }),
+    /days must be weekdays 0-6/
+  );
+  assert.ok(
+    validateTariff({
+      ...tou,
+      windows: [{ ...peak, name: "Peak hours-2_b", days: [0, 6] }],
+    })
+  );
+});
+
+test("flat and tiered energy costs", () => {
+  close(calculateEnergyCost(flat, 10), 5);
+  assert.equal(calculateEnergyCost(flat, -1), 0);
+  // 50 kWh left in the first tier, 100 in the second, 10 in the last
+  close(
+    calculateEnergyCost(tiered, 160, { monthToDate: 50 }),
+    50 * 0.5 + 100 * 0.6 + 10 * 0.9
+  );
+  close(calculateEnergyCost(tiered, 10, { monthToDate: 300 }), 9);
+});
+
+test("time-of-use costs split kWh by the measured bands", () => {
+  close(
+    calculateEnergyCost(tou, 10, { bandEnergy: { peak: 3, night: 1 } }),
+    7.5 * 0.6 + 2.5 * 0.2
+  );
+  // Unknown bands and no band readings fall back to the off-peak rate
+  close(calculateEnergyCost(tou, 10, { bandEnergy: { other: 1 } }), 3);
+  close(calculateEnergyCost(tou, 10), 3);
+});
+
+test("fixed charge is prorated by month fraction", () => {
+  close(calculateFixedCharge(tou, 0.5), 5);
+  assert.equal(calculateFixedCharge(flat, 1), 0);
+  assert.equal(calculateFixedCharge(null, 1), 0);
+});
+
+test("band lookup matches the Flux expression", () => {
+  assert.equal(getBandAt(tou, 9, 1), "peak");
+  assert.equal(getBandAt(tou, 9, 0), OFF_PEAK_BAND);
+  assert.equal(getBandAt(tou, 23, 0), "night");
+  assert.equal(getBandAt(tou, 3, 5), "night");
+  assert.equal(getBandAt(tou, 7, 5), OFF_PEAK_BAND);
+  assert.equal(
+    buildBandExpression(tou),
+    'if (h >= 8 and h < 22) and contains(value: wd, set: [1, 2]) then "peak" else if (h >= 22 or h < 6) then "night" else "offpeak"'
+  );
+});
+
+test("config is saved, loaded and looked up", () => {
+  assert.deepEqual(loadTariffConfig().tariffs, []);
+  assert.throws(
+    () => saveTariffConfig({ activeTariff: "none", tariffs: [flat] }),
+    /not defined/
+  );
+  assert.throws(() => saveTariffConfig({ tariffs: [flat, flat] }), /unique/);
+  saveTariffConfig({ currency: "EUR", activeTariff: "flat", tariffs: [flat] });
+  assert.deepEqual(getTariff(), { currency: "EUR", ...flat });
+  assert.equal(getTariff("missing"), null);
+});
@@ -2,7 +2,33 @@
 
 import { useEffect, useState, useCallback } from "react";
 import EnergyChart from "./components/EnergyChart";
+import LivePanel from "./components/LivePanel";
+import BillingView from "./components/BillingView";
+import MetersView from "./components/MetersView";
+import MeterHealthView from "./components/MeterHealthView";
+import PowerQualityView from "./components/PowerQualityView";
+import RoomBreakdown from "./components/RoomBreakdown";
+import StandbyLoad from "./components/StandbyLoad";
+import ReadingsTable from "./components/ReadingsTable";
+import EnergyHeatmap from "./components/EnergyHeatmap";
+import LoginView from "./components/LoginView";
+import {
+  authDownload,
+  authFetch,
+  clearToken,
+  getToken,
+  setToken,
+  setUnauthorizedHandler,
+} from "./auth";
 import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Buckets are local to the site, as on the server
+const SITE_TIMEZONE = "Asia/Shanghai";
 
 const DatePicker = ({ selected, onChange, dateFormat, className }) => {
   const formatDate = (date) => {
@@ -40,12 +66,34 @@ const App = () => {
   const [data, setData] = useState([]);
   const [period, setPeriod] = useState("hour");
   const [room, setRoom] = useState("");
+  // Rooms shown side by side when room is "multiple"
+  const [selectedRooms, setSelectedRooms] = useState([]);
+  const [roomLayout, setRoomLayout] = useState("stacked");
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [rangeStart, setRangeStart] = useState(
+    dayjs().subtract(9, "day").toDate()
+  );
+  const [rangeEnd, setRangeEnd] = useState(new Date());
+  const [bucket, setBucket] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState(null);
   const [serverStatus, setServerStatus] = useState("unknown");
   const [availableRooms, setAvailableRooms] = useState([]);
   const [showSupply, setShowSupply] = useState(true);
+  const [metric, setMetric] = useState("energy");
+  const [tariff, setTariff] = useState(null);
+  const [view, setView] = useState("dashboard");
+  const [showLosses, setShowLosses] = useState(false);
+  const [compare, setCompare] = useState("");
+  const [interpolate, setInterpolate] = useState(false);
+  const [forecastModel, setForecastModel] = useState("");
+  const [forecast, setForecast] = useState(null);
+  const [demandWindow, setDemandWindow] = useState("");
+  const [peakDemand, setPeakDemand] = useState(null);
+  const [inspectedBucket, setInspectedBucket] = useState(null);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
 
   const testServerConnection = useCallback(async () => {
     const servers = [
@@ -83,7 +131,7 @@ const App = () => {
   const fetchRooms = useCallback(async (workingServer) => {
     if (!workingServer) return;
     try {
-      const response = await fetch(`${workingServer}/api/rooms`, {
+      const response = await authFetch(`${workingServer}/api/rooms`, {
         method: "GET",
         signal: AbortSignal.timeout(5000),
       });
@@ -98,9 +146,59 @@ const App = () => {
     }
   }, []);
 
+  // Range of the current view, shared by the chart and the room ranking
+  const rangeQuery = (
+    period === "custom"
+      ? new URLSearchParams({
+          start: rangeStart.toISOString().split("T")[0],
+          end: rangeEnd.toISOString().split("T")[0],
+        })
+      : new URLSearchParams({
+          period,
+          date: selectedDate.toISOString().split("T")[0],
+        })
+  ).toString();
+
+  // Forecasts project the current day (hourly) or month (daily)
+  const forecastHorizon =
+    period === "hour" && dayjs().isSame(selectedDate, "day")
+      ? "day"
+      : period === "day" && dayjs().isSame(selectedDate, "month")
+      ? "month"
+      : null;
+
+  // Everything the chart view asks /api/data for, also used for downloads
+  const roomParam = room === "multiple" ? selectedRooms.join(",") : room;
+  const dataQuery = (() => {
+    const params = new URLSearchParams(rangeQuery);
+    if (period === "custom" && bucket) {
+      params.append("bucket", bucket);
+    }
+    if (compare) {
+      params.append("compare", compare);
+    }
+    if (interpolate) {
+      params.append("interpolate", "true");
+    }
+    if (roomParam) {
+      params.append("room", roomParam);
+    }
+    return params.toString();
+  })();
+
+  // Peak demand is worked out from 5 minute readings, not for whole years
+  const demandAvailable = period !== "year";
+
+  // A tenant's "All Rooms" is only their own rooms, not the whole site, so
+  // supply, losses and the room ranking are for managers and admins
+  const isTenant = user?.role === "tenant";
+  const siteView = room === "" && !isTenant;
+
   const fetchData = useCallback(async () => {
+    if (!user) return;
     setLoading(true);
     setError(null);
+    setInspectedBucket(null);
 
     try {
       const workingServer = await testServerConnection();
@@ -113,17 +211,11 @@ const App = () => {
         await fetchRooms(workingServer);
       }
 
-      const params = new URLSearchParams({
-        period,
-        date: selectedDate.toISOString().split("T")[0],
-      });
-      if (room) {
-        params.append("room", room);
-      }
+      const params = new URLSearchParams(dataQuery);
 
       console.log(`📡 Fetching data from: ${workingServer}/api/data?${params}`);
 
-      const response = await fetch(`${workingServer}/api/data?${params}`, {
+      const response = await authFetch(`${workingServer}/api/data?${params}`, {
         method: "GET",
         headers: {
           Accept: "application/json",
@@ -144,6 +236,8 @@ const App = () => {
       const responseData = await response.json();
       console.log("📊 Raw API response:", responseData);
 
+      setTariff(responseData.meta?.tariff || null);
+
       let apiData = responseData;
       if (responseData.data) {
         apiData = responseData.data;
@@ -165,7 +259,10 @@ const App = () => {
 
         let formattedTimestamp;
 
-        if (period === "hour") {
+        if (period === "custom") {
+          // The server labels custom buckets to match their size
+          formattedTimestamp = item.timestamp;
+        } else if (period === "hour") {
           formattedTimestamp = `${item.period.toString().padStart(2, "0")}:00`;
         } else if (period === "day") {
           formattedTimestamp = dayjs(dateObject).format("MMM DD");
@@ -180,9 +277,34 @@ const App = () => {
         return {
           timestamp: formattedTimestamp,
           fullTimestamp: dateObject,
+          utcStart: item.utcStart,
+          utcEnd: item.utcEnd,
           period: item.period,
           consumption: Number.parseFloat(item.consumption) || 0,
           supply: Number.parseFloat(item.supply) || 0,
+          solar: Number.parseFloat(item.solar) || 0,
+          gridExport: Number.parseFloat(item.gridExport) || 0,
+          consumptionCost: Number.parseFloat(item.consumptionCost) || 0,
+          supplyCost: Number.parseFloat(item.supplyCost) || 0,
+          // How much of the bucket the meters actually reported
+          status: item.status,
+          coverage: item.coverage,
+          interpolatedConsumption: item.interpolated?.consumption || 0,
+          // Aligned bucket of the comparison range, drawn as a ghost line
+          compareLabel: item.comparison?.timestamp,
+          compareConsumption: item.comparison
+            ? Number.parseFloat(item.comparison.consumption) || 0
+            : null,
+          compareConsumptionCost: item.comparison
+            ? Number.parseFloat(item.comparison.consumptionCost) || 0
+            : null,
+          // One series per room when several rooms are selected
+          ...Object.fromEntries(
+            (item.rooms || []).flatMap((r) => [
+              [`room:${r.room}`, r.consumption],
+              [`roomCost:${r.room}`, r.consumptionCost ?? 0],
+            ])
+          ),
         };
       });
 
@@ -190,32 +312,35 @@ const App = () => {
 
       function generateAllPeriods(period, selectedDate) {
         const periods = [];
-        const d = dayjs(selectedDate);
+        // The same local date the request was made for
+        const d = dayjs.tz(
+          selectedDate.toISOString().split("T")[0],
+          SITE_TIMEZONE
+        );
+        // Fillers keep their time range so they can be opened too
+        const addPeriod = (local, unit, format, value) =>
+          periods.push({
+            timestamp: local.format(format),
+            period: value,
+            utcStart: local.startOf(unit).utc().toISOString(),
+            utcEnd: local.endOf(unit).utc().toISOString(),
+          });
 
         if (period === "day") {
-          const daysInMonth = d.daysInMonth();
-          for (let i = 1; i <= daysInMonth; i++) {
-            periods.push({
-              timestamp: dayjs(d).date(i).format("MMM DD"),
-              period: i,
-            });
+          const monthStart = d.startOf("month");
+          for (let i = 1; i <= d.daysInMonth(); i++) {
+            addPeriod(monthStart.add(i - 1, "day"), "day", "MMM DD", i);
           }
         } else if (period === "month") {
+          const yearStart = d.startOf("year");
           for (let i = 0; i < 12; i++) {
-            periods.push({
-              timestamp: dayjs().month(i).format("MMMM"),
-              period: i,
-            });
+            addPeriod(yearStart.add(i, "month"), "month", "MMMM", i);
           }
         } else if (period === "year") {
-          // FIX: Add this block to handle the year period
           const startYear = 2023; // The earliest year of your data
           const endYear = d.year(); // The year from the date picker
           for (let y = startYear; y <= endYear; y++) {
-            periods.push({
-              timestamp: y.toString(),
-              period: y,
-            });
+            addPeriod(dayjs.tz(`${y}-01-01`, SITE_TIMEZONE), "year", "YYYY", y);
           }
         }
         return periods;
@@ -233,10 +358,127 @@ const App = () => {
                 ...p,
                 consumption: 0,
                 supply: 0,
+                consumptionCost: 0,
+                supplyCost: 0,
+                ...(dayjs(p.utcStart).isAfter(dayjs())
+                  ? { status: "future", coverage: null }
+                  : { status: "missing", coverage: 0 }),
               };
         });
       }
 
+      // Overlay the loss analysis for the All Rooms view
+      if (siteView && showLosses) {
+        const lossResponse = await authFetch(
+          `${workingServer}/api/losses?${params}`,
+          { method: "GET", signal: AbortSignal.timeout(30000) }
+        );
+        if (lossResponse.ok) {
+          const lossData = await lossResponse.json();
+          const lossByStart = {};
+          lossData.data.forEach((bucket) => {
+            lossByStart[bucket.utcStart] = bucket;
+          });
+          filledData = filledData.map((item) => {
+            const bucket = lossByStart[item.utcStart];
+            return bucket
+              ? {
+                  ...item,
+                  loss: bucket.loss,
+                  lossPercent: bucket.lossPercent,
+                  lossFlagged: bucket.flagged,
+                  lossReasons: bucket.reasons,
+                }
+              : item;
+          });
+        } else {
+          console.warn("⚠️ Failed to fetch loss analysis");
+        }
+      }
+
+      // Continue the current day or month with the projection
+      setForecast(null);
+      if (forecastModel && forecastHorizon) {
+        const forecastParams = new URLSearchParams({
+          horizon: forecastHorizon,
+          model: forecastModel,
+        });
+        if (roomParam) {
+          forecastParams.append("room", roomParam);
+        }
+        const forecastResponse = await authFetch(
+          `${workingServer}/api/forecast?${forecastParams}`,
+          { method: "GET", signal: AbortSignal.timeout(30000) }
+        );
+        if (forecastResponse.ok) {
+          const forecastData = await forecastResponse.json();
+          const slotByStart = {};
+          forecastData.data.forEach((slot) => {
+            slotByStart[slot.utcStart] = slot;
+          });
+          filledData = filledData.map((item) => {
+            const slot = slotByStart[item.utcStart];
+            return slot
+              ? {
+                  ...item,
+                  forecastConsumption: slot.consumption,
+                  forecastRange:
+                    slot.lower === null ? null : [slot.lower, slot.upper],
+                  forecastConsumptionCost: slot.consumptionCost ?? null,
+                  forecastCostRange:
+                    slot.lowerCost === null || slot.lowerCost === undefined
+                      ? null
+                      : [slot.lowerCost, slot.upperCost],
+                }
+              : item;
+          });
+          setForecast({
+            ...forecastData.summary,
+            horizon: forecastHorizon,
+            model: forecastData.models.find((m) => m.id === forecastModel),
+          });
+        } else {
+          console.warn("⚠️ Failed to fetch forecast");
+        }
+      }
+
+      // Mark the bucket with the highest rolling-window demand of the range:
+      // the grid supply for all rooms, otherwise the highest selected room
+      setPeakDemand(null);
+      if (demandWindow && demandAvailable) {
+        const demandParams = new URLSearchParams(rangeQuery);
+        demandParams.append("window", demandWindow);
+        if (roomParam) {
+          demandParams.append("room", roomParam);
+        }
+        const demandResponse = await authFetch(
+          `${workingServer}/api/demand?${demandParams}`,
+          { method: "GET", signal: AbortSignal.timeout(30000) }
+        );
+        if (demandResponse.ok) {
+          const demandData = await demandResponse.json();
+          const peak = !siteView
+            ? demandData.peaks.rooms.reduce(
+                (top, entry) => (!top || entry.kW > top.kW ? entry : top),
+                null
+              )
+            : demandData.peaks.supply;
+          const peakBucket = peak
+            ? filledData
+                .filter((item) => item.utcStart && item.utcStart <= peak.start)
+                .pop()
+            : null;
+          filledData = filledData.map((item) =>
+            item === peakBucket ? { ...item, demandPeak: peak } : item
+          );
+          setPeakDemand(
+            peak ? { ...peak, window: demandData.meta.window } : null
+          );
+        } else {
+          console.warn("⚠️ Failed to fetch peak demand");
+        }
+      }
+
       setData(filledData);
     } catch (err) {
       console.error("❌ Failed to fetch data:", err);
@@ -245,9 +487,18 @@ const App = () => {
       setLoading(false);
     }
   }, [
+    user,
     period,
-    room,
+    siteView,
+    roomParam,
     selectedDate,
+    rangeQuery,
+    dataQuery,
+    forecastModel,
+    forecastHorizon,
+    demandWindow,
+    demandAvailable,
+    showLosses,
     availableRooms.length,
     fetchRooms,
     testServerConnection,
@@ -257,15 +508,49 @@ const App = () => {
     fetchData();
   }, [fetchData]);
 
+  // Resume the session of a stored token
   useEffect(() => {
     const initApp = async () => {
       const server = await testServerConnection();
-      if (server) {
-        await fetchRooms(server);
+      if (server && getToken()) {
+        try {
+          const response = await authFetch(`${server}/api/auth/me`, {
+            signal: AbortSignal.timeout(5000),
+          });
+          if (response.ok) {
+            setUser((await response.json()).user);
+          }
+        } catch (err) {
+          console.warn("⚠️ Failed to restore the session:", err.message);
+        }
       }
+      setAuthChecked(true);
     };
     initApp();
-  }, [testServerConnection, fetchRooms]);
+  }, [testServerConnection]);
+
+  const handleSignOut = useCallback(() => {
+    clearToken();
+    setUser(null);
+    setData([]);
+    setAvailableRooms([]);
+    setRoom("");
+    setSelectedRooms([]);
+    setView("dashboard");
+  }, []);
+
+  useEffect(() => {
+    setUnauthorizedHandler(handleSignOut);
+    return () => setUnauthorizedHandler(null);
+  }, [handleSignOut]);
+
+  const handleLogin = ({ token, user: signedIn }) => {
+    setToken(token);
+    setUser(signedIn);
+  };
+
+  const showCost = metric === "cost" && tariff !== null;
+  const activeServer = serverStatus.startsWith("http") ? serverStatus : null;
 
   return (
     <>
@@ -352,339 +637,939 @@ const App = () => {
               ? "Server connection failed"
               : `Connected to ${serverStatus.split("//")[1]}`}
           </div>
-        </div>
 
-        {/* Unified Control Panel */}
-        <div
-          style={{
-            marginBottom: "20px",
-            padding: "20px",
-            background:
-              "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
-            backdropFilter: "blur(15px)",
-            borderRadius: "12px",
-            border: "1px solid rgba(255, 255, 255, 0.5)",
-            boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
-          }}
-        >
-          <div
-            style={{
-              display: "grid",
-              gridTemplateColumns: "2fr 1fr 1fr 1fr",
-              gap: "20px",
-              alignItems: "end",
-            }}
-          >
-            {/* Period Selection */}
-            <div>
-              <label
-                style={{
-                  display: "block",
-                  marginBottom: "8px",
-                  fontSize: "14px",
-                  fontWeight: "500",
-                  color: "#374151",
-                }}
-              >
-                Period:
-              </label>
-              <div style={{ display: "flex", gap: "6px" }}>
-                {["hour", "day", "month", "year"].map((p) => (
-                  <button
-                    key={p}
-                    onClick={() => setPeriod(p)}
-                    style={{
-                      padding: "8px 14px",
-                      borderRadius: "6px",
-                      border: "none",
-                      background:
-                        period === p
-                          ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
-                          : "rgba(255, 255, 255, 0.7)",
-                      color: period === p ? "#ffffff" : "#374151",
-                      cursor: "pointer",
-                      fontWeight: "500",
-                      fontSize: "13px",
-                      textTransform: "capitalize",
-                      transition: "all 0.2s ease",
-                      boxShadow:
-                        period === p
-                          ? "0 2px 8px rgba(16, 185, 129, 0.3)"
-                          : "0 1px 3px rgba(0, 0, 0, 0.1)",
-                      backdropFilter: "blur(10px)",
-                      flex: 1,
-                    }}
-                  >
-                    {p.charAt(0).toUpperCase() + p.slice(1)}
-                  </button>
-                ))}
-              </div>
-            </div>
-
-            {/* Room Selection */}
-            <div>
-              <label
-                style={{
-                  display: "block",
-                  marginBottom: "8px",
-                  fontSize: "14px",
-                  fontWeight: "500",
-                  color: "#374151",
-                }}
-              >
-                Room:
-              </label>
-              <select
-                value={room}
-                onChange={(e) => setRoom(e.target.value)}
+          {/* Signed-in User */}
+          {user && (
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6b7280",
+                marginTop: "4px",
+              }}
+            >
+              Signed in as {user.username} ({user.role}
+              {isTenant ? `, Room ${user.rooms.join(", ")}` : ""})
+              <button
+                onClick={handleSignOut}
                 style={{
-                  padding: "8px 12px",
-                  border: "1px solid rgba(255, 255, 255, 0.6)",
+                  marginLeft: "8px",
+                  padding: "2px 10px",
                   borderRadius: "6px",
-                  fontSize: "14px",
+                  border: "none",
                   background: "rgba(255, 255, 255, 0.7)",
-                  backdropFilter: "blur(10px)",
-                  outline: "none",
-                  width: "100%",
                   color: "#374151",
-                }}
-                onFocus={(e) => {
-                  e.target.style.borderColor = "#10b981";
-                  e.target.style.boxShadow =
-                    "0 0 0 2px rgba(16, 185, 129, 0.2)";
-                }}
-                onBlur={(e) => {
-                  e.target.style.borderColor = "rgba(255, 255, 255, 0.6)";
-                  e.target.style.boxShadow = "none";
+                  cursor: "pointer",
+                  fontSize: "12px",
+                  boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
                 }}
               >
-                <option value="">All Rooms</option>
-                {availableRooms.map((r) => (
-                  <option key={r} value={r}>
-                    Room {r}
-                  </option>
-                ))}
-              </select>
-            </div>
-
-            {/* Date Selection */}
-            <div>
-              <label
-                style={{
-                  display: "block",
-                  marginBottom: "8px",
-                  fontSize: "14px",
-                  fontWeight: "500",
-                  color: "#374151",
-                }}
-              >
-                Date:
-              </label>
-              <DatePicker
-                selected={selectedDate}
-                onChange={(date) => setSelectedDate(date)}
-                dateFormat="yyyy-MM-dd"
-                className="date-picker"
-              />
-            </div>
-
-            {/* Refresh Button */}
-            <div>
-              <button
-                onClick={fetchData}
-                disabled={loading}
-                style={{
-                  padding: "8px 16px",
-                  background: loading
-                    ? "rgba(156, 163, 175, 0.8)"
-                    : "linear-gradient(135deg, #ff6b35 0%, #f7931e 100%)",
-                  color: "#ffffff",
-                  border: "none",
-                  borderRadius: "6px",
-                  cursor: loading ? "not-allowed" : "pointer",
-                  fontSize: "14px",
-                  fontWeight: "500",
-                  width: "100%",
-                  height: "36px",
-                  transition: "all 0.2s ease",
-                  boxShadow: loading
-                    ? "none"
-                    : "0 2px 8px rgba(255, 107, 53, 0.3)",
-                  backdropFilter: "blur(10px)",
-                }}
-              >
-                {loading ? "Refreshing..." : "Refresh"}
+                Sign out
               </button>
             </div>
-          </div>
-        </div>
+          )}
 
-        {/* Main Content */}
-        {loading ? (
+          {/* View Tabs, as far as the role allows */}
           <div
             style={{
-              background:
-                "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
-              backdropFilter: "blur(15px)",
-              borderRadius: "12px",
-              border: "1px solid rgba(255, 255, 255, 0.5)",
-              boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
-              padding: "40px",
-              textAlign: "center",
+              display: "inline-flex",
+              gap: "6px",
+              marginTop: "12px",
             }}
           >
-            <div
-              style={{
-                width: "40px",
-                height: "40px",
-                border: "3px solid rgba(16, 185, 129, 0.3)",
-                borderTop: "3px solid #10b981",
-                borderRadius: "50%",
-                animation: "spin 1s linear infinite",
-                margin: "0 auto 16px",
-              }}
-            />
-            <div
-              style={{
-                fontSize: "16px",
-                color: "#374151",
-                marginBottom: "8px",
-              }}
-            >
-              Loading data...
-            </div>
-            <div style={{ fontSize: "12px", color: "#6b7280" }}>
-              Testing server connections and fetching data
-            </div>
+            {[
+              { value: "dashboard", label: "Dashboard" },
+              { value: "billing", label: "Billing" },
+              { value: "meters", label: "Meters", roles: ["admin"] },
+              { value: "status", label: "Status", roles: ["admin", "manager"] },
+              {
+                value: "quality",
+                label: "Quality",
+                roles: ["admin", "manager"],
+              },
+            ]
+              .filter(
+                (tab) => user && (!tab.roles || tab.roles.includes(user.role))
+              )
+              .map((tab) => (
+                <button
+                  key={tab.value}
+                  onClick={() => setView(tab.value)}
+                  style={{
+                    padding: "6px 16px",
+                    borderRadius: "6px",
+                    border: "none",
+                    background:
+                      view === tab.value
+                        ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
+                        : "rgba(255, 255, 255, 0.7)",
+                    color: view === tab.value ? "#ffffff" : "#374151",
+                    cursor: "pointer",
+                    fontWeight: "500",
+                    fontSize: "13px",
+                    boxShadow:
+                      view === tab.value
+                        ? "0 2px 8px rgba(16, 185, 129, 0.3)"
+                        : "0 1px 3px rgba(0, 0, 0, 0.1)",
+                  }}
+                >
+                  {tab.label}
+                </button>
+              ))}
           </div>
-        ) : error ? (
-          <div
-            style={{
-              background:
-                "linear-gradient(135deg, rgba(254, 242, 242, 0.8) 0%, rgba(220, 38, 38, 0.1) 100%)",
-              backdropFilter: "blur(15px)",
-              border: "1px solid rgba(220, 38, 38, 0.3)",
-              borderRadius: "12px",
-              padding: "20px",
-              textAlign: "center",
-              boxShadow: "0 4px 20px rgba(220, 38, 38, 0.1)",
-            }}
-          >
+        </div>
+
+        {!user ? (
+          authChecked && (
+            <LoginView server={activeServer} onLogin={handleLogin} />
+          )
+        ) : view === "billing" ? (
+          <BillingView server={activeServer} availableRooms={availableRooms} />
+        ) : view === "meters" ? (
+          <MetersView
+            server={activeServer}
+            onMetersChanged={() => fetchRooms(activeServer)}
+          />
+        ) : view === "status" ? (
+          <MeterHealthView server={activeServer} />
+        ) : view === "quality" ? (
+          <PowerQualityView server={activeServer} />
+        ) : (
+          <>
+            {/* Unified Control Panel */}
             <div
               style={{
-                fontSize: "14px",
-                fontWeight: "500",
-                color: "#dc2626",
-                marginBottom: "4px",
+                marginBottom: "20px",
+                padding: "20px",
+                background:
+                  "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+                backdropFilter: "blur(15px)",
+                borderRadius: "12px",
+                border: "1px solid rgba(255, 255, 255, 0.5)",
+                boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
               }}
             >
-              Error Loading Data
-            </div>
-            <div style={{ fontSize: "12px", color: "#991b1b" }}>{error}</div>
-          </div>
-        ) : (
-          <div
-            style={{
-              background:
-                "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
-              backdropFilter: "blur(15px)",
-              borderRadius: "12px",
-              border: "1px solid rgba(255, 255, 255, 0.5)",
-              boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
-            }}
-          >
-            {data.length > 0 ? (
-              <>
-                {/* Chart Header */}
-                <div
-                  style={{
-                    padding: "16px 20px 12px",
-                  }}
-                >
-                  <div
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns:
+                    period === "custom" ? "2fr 1fr 2fr 1fr" : "2fr 1fr 1fr 1fr",
+                  gap: "20px",
+                  alignItems: "end",
+                }}
+              >
+                {/* Period Selection */}
+                <div>
+                  <label
                     style={{
-                      fontSize: "16px",
-                      fontWeight: "600",
-                      color: "#111827",
+                      display: "block",
                       marginBottom: "8px",
-                      textAlign: "center",
+                      fontSize: "14px",
+                      fontWeight: "500",
+                      color: "#374151",
                     }}
                   >
-                    {room
-                      ? `Room ${room} Energy Consumption (kWh)`
-                      : "All Rooms Consumption vs Grid Supply (kWh)"}
+                    Period:
+                  </label>
+                  <div style={{ display: "flex", gap: "6px" }}>
+                    {["hour", "day", "month", "year", "custom"].map((p) => (
+                      <button
+                        key={p}
+                        onClick={() => setPeriod(p)}
+                        style={{
+                          padding: "8px 14px",
+                          borderRadius: "6px",
+                          border: "none",
+                          background:
+                            period === p
+                              ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
+                              : "rgba(255, 255, 255, 0.7)",
+                          color: period === p ? "#ffffff" : "#374151",
+                          cursor: "pointer",
+                          fontWeight: "500",
+                          fontSize: "13px",
+                          textTransform: "capitalize",
+                          transition: "all 0.2s ease",
+                          boxShadow:
+                            period === p
+                              ? "0 2px 8px rgba(16, 185, 129, 0.3)"
+                              : "0 1px 3px rgba(0, 0, 0, 0.1)",
+                          backdropFilter: "blur(10px)",
+                          flex: 1,
+                        }}
+                      >
+                        {p.charAt(0).toUpperCase() + p.slice(1)}
+                      </button>
+                    ))}
                   </div>
+                </div>
 
-                  {/* Supply Toggle */}
-                  <div style={{ textAlign: "center" }}>
-                    <label
+                {/* Room Selection */}
+                <div>
+                  <label
+                    style={{
+                      display: "block",
+                      marginBottom: "8px",
+                      fontSize: "14px",
+                      fontWeight: "500",
+                      color: "#374151",
+                    }}
+                  >
+                    Room:
+                  </label>
+                  <select
+                    value={room}
+                    onChange={(e) => setRoom(e.target.value)}
+                    style={{
+                      padding: "8px 12px",
+                      border: "1px solid rgba(255, 255, 255, 0.6)",
+                      borderRadius: "6px",
+                      fontSize: "14px",
+                      background: "rgba(255, 255, 255, 0.7)",
+                      backdropFilter: "blur(10px)",
+                      outline: "none",
+                      width: "100%",
+                      color: "#374151",
+                    }}
+                    onFocus={(e) => {
+                      e.target.style.borderColor = "#10b981";
+                      e.target.style.boxShadow =
+                        "0 0 0 2px rgba(16, 185, 129, 0.2)";
+                    }}
+                    onBlur={(e) => {
+                      e.target.style.borderColor = "rgba(255, 255, 255, 0.6)";
+                      e.target.style.boxShadow = "none";
+                    }}
+                  >
+                    <option value="">All Rooms</option>
+                    {availableRooms.map((r) => (
+                      <option key={r} value={r}>
+                        Room {r}
+                      </option>
+                    ))}
+                    <option value="multiple">Several Rooms...</option>
+                  </select>
+                  {room === "multiple" && (
+                    <div
                       style={{
-                        display: "inline-flex",
-                        alignItems: "center",
-                        gap: "6px",
-                        fontSize: "13px",
-                        fontWeight: "500",
-                        color: room === "" ? "#374151" : "#6b7280",
-                        cursor: room === "" ? "pointer" : "not-allowed",
-                        padding: "4px 8px",
+                        display: "flex",
+                        flexWrap: "wrap",
+                        gap: "4px 10px",
+                        marginTop: "8px",
                       }}
                     >
-                      <input
-                        type="checkbox"
-                        checked={showSupply}
-                        onChange={() => setShowSupply((prev) => !prev)}
-                        disabled={room !== ""}
-                        style={{
-                          cursor: room === "" ? "pointer" : "not-allowed",
-                          accentColor: "#10b981",
-                        }}
-                      />
-                      Show Grid Supply
-                      {room !== "" && (
-                        <span
+                      {availableRooms.map((r) => (
+                        <label
+                          key={r}
                           style={{
-                            fontSize: "11px",
-                            color: "#6b7280",
-                            fontStyle: "italic",
+                            display: "flex",
+                            alignItems: "center",
+                            gap: "4px",
+                            fontSize: "13px",
+                            color: "#374151",
+                            cursor: "pointer",
                           }}
                         >
-                          (All Rooms only)
-                        </span>
-                      )}
-                    </label>
-                  </div>
+                          <input
+                            type="checkbox"
+                            checked={selectedRooms.includes(r)}
+                            onChange={(e) =>
+                              setSelectedRooms(
+                                availableRooms.filter((other) =>
+                                  other === r
+                                    ? e.target.checked
+                                    : selectedRooms.includes(other)
+                                )
+                              )
+                            }
+                          />
+                          {r}
+                        </label>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
-                {/* Chart */}
-                <div style={{ padding: "16px" }}>
-                  <EnergyChart
-                    data={data}
-                    showSupply={room === "" && showSupply}
-                  />
+                {/* Date Selection */}
+                <div>
+                  <label
+                    style={{
+                      display: "block",
+                      marginBottom: "8px",
+                      fontSize: "14px",
+                      fontWeight: "500",
+                      color: "#374151",
+                    }}
+                  >
+                    {period === "custom" ? "Range:" : "Date:"}
+                  </label>
+                  {period === "custom" ? (
+                    <div
+                      style={{
+                        display: "flex",
+                        gap: "6px",
+                        alignItems: "center",
+                      }}
+                    >
+                      <DatePicker
+                        selected={rangeStart}
+                        onChange={(date) => setRangeStart(date)}
+                        dateFormat="yyyy-MM-dd"
+                        className="date-picker"
+                      />
+                      <span style={{ color: "#6b7280" }}>–</span>
+                      <DatePicker
+                        selected={rangeEnd}
+                        onChange={(date) => setRangeEnd(date)}
+                        dateFormat="yyyy-MM-dd"
+                        className="date-picker"
+                      />
+                      <select
+                        value={bucket}
+                        onChange={(e) => setBucket(e.target.value)}
+                        title="Bucket size"
+                        style={{
+                          padding: "8px 6px",
+                          border: "1px solid rgba(16, 185, 129, 0.3)",
+                          borderRadius: "6px",
+                          fontSize: "14px",
+                          background: "rgba(255, 255, 255, 0.8)",
+                          outline: "none",
+                          color: "#374151",
+                        }}
+                      >
+                        <option value="">Auto</option>
+                        <option value="15m">15 min</option>
+                        <option value="hour">Hour</option>
+                        <option value="day">Day</option>
+                        <option value="week">Week</option>
+                        <option value="month">Month</option>
+                      </select>
+                    </div>
+                  ) : (
+                    <DatePicker
+                      selected={selectedDate}
+                      onChange={(date) => setSelectedDate(date)}
+                      dateFormat="yyyy-MM-dd"
+                      className="date-picker"
+                    />
+                  )}
                 </div>
-              </>
-            ) : (
+
+                {/* Refresh Button */}
+                <div>
+                  <button
+                    onClick={fetchData}
+                    disabled={loading}
+                    style={{
+                      padding: "8px 16px",
+                      background: loading
+                        ? "rgba(156, 163, 175, 0.8)"
+                        : "linear-gradient(135deg, #ff6b35 0%, #f7931e 100%)",
+                      color: "#ffffff",
+                      border: "none",
+                      borderRadius: "6px",
+                      cursor: loading ? "not-allowed" : "pointer",
+                      fontSize: "14px",
+                      fontWeight: "500",
+                      width: "100%",
+                      height: "36px",
+                      transition: "all 0.2s ease",
+                      boxShadow: loading
+                        ? "none"
+                        : "0 2px 8px rgba(255, 107, 53, 0.3)",
+                      backdropFilter: "blur(10px)",
+                    }}
+                  >
+                    {loading ? "Refreshing..." : "Refresh"}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* Live Power Panel */}
+            <LivePanel server={activeServer} />
+
+            {/* Main Content */}
+            {loading ? (
               <div
                 style={{
+                  background:
+                    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+                  backdropFilter: "blur(15px)",
+                  borderRadius: "12px",
+                  border: "1px solid rgba(255, 255, 255, 0.5)",
+                  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
                   padding: "40px",
                   textAlign: "center",
                 }}
               >
                 <div
                   style={{
-                    fontSize: "14px",
+                    width: "40px",
+                    height: "40px",
+                    border: "3px solid rgba(16, 185, 129, 0.3)",
+                    borderTop: "3px solid #10b981",
+                    borderRadius: "50%",
+                    animation: "spin 1s linear infinite",
+                    margin: "0 auto 16px",
+                  }}
+                />
+                <div
+                  style={{
+                    fontSize: "16px",
                     color: "#374151",
-                    marginBottom: "4px",
+                    marginBottom: "8px",
                   }}
                 >
-                  No Data Available
+                  Loading data...
                 </div>
                 <div style={{ fontSize: "12px", color: "#6b7280" }}>
-                  No data found for the selected criteria
+                  Testing server connections and fetching data
                 </div>
               </div>
+            ) : error ? (
+              <div
+                style={{
+                  background:
+                    "linear-gradient(135deg, rgba(254, 242, 242, 0.8) 0%, rgba(220, 38, 38, 0.1) 100%)",
+                  backdropFilter: "blur(15px)",
+                  border: "1px solid rgba(220, 38, 38, 0.3)",
+                  borderRadius: "12px",
+                  padding: "20px",
+                  textAlign: "center",
+                  boxShadow: "0 4px 20px rgba(220, 38, 38, 0.1)",
+                }}
+              >
+                <div
+                  style={{
+                    fontSize: "14px",
+                    fontWeight: "500",
+                    color: "#dc2626",
+                    marginBottom: "4px",
+                  }}
+                >
+                  Error Loading Data
+                </div>
+                <div style={{ fontSize: "12px", color: "#991b1b" }}>
+                  {error}
+                </div>
+              </div>
+            ) : (
+              <div
+                style={{
+                  background:
+                    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+                  backdropFilter: "blur(15px)",
+                  borderRadius: "12px",
+                  border: "1px solid rgba(255, 255, 255, 0.5)",
+                  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+                }}
+              >
+                {data.length > 0 ? (
+                  <>
+                    {/* Chart Header */}
+                    <div
+                      style={{
+                        padding: "16px 20px 12px",
+                      }}
+                    >
+                      <div
+                        style={{
+                          fontSize: "16px",
+                          fontWeight: "600",
+                          color: "#111827",
+                          marginBottom: "8px",
+                          textAlign: "center",
+                        }}
+                      >
+                        {room === "multiple"
+                          ? selectedRooms.length > 0
+                            ? `Rooms ${selectedRooms.join(
+                                ", "
+                              )} Energy Consumption`
+                            : "All Rooms Energy Consumption"
+                          : room
+                          ? `Room ${room} Energy Consumption`
+                          : "All Rooms Consumption vs Grid Supply"}{" "}
+                        ({showCost ? tariff.currency : "kWh"})
+                      </div>
+
+                      {forecast && (
+                        <div
+                          style={{
+                            fontSize: "13px",
+                            color: "#6b7280",
+                            marginBottom: "8px",
+                            textAlign: "center",
+                          }}
+                        >
+                          Projected end of {forecast.horizon}:{" "}
+                          <span style={{ color: "#ff6b35", fontWeight: "600" }}>
+                            {showCost && forecast.projectedCost !== undefined
+                              ? `${tariff.currency} ${forecast.projectedCost}`
+                              : `${forecast.projected} kWh`}
+                          </span>
+                          {forecast.lower !== null &&
+                            (showCost && forecast.projectedCost !== undefined
+                              ? ` (${forecast.lowerCost}–${forecast.upperCost})`
+                              : ` (${forecast.lower}–${forecast.upper})`)}
+                          {" · "}
+                          {forecast.measured} kWh measured so far ·{" "}
+                          {forecast.model?.name}
+                        </div>
+                      )}
+
+                      {peakDemand && (
+                        <div
+                          style={{
+                            fontSize: "13px",
+                            color: "#6b7280",
+                            marginBottom: "8px",
+                            textAlign: "center",
+                          }}
+                        >
+                          Peak {peakDemand.window} minute demand
+                          {peakDemand.room
+                            ? ` (Room ${peakDemand.room})`
+                            : ""}:{" "}
+                          <span style={{ color: "#dc2626", fontWeight: "600" }}>
+                            {peakDemand.kW} kW
+                          </span>{" "}
+                          at {new Date(peakDemand.start).toLocaleString()}
+                        </div>
+                      )}
+
+                      {/* kWh / Cost Toggle */}
+                      <div
+                        style={{
+                          display: "flex",
+                          justifyContent: "center",
+                          gap: "6px",
+                          marginBottom: "8px",
+                        }}
+                      >
+                        {[
+                          { value: "energy", label: "kWh" },
+                          { value: "cost", label: "Cost" },
+                        ].map((option) => (
+                          <button
+                            key={option.value}
+                            onClick={() => setMetric(option.value)}
+                            disabled={option.value === "cost" && !tariff}
+                            title={
+                              option.value === "cost" && !tariff
+                                ? "No tariff configured on the server"
+                                : tariff && option.value === "cost"
+                                ? tariff.name
+                                : undefined
+                            }
+                            style={{
+                              padding: "4px 12px",
+                              borderRadius: "6px",
+                              border: "none",
+                              background:
+                                metric === option.value
+                                  ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
+                                  : "rgba(255, 255, 255, 0.7)",
+                              color:
+                                metric === option.value ? "#ffffff" : "#374151",
+                              cursor:
+                                option.value === "cost" && !tariff
+                                  ? "not-allowed"
+                                  : "pointer",
+                              fontWeight: "500",
+                              fontSize: "12px",
+                              boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+                            }}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                      {exportError && (
+                        <div
+                          style={{
+                            textAlign: "center",
+                            marginBottom: "8px",
+                            fontSize: "12px",
+                            color: "#dc2626",
+                          }}
+                        >
+                          {exportError}
+                        </div>
+                      )}
+
+                      {/* Download of the current view */}
+                      <div
+                        style={{
+                          display: "flex",
+                          justifyContent: "center",
+                          alignItems: "center",
+                          gap: "6px",
+                          marginBottom: "8px",
+                          fontSize: "12px",
+                          color: "#6b7280",
+                        }}
+                      >
+                        Download:
+                        {[
+                          { value: "csv", label: "CSV" },
+                          { value: "xlsx", label: "Excel" },
+                          { value: "json", label: "JSON" },
+                        ].map((option) => (
+                          <button
+                            key={option.value}
+                            onClick={() => {
+                              setExportError(null);
+                              authDownload(
+                                `${activeServer}/api/export?${dataQuery}&format=${
+                                  option.value
+                                }${
+                                  room === "" && !showSupply
+                                    ? "&supply=false"
+                                    : ""
+                                }`
+                              ).catch((err) => {
+                                console.error("❌ Export failed:", err);
+                                setExportError(err.message);
+                              });
+                            }}
+                            style={{
+                              padding: "4px 10px",
+                              borderRadius: "6px",
+                              background: "rgba(255, 255, 255, 0.7)",
+                              color: "#374151",
+                              fontWeight: "500",
+                              textDecoration: "none",
+                              boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+                              border: "none",
+                              cursor: "pointer",
+                              fontSize: "12px",
+                            }}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                      {exportError && (
+                        <div
+                          style={{
+                            textAlign: "center",
+                            marginBottom: "8px",
+                            fontSize: "12px",
+                            color: "#dc2626",
+                          }}
+                        >
+                          {exportError}
+                        </div>
+                      )}
+
+                      {/* Supply Toggle */}
+                      <div style={{ textAlign: "center" }}>
+                        {/* Site-wide only, not for tenants */}
+                        {!isTenant && (
+                          <>
+                            <label
+                              style={{
+                                display: "inline-flex",
+                                alignItems: "center",
+                                gap: "6px",
+                                fontSize: "13px",
+                                fontWeight: "500",
+                                color: room === "" ? "#374151" : "#6b7280",
+                                cursor: room === "" ? "pointer" : "not-allowed",
+                                padding: "4px 8px",
+                              }}
+                            >
+                              <input
+                                type="checkbox"
+                                checked={showSupply}
+                                onChange={() => setShowSupply((prev) => !prev)}
+                                disabled={room !== ""}
+                                style={{
+                                  cursor:
+                                    room === "" ? "pointer" : "not-allowed",
+                                  accentColor: "#10b981",
+                                }}
+                              />
+                              Show Grid Supply
+                              {room !== "" && (
+                                <span
+                                  style={{
+                                    fontSize: "11px",
+                                    color: "#6b7280",
+                                    fontStyle: "italic",
+                                  }}
+                                >
+                                  (All Rooms only)
+                                </span>
+                              )}
+                            </label>
+                            <label
+                              style={{
+                                display: "inline-flex",
+                                alignItems: "center",
+                                gap: "6px",
+                                fontSize: "13px",
+                                fontWeight: "500",
+                                color:
+                                  room === "" && !showCost
+                                    ? "#374151"
+                                    : "#6b7280",
+                                cursor:
+                                  room === "" && !showCost
+                                    ? "pointer"
+                                    : "not-allowed",
+                                padding: "4px 8px",
+                              }}
+                            >
+                              <input
+                                type="checkbox"
+                                checked={showLosses}
+                                onChange={() => setShowLosses((prev) => !prev)}
+                                disabled={room !== "" || showCost}
+                                style={{
+                                  cursor:
+                                    room === "" && !showCost
+                                      ? "pointer"
+                                      : "not-allowed",
+                                  accentColor: "#dc2626",
+                                }}
+                              />
+                              Show Unaccounted Energy
+                            </label>
+                          </>
+                        )}
+                        <label
+                          style={{
+                            display: "inline-flex",
+                            alignItems: "center",
+                            gap: "6px",
+                            fontSize: "13px",
+                            fontWeight: "500",
+                            color: "#374151",
+                            padding: "4px 8px",
+                          }}
+                        >
+                          Compare with:
+                          <select
+                            value={compare}
+                            onChange={(e) => setCompare(e.target.value)}
+                            style={{
+                              padding: "2px 6px",
+                              border: "1px solid rgba(16, 185, 129, 0.3)",
+                              borderRadius: "6px",
+                              fontSize: "13px",
+                              background: "rgba(255, 255, 255, 0.8)",
+                              color: "#374151",
+                              outline: "none",
+                            }}
+                          >
+                            <option value="">Nothing</option>
+                            <option value="previous">Previous period</option>
+                            <option value="year">Same period last year</option>
+                          </select>
+                        </label>
+                        <label
+                          style={{
+                            display: "inline-flex",
+                            alignItems: "center",
+                            gap: "6px",
+                            fontSize: "13px",
+                            fontWeight: "500",
+                            color: "#374151",
+                            cursor: "pointer",
+                            padding: "4px 8px",
+                          }}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={interpolate}
+                            onChange={() => setInterpolate((prev) => !prev)}
+                            style={{
+                              cursor: "pointer",
+                              accentColor: "#6b7280",
+                            }}
+                          />
+                          Interpolate Gaps
+                        </label>
+                        <label
+                          title={
+                            forecastHorizon
+                              ? undefined
+                              : "Forecasts cover the current day or month"
+                          }
+                          style={{
+                            display: "inline-flex",
+                            alignItems: "center",
+                            gap: "6px",
+                            fontSize: "13px",
+                            fontWeight: "500",
+                            color: forecastHorizon ? "#374151" : "#6b7280",
+                            padding: "4px 8px",
+                          }}
+                        >
+                          Forecast:
+                          <select
+                            value={forecastModel}
+                            onChange={(e) => setForecastModel(e.target.value)}
+                            disabled={!forecastHorizon}
+                            style={{
+                              padding: "2px 6px",
+                              border: "1px solid rgba(16, 185, 129, 0.3)",
+                              borderRadius: "6px",
+                              fontSize: "13px",
+                              background: "rgba(255, 255, 255, 0.8)",
+                              color: "#374151",
+                              outline: "none",
+                            }}
+                          >
+                            <option value="">Off</option>
+                            <option value="seasonal_naive">
+                              Seasonal naive
+                            </option>
+                            <option value="weighted_average">
+                              Weighted average
+                            </option>
+                          </select>
+                        </label>
+                        <label
+                          title={
+                            demandAvailable
+                              ? undefined
+                              : "Peak demand covers at most a quarter"
+                          }
+                          style={{
+                            display: "inline-flex",
+                            alignItems: "center",
+                            gap: "6px",
+                            fontSize: "13px",
+                            fontWeight: "500",
+                            color: demandAvailable ? "#374151" : "#6b7280",
+                            padding: "4px 8px",
+                          }}
+                        >
+                          Peak demand:
+                          <select
+                            value={demandWindow}
+                            onChange={(e) => setDemandWindow(e.target.value)}
+                            disabled={!demandAvailable}
+                            style={{
+                              padding: "2px 6px",
+                              border: "1px solid rgba(16, 185, 129, 0.3)",
+                              borderRadius: "6px",
+                              fontSize: "13px",
+                              background: "rgba(255, 255, 255, 0.8)",
+                              color: "#374151",
+                              outline: "none",
+                            }}
+                          >
+                            <option value="">Off</option>
+                            <option value="15">15 minutes</option>
+                            <option value="30">30 minutes</option>
+                          </select>
+                        </label>
+                        {room === "multiple" && selectedRooms.length > 1 && (
+                          <label
+                            style={{
+                              display: "inline-flex",
+                              alignItems: "center",
+                              gap: "6px",
+                              fontSize: "13px",
+                              fontWeight: "500",
+                              color: "#374151",
+                              padding: "4px 8px",
+                            }}
+                          >
+                            Rooms:
+                            <select
+                              value={roomLayout}
+                              onChange={(e) => setRoomLayout(e.target.value)}
+                              style={{
+                                padding: "2px 6px",
+                                border: "1px solid rgba(16, 185, 129, 0.3)",
+                                borderRadius: "6px",
+                                fontSize: "13px",
+                                background: "rgba(255, 255, 255, 0.8)",
+                                color: "#374151",
+                                outline: "none",
+                              }}
+                            >
+                              <option value="stacked">Stacked</option>
+                              <option value="grouped">Side by side</option>
+                            </select>
+                          </label>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Chart */}
+                    <div style={{ padding: "16px" }}>
+                      <EnergyChart
+                        data={data}
+                        showSupply={siteView && showSupply}
+                        showLosses={siteView && showLosses}
+                        showComparison={compare !== ""}
+                        showForecast={forecast !== null}
+                        roomSeries={room === "multiple" ? selectedRooms : []}
+                        roomLayout={roomLayout}
+                        metric={showCost ? "cost" : "energy"}
+                        currency={tariff?.currency}
+                        onBucketClick={setInspectedBucket}
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <div
+                    style={{
+                      padding: "40px",
+                      textAlign: "center",
+                    }}
+                  >
+                    <div
+                      style={{
+                        fontSize: "14px",
+                        color: "#374151",
+                        marginBottom: "4px",
+                      }}
+                    >
+                      No Data Available
+                    </div>
+                    <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                      No data found for the selected criteria
+                    </div>
+                  </div>
+                )}
+              </div>
             )}
-          </div>
+
+            {/* Raw readings behind the clicked bucket */}
+            {inspectedBucket && (
+              <ReadingsTable
+                server={activeServer}
+                bucket={inspectedBucket}
+                room={roomParam}
+                onClose={() => setInspectedBucket(null)}
+              />
+            )}
+
+            {/* When the selected rooms use energy during the week */}
+            <EnergyHeatmap
+              server={activeServer}
+              query={rangeQuery}
+              room={roomParam}
+            />
+
+            {/* Room Ranking for the All Rooms view */}
+            {siteView && (
+              <RoomBreakdown server={activeServer} query={rangeQuery} />
+            )}
+
+            {/* Always-on load needs hourly readings, so not for whole years */}
+            {siteView && !["month", "year"].includes(period) && (
+              <StandbyLoad server={activeServer} query={rangeQuery} />
+            )}
+          </>
         )}
       </div>
 
@@ -1,8 +1,35 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen } from "@testing-library/react";
+import App from "./App";
 
-test('renders learn react link', () => {
+// jsdom has no AbortSignal.timeout, which every request of the app uses
+if (!AbortSignal.timeout) {
+  AbortSignal.timeout = () => new AbortController().signal;
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  // The first server answers the health check
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ status: "ok" }),
+    })
+  );
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("asks for a sign-in when there is no session", async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText("Electricity Dashboard")).toBeInTheDocument();
+  expect(
+    await screen.findByRole("button", { name: "Sign in" })
+  ).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(
+    "http://localhost:3001/api/health",
+    expect.anything()
+  );
 });
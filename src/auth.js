@@ -0,0 +1,102 @@
+// Session token of the signed-in user, kept across reloads
+const TOKEN_KEY = "energyAuthToken";
+
+let unauthorizedHandler = null;
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Called when the server no longer accepts the token, e.g. once it expires
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch with the session token; a 401 signs the user out
+export const authFetch = async (url, options = {}) => {
+  const token = getToken();
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+  if (response.status === 401) {
+    clearToken();
+    if (unauthorizedHandler) unauthorizedHandler();
+  }
+  return response;
+};
+
+// Fetch a file with the session token and hand it to the browser, so the
+// token never has to go into a link. With a tab (opened right away, while
+// the click still allows pop-ups) the file is shown there instead of saved.
+export const authDownload = async (url, tab = null) => {
+  try {
+    const response = await authFetch(url);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(
+        `Download failed (${response.status}): ${
+          body.error || response.statusText || "Unknown error"
+        }`
+      );
+    }
+
+    const fileUrl = URL.createObjectURL(await response.blob());
+    if (tab) {
+      tab.location.href = fileUrl;
+    } else {
+      const [, filename = "download"] =
+        /filename="?([^";]+)"?/.exec(
+          response.headers.get("Content-Disposition") || ""
+        ) || [];
+      const link = document.createElement("a");
+      link.href = fileUrl;
+      link.download = filename;
+      link.click();
+    }
+    // Give the browser time to pick the file up before letting it go
+    setTimeout(() => URL.revokeObjectURL(fileUrl), 60000);
+  } catch (err) {
+    if (tab) tab.close();
+    throw err;
+  }
+};
+
+// Follow a Server-Sent Events stream with the session token in the header,
+// which EventSource cannot send. Resolves when the stream ends.
+export const authEventStream = async (url, { signal, onOpen, onEvent }) => {
+  const response = await authFetch(url, {
+    signal,
+    headers: { Accept: "text/event-stream" },
+  });
+  if (!response.ok) {
+    throw new Error(`Stream failed (${response.status})`);
+  }
+  onOpen();
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    // Events are separated by a blank line; the last one may be incomplete
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
+    events.forEach((event) => {
+      let type = "message";
+      const data = [];
+      event.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) type = line.slice(6).trim();
+        if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      });
+      if (data.length > 0) onEvent(type, data.join("\n"));
+    });
+  }
+};
@@ -0,0 +1,290 @@
+import { useState } from "react";
+import dayjs from "dayjs";
+import { authDownload, authFetch } from "../auth";
+
+const panelStyle = {
+  padding: "20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+  marginBottom: "20px",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "8px",
+  fontSize: "14px",
+  fontWeight: "500",
+  color: "#374151",
+};
+
+const inputStyle = {
+  padding: "8px 12px",
+  border: "1px solid rgba(16, 185, 129, 0.3)",
+  borderRadius: "6px",
+  fontSize: "14px",
+  background: "rgba(255, 255, 255, 0.8)",
+  outline: "none",
+  width: "100%",
+  boxSizing: "border-box",
+};
+
+const linkButtonStyle = {
+  display: "inline-block",
+  padding: "8px 14px",
+  borderRadius: "6px",
+  background: "rgba(255, 255, 255, 0.8)",
+  color: "#374151",
+  fontSize: "13px",
+  fontWeight: "500",
+  textDecoration: "none",
+  boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+  border: "none",
+  cursor: "pointer",
+};
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "13px",
+  textAlign: "right",
+};
+
+const BillingView = ({ server, availableRooms }) => {
+  const lastMonth = dayjs().subtract(1, "month");
+  const [start, setStart] = useState(
+    lastMonth.startOf("month").format("YYYY-MM-DD")
+  );
+  const [end, setEnd] = useState(lastMonth.endOf("month").format("YYYY-MM-DD"));
+  const [room, setRoom] = useState("");
+  const [lossSplit, setLossSplit] = useState("proportional");
+  const [bill, setBill] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const buildUrl = (format) => {
+    const params = new URLSearchParams({ start, end, lossSplit, format });
+    if (room) params.append("room", room);
+    return `${server}/api/bills?${params}`;
+  };
+
+  const fetchBill = async () => {
+    if (!server) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(buildUrl("json"), {
+        signal: AbortSignal.timeout(30000),
+      });
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          `Server error (${response.status}): ${
+            responseData.error || response.statusText || "Unknown error"
+          }`
+        );
+      }
+      setBill(responseData);
+    } catch (err) {
+      console.error("❌ Failed to fetch bills:", err);
+      setError(err.message);
+      setBill(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = (format, tab) => {
+    setError(null);
+    authDownload(buildUrl(format), tab).catch((err) => {
+      console.error("❌ Failed to download bills:", err);
+      setError(err.message);
+    });
+  };
+
+  const formatAmount = (value) =>
+    value === null ? "—" : `${bill.currency} ${value.toFixed(2)}`;
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr 1fr 1fr 1fr",
+            gap: "20px",
+            alignItems: "end",
+          }}
+        >
+          <div>
+            <label style={labelStyle}>From:</label>
+            <input
+              type="date"
+              value={start}
+              onChange={(e) => setStart(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>To:</label>
+            <input
+              type="date"
+              value={end}
+              onChange={(e) => setEnd(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Room:</label>
+            <select
+              value={room}
+              onChange={(e) => setRoom(e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">All Rooms</option>
+              {availableRooms.map((r) => (
+                <option key={r} value={r}>
+                  Room {r}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Split loss:</label>
+            <select
+              value={lossSplit}
+              onChange={(e) => setLossSplit(e.target.value)}
+              style={inputStyle}
+            >
+              <option value="proportional">By consumption</option>
+              <option value="equal">Equally</option>
+            </select>
+          </div>
+          <div>
+            <button
+              onClick={fetchBill}
+              disabled={loading || !server}
+              style={{
+                padding: "8px 16px",
+                background: loading
+                  ? "rgba(156, 163, 175, 0.8)"
+                  : "linear-gradient(135deg, #ff6b35 0%, #f7931e 100%)",
+                color: "#ffffff",
+                border: "none",
+                borderRadius: "6px",
+                cursor: loading ? "not-allowed" : "pointer",
+                fontSize: "14px",
+                fontWeight: "500",
+                width: "100%",
+                height: "36px",
+              }}
+            >
+              {loading ? "Calculating..." : "Calculate"}
+            </button>
+          </div>
+        </div>
+
+        {server && (
+          <div
+            style={{
+              display: "flex",
+              gap: "8px",
+              marginTop: "16px",
+              justifyContent: "flex-end",
+            }}
+          >
+            <button onClick={() => download("csv")} style={linkButtonStyle}>
+              Download CSV
+            </button>
+            <button onClick={() => download("pdf")} style={linkButtonStyle}>
+              Download PDF
+            </button>
+            <button
+              onClick={() => download("html", window.open("", "_blank"))}
+              style={linkButtonStyle}
+            >
+              Printable statements
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div
+          style={{
+            ...panelStyle,
+            color: "#dc2626",
+            fontSize: "13px",
+            textAlign: "center",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      {bill && (
+        <div style={panelStyle}>
+          <div
+            style={{
+              fontSize: "16px",
+              fontWeight: "600",
+              color: "#111827",
+              marginBottom: "4px",
+            }}
+          >
+            Statements {bill.period.start} to {bill.period.end}
+          </div>
+          {/* Site totals are withheld from tenants */}
+          {bill.supply !== null && (
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6b7280",
+                marginBottom: "12px",
+              }}
+            >
+              Grid supply {bill.supply} kWh · All rooms {bill.roomsTotal} kWh ·
+              Common-area loss {bill.loss} kWh
+              {bill.lossPercent !== null && ` (${bill.lossPercent}%)`}
+              {bill.tariff &&
+                ` · ${bill.tariff.name}, ${formatAmount(bill.gridCost)} total`}
+            </div>
+          )}
+
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: "#374151" }}>
+                <th style={{ ...cellStyle, textAlign: "left" }}>Room</th>
+                <th style={cellStyle}>Consumption (kWh)</th>
+                <th style={cellStyle}>Shared loss (kWh)</th>
+                <th style={cellStyle}>Billed (kWh)</th>
+                <th style={cellStyle}>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bill.statements.map((s) => (
+                <tr key={s.room}>
+                  <td style={{ ...cellStyle, textAlign: "left" }}>
+                    Room {s.room}
+                  </td>
+                  <td style={cellStyle}>{s.consumption}</td>
+                  <td style={cellStyle}>{s.lossShare}</td>
+                  <td style={cellStyle}>{s.billedEnergy}</td>
+                  <td style={{ ...cellStyle, fontWeight: "600" }}>
+                    {formatAmount(s.amount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BillingView;
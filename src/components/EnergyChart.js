@@ -6,19 +6,123 @@ import {
   Legend,
   ResponsiveContainer,
   Area,
-  AreaChart,
+  Bar,
+  Line,
+  ComposedChart,
+  ReferenceLine,
 } from "recharts";
 
-const CustomTooltip = ({ active, payload, label }) => {
+// Series colors of the rooms in the multi-room view
+const ROOM_COLORS = [
+  "#ff6b35",
+  "#3b82f6",
+  "#10b981",
+  "#8b5cf6",
+  "#f59e0b",
+  "#ec4899",
+  "#14b8a6",
+  "#6366f1",
+];
+
+// Data keys and formatting for the kWh and cost views
+const getMetricConfig = (metric, currency) =>
+  metric === "cost"
+    ? {
+        consumptionKey: "consumptionCost",
+        supplyKey: "supplyCost",
+        compareKey: "compareConsumptionCost",
+        forecastKey: "forecastConsumptionCost",
+        forecastRangeKey: "forecastCostRange",
+        roomKey: (room) => `roomCost:${room}`,
+        unit: currency,
+        axisLabel: `Cost (${currency})`,
+        format: (value) => `${currency} ${Number(value).toFixed(2)}`,
+      }
+    : {
+        consumptionKey: "consumption",
+        supplyKey: "supply",
+        compareKey: "compareConsumption",
+        forecastKey: "forecastConsumption",
+        forecastRangeKey: "forecastRange",
+        roomKey: (room) => `room:${room}`,
+        unit: "kWh",
+        axisLabel: "Energy (kWh)",
+        format: (value) => `${value} kWh`,
+      };
+
+const CustomTooltip = ({
+  active,
+  payload,
+  label,
+  metric,
+  currency,
+  roomSeries = [],
+}) => {
   if (active && payload && payload.length) {
-    const consumption =
-      payload.find((p) => p.dataKey === "consumption")?.value ?? 0;
-    const supply = payload.find((p) => p.dataKey === "supply")?.value ?? 0;
+    const {
+      consumptionKey,
+      supplyKey,
+      compareKey,
+      forecastKey,
+      forecastRangeKey,
+      roomKey,
+      format,
+    } = getMetricConfig(metric, currency);
+    // Rooms are drawn on their own, so read the total from the bucket
+    const consumption = payload[0].payload[consumptionKey] ?? 0;
+    const roomBreakdown = roomSeries
+      .map((room, i) => ({
+        room,
+        value: payload[0].payload[roomKey(room)],
+        color: ROOM_COLORS[i % ROOM_COLORS.length],
+      }))
+      .filter(({ value }) => value !== undefined);
+    const supply = payload.find((p) => p.dataKey === supplyKey)?.value ?? 0;
 
     // Check if supply data exists to determine if we should show grid and loss
     const hasSupplyData = payload.some(
-      (p) => p.dataKey === "supply" && p.value !== null && p.value !== undefined
+      (p) =>
+        p.dataKey === supplyKey && p.value !== null && p.value !== undefined
     );
+    const {
+      lossPercent,
+      lossReasons = [],
+      solar = 0,
+      gridExport = 0,
+      compareLabel,
+      status,
+      coverage,
+      interpolatedConsumption = 0,
+      forecastAnchor,
+      demandPeak,
+    } = payload[0].payload;
+    const forecasted = forecastAnchor
+      ? null
+      : payload[0].payload[forecastKey] ?? null;
+    const forecastRange = payload[0].payload[forecastRangeKey];
+    const compared = payload.find((p) => p.dataKey === compareKey)?.value;
+    const hasComparison = compared !== null && compared !== undefined;
+    const difference = hasComparison ? consumption - compared : 0;
+    const differencePercent =
+      hasComparison && compared > 0 ? (difference / compared) * 100 : null;
+    // Solar and export only change the energy balance, costs are billed on
+    // grid import
+    const available = metric === "cost" ? supply : supply + solar - gridExport;
+    const extraSupply = [
+      ["Solar", solar],
+      ["Grid Export", -gridExport],
+    ].filter(([, value]) => metric !== "cost" && value !== 0);
+    // Explain buckets that were not fully measured
+    const coverageNotes = [
+      status === "missing" && "No readings in this bucket",
+      status === "partial" &&
+        `Readings cover ${Math.round(coverage * 100)}% of this bucket`,
+      interpolatedConsumption > 0 &&
+        `Includes ${interpolatedConsumption} kWh interpolated across a data gap`,
+      status === "missing" &&
+        interpolatedConsumption === 0 &&
+        "Shown as zero, not measured as zero",
+    ].filter(Boolean);
 
     return (
       <div
@@ -72,11 +176,29 @@ const CustomTooltip = ({ active, payload, label }) => {
             <span
               style={{ color: "#374151", fontSize: "13px", fontWeight: "600" }}
             >
-              {supply} kWh
+              {format(supply)}
             </span>
           </div>
         )}
 
+        {hasSupplyData &&
+          extraSupply.map(([name, value]) => (
+            <div
+              key={name}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                marginBottom: "8px",
+                paddingLeft: "20px",
+              }}
+            >
+              <span style={{ color: "#6b7280", fontSize: "12px" }}>{name}</span>
+              <span style={{ color: "#374151", fontSize: "12px" }}>
+                {format(value)}
+              </span>
+            </div>
+          ))}
+
         {/* Consumption Second */}
         <div
           style={{
@@ -102,10 +224,134 @@ const CustomTooltip = ({ active, payload, label }) => {
           <span
             style={{ color: "#374151", fontSize: "13px", fontWeight: "600" }}
           >
-            {consumption} kWh
+            {format(consumption)}
           </span>
         </div>
 
+        {/* Per-room breakdown of the consumption */}
+        {roomBreakdown.map(({ room, value, color }) => (
+          <div
+            key={room}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              gap: "12px",
+              marginBottom: "6px",
+              paddingLeft: "20px",
+              fontSize: "12px",
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+              <div
+                style={{
+                  width: "8px",
+                  height: "8px",
+                  borderRadius: "2px",
+                  background: color,
+                }}
+              ></div>
+              <span style={{ color: "#6b7280" }}>Room {room}</span>
+            </div>
+            <span style={{ color: "#374151" }}>
+              {format(value)}
+              {consumption > 0 &&
+                ` (${((value / consumption) * 100).toFixed(1)}%)`}
+            </span>
+          </div>
+        ))}
+
+        {/* Projection of a bucket that is under way or still to come */}
+        {forecasted !== null && (
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              gap: "12px",
+              marginBottom: "12px",
+              fontSize: "12px",
+              color: "#6b7280",
+            }}
+          >
+            <span>Forecast</span>
+            <span style={{ color: "#374151" }}>
+              {format(forecasted)}
+              {forecastRange && ` (${forecastRange[0]}–${forecastRange[1]})`}
+            </span>
+          </div>
+        )}
+
+        {/* Highest rolling-window demand of the range */}
+        {demandPeak && (
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              gap: "12px",
+              marginBottom: "12px",
+              fontSize: "12px",
+              color: "#6b7280",
+            }}
+          >
+            <span>
+              Peak demand{demandPeak.room ? ` (Room ${demandPeak.room})` : ""}
+            </span>
+            <span style={{ color: "#dc2626", fontWeight: "600" }}>
+              {demandPeak.kW} kW at{" "}
+              {new Date(demandPeak.start).toLocaleTimeString([], {
+                hour: "2-digit",
+                minute: "2-digit",
+              })}
+            </span>
+          </div>
+        )}
+
+        {/* Comparison with the aligned bucket of the other range */}
+        {hasComparison && (
+          <div
+            style={{
+              marginBottom: "12px",
+              fontSize: "12px",
+              color: "#6b7280",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: "12px",
+              }}
+            >
+              <span>vs {compareLabel}</span>
+              <span style={{ color: "#374151" }}>{format(compared)}</span>
+            </div>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: "12px",
+              }}
+            >
+              <span>Difference</span>
+              <span
+                style={{
+                  color: difference > 0 ? "#dc2626" : "#10b981",
+                  fontWeight: "600",
+                }}
+              >
+                {difference > 0 ? "+" : ""}
+                {metric === "cost"
+                  ? format(difference)
+                  : format(difference.toFixed(3))}
+                {differencePercent !== null &&
+                  ` (${difference > 0 ? "+" : ""}${differencePercent.toFixed(
+                    1
+                  )}%)`}
+              </span>
+            </div>
+          </div>
+        )}
+
         {/* Loss Calculation */}
         {hasSupplyData && (
           <div
@@ -132,17 +378,72 @@ const CustomTooltip = ({ active, payload, label }) => {
                 borderRadius: "4px",
               }}
             >
-              {(supply - consumption).toFixed(3)} kWh
+              {metric === "cost"
+                ? format(available - consumption)
+                : format((available - consumption).toFixed(3))}
+              {metric !== "cost" &&
+                lossPercent !== null &&
+                lossPercent !== undefined &&
+                ` (${lossPercent}%)`}
             </span>
           </div>
         )}
+
+        {/* Data coverage of the bucket */}
+        {coverageNotes.length > 0 && (
+          <div
+            style={{
+              marginTop: "8px",
+              padding: "6px 8px",
+              borderRadius: "6px",
+              background: "rgba(148, 163, 184, 0.15)",
+              color: "#475569",
+              fontSize: "12px",
+              maxWidth: "260px",
+            }}
+          >
+            {coverageNotes.map((note) => (
+              <div key={note}>{note}</div>
+            ))}
+          </div>
+        )}
+
+        {/* Loss Threshold Warnings */}
+        {hasSupplyData && lossReasons.length > 0 && (
+          <div
+            style={{
+              marginTop: "8px",
+              padding: "6px 8px",
+              borderRadius: "6px",
+              background: "rgba(220, 38, 38, 0.08)",
+              color: "#991b1b",
+              fontSize: "12px",
+              maxWidth: "260px",
+            }}
+          >
+            {lossReasons.map((reason) => (
+              <div key={reason}>⚠️ {reason}</div>
+            ))}
+          </div>
+        )}
       </div>
     );
   }
   return null;
 };
 
-const EnergyChart = ({ data, showSupply }) => {
+const EnergyChart = ({
+  data,
+  showSupply,
+  showLosses = false,
+  showComparison = false,
+  showForecast = false,
+  roomSeries = [],
+  roomLayout = "stacked",
+  metric = "energy",
+  currency = "CNY",
+  onBucketClick,
+}) => {
   if (!data || data.length === 0) {
     return (
       <div
@@ -205,9 +506,92 @@ const EnergyChart = ({ data, showSupply }) => {
     );
   }
 
+  const {
+    consumptionKey,
+    supplyKey,
+    compareKey,
+    forecastKey,
+    forecastRangeKey,
+    roomKey,
+    unit,
+    axisLabel,
+  } = getMetricConfig(metric, currency);
+
+  // Several rooms replace the consumption area with a bar per room
+  const rooms =
+    roomSeries.length > 1 &&
+    data.some((item) => item[roomKey(roomSeries[0])] !== undefined)
+      ? roomSeries
+      : [];
+
   // Check if supply data exists (only for "All Rooms" view)
   const hasSupplyData = data.some(
-    (item) => item.supply !== null && item.supply !== undefined
+    (item) => item[supplyKey] !== null && item[supplyKey] !== undefined
+  );
+
+  // Loss series are only drawn in kWh, for buckets the loss analysis covered
+  const hasLossData =
+    showLosses &&
+    metric === "energy" &&
+    data.some((item) => item.loss !== null && item.loss !== undefined);
+
+  const hasComparisonData =
+    showComparison &&
+    data.some(
+      (item) => item[compareKey] !== null && item[compareKey] !== undefined
+    );
+
+  // The forecast continues from the last bucket before it, and buckets still
+  // to come show only the forecast
+  const firstForecast = showForecast
+    ? data.findIndex(
+        (item) => item[forecastKey] !== null && item[forecastKey] !== undefined
+      )
+    : -1;
+  const hasForecastData = firstForecast >= 0;
+
+  // Hatch buckets without (full) readings and trace interpolated values
+  const chartData = data.map((item, i) => ({
+    ...item,
+    ...(hasForecastData &&
+      item.status === "future" && { [consumptionKey]: null }),
+    ...(i === firstForecast - 1 && {
+      [forecastKey]: item[consumptionKey],
+      [forecastRangeKey]: [item[consumptionKey], item[consumptionKey]],
+      forecastAnchor: true,
+    }),
+    missingMarker: item.status === "missing" ? 1 : null,
+    partialMarker: item.status === "partial" ? 1 : null,
+    interpolatedValue:
+      item.interpolatedConsumption > 0 ? item[consumptionKey] : null,
+  }));
+  const hasMissing = chartData.some((item) => item.missingMarker);
+  const hasPartial = chartData.some((item) => item.partialMarker);
+  const hasInterpolated = chartData.some(
+    (item) => item.interpolatedValue !== null
+  );
+  const peakItem = chartData.find((item) => item.demandPeak);
+
+  // Open the readings of a measured bucket; buckets still to come have none
+  const handleClick = (state) => {
+    const bucket = state?.activePayload?.[0]?.payload;
+    if (!onBucketClick || !bucket?.utcStart || bucket.status === "future") {
+      return;
+    }
+    onBucketClick(bucket);
+  };
+
+  // Mark buckets that broke a loss threshold
+  const renderLossDot = ({ key, cx, cy, payload }) => (
+    <circle
+      key={key}
+      cx={cx}
+      cy={cy}
+      r={payload.lossFlagged ? 5 : 0}
+      fill="#dc2626"
+      stroke="#ffffff"
+      strokeWidth={2}
+    />
   );
 
   return (
@@ -225,9 +609,11 @@ const EnergyChart = ({ data, showSupply }) => {
       <div style={{ padding: "24px" }}>
         <div style={{ width: "100%", height: 400 }}>
           <ResponsiveContainer>
-            <AreaChart
-              data={data}
+            <ComposedChart
+              data={chartData}
               margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+              onClick={handleClick}
+              style={onBucketClick ? { cursor: "pointer" } : undefined}
             >
               <defs>
                 <linearGradient
@@ -246,6 +632,22 @@ const EnergyChart = ({ data, showSupply }) => {
                   <stop offset="50%" stopColor="#059669" stopOpacity={0.2} />
                   <stop offset="100%" stopColor="#10b981" stopOpacity={0.05} />
                 </linearGradient>
+                <pattern
+                  id="gapPattern"
+                  width="6"
+                  height="6"
+                  patternUnits="userSpaceOnUse"
+                  patternTransform="rotate(45)"
+                >
+                  <line
+                    x1="0"
+                    y1="0"
+                    x2="0"
+                    y2="6"
+                    stroke="#94a3b8"
+                    strokeWidth={2}
+                  />
+                </pattern>
               </defs>
 
               <CartesianGrid
@@ -264,12 +666,13 @@ const EnergyChart = ({ data, showSupply }) => {
               />
 
               <YAxis
+                yAxisId="value"
                 tick={{ fontSize: 12, fill: "#64748b" }}
                 stroke="#cbd5e1"
                 tickLine={{ stroke: "#cbd5e1" }}
                 axisLine={{ stroke: "#cbd5e1" }}
                 label={{
-                  value: "Energy (kWh)",
+                  value: axisLabel,
                   angle: -90,
                   position: "insideLeft",
                   style: {
@@ -280,8 +683,30 @@ const EnergyChart = ({ data, showSupply }) => {
                 }}
               />
 
+              {hasLossData && (
+                <YAxis
+                  yAxisId="percent"
+                  orientation="right"
+                  unit="%"
+                  tick={{ fontSize: 12, fill: "#64748b" }}
+                  stroke="#cbd5e1"
+                  tickLine={{ stroke: "#cbd5e1" }}
+                  axisLine={{ stroke: "#cbd5e1" }}
+                />
+              )}
+
+              {(hasMissing || hasPartial) && (
+                <YAxis yAxisId="gap" domain={[0, 1]} hide />
+              )}
+
               <Tooltip
-                content={<CustomTooltip />}
+                content={
+                  <CustomTooltip
+                    metric={metric}
+                    currency={currency}
+                    roomSeries={rooms}
+                  />
+                }
                 cursor={{
                   stroke: "#e2e8f0",
                   strokeWidth: 2,
@@ -297,14 +722,41 @@ const EnergyChart = ({ data, showSupply }) => {
                 iconType="circle"
               />
 
+              {hasMissing && (
+                <Bar
+                  yAxisId="gap"
+                  dataKey="missingMarker"
+                  stackId="gap"
+                  fill="url(#gapPattern)"
+                  fillOpacity={0.5}
+                  name="No readings"
+                  legendType="rect"
+                  isAnimationActive={false}
+                />
+              )}
+
+              {hasPartial && (
+                <Bar
+                  yAxisId="gap"
+                  dataKey="partialMarker"
+                  stackId="gap"
+                  fill="url(#gapPattern)"
+                  fillOpacity={0.2}
+                  name="Partial readings"
+                  legendType="rect"
+                  isAnimationActive={false}
+                />
+              )}
+
               {showSupply && hasSupplyData && (
                 <Area
+                  yAxisId="value"
                   type="monotone"
-                  dataKey="supply"
+                  dataKey={supplyKey}
                   stroke="#10b981"
                   strokeWidth={3}
                   fill="url(#supplyGradient)"
-                  name="Grid Supply (kWh)"
+                  name={`Grid Supply (${unit})`}
                   dot={false}
                   activeDot={{
                     r: 6,
@@ -316,23 +768,140 @@ const EnergyChart = ({ data, showSupply }) => {
                 />
               )}
 
-              <Area
-                type="monotone"
-                dataKey="consumption"
-                stroke="#ff6b35"
-                strokeWidth={3}
-                fill="url(#consumptionGradient)"
-                name="Consumption (kWh)"
-                dot={false}
-                activeDot={{
-                  r: 6,
-                  fill: "#ff6b35",
-                  stroke: "#ffffff",
-                  strokeWidth: 3,
-                  filter: "drop-shadow(0 2px 4px rgba(255, 107, 53, 0.4))",
-                }}
-              />
-            </AreaChart>
+              {rooms.length === 0 && (
+                <Area
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey={consumptionKey}
+                  stroke="#ff6b35"
+                  strokeWidth={3}
+                  fill="url(#consumptionGradient)"
+                  name={`Consumption (${unit})`}
+                  dot={false}
+                  activeDot={{
+                    r: 6,
+                    fill: "#ff6b35",
+                    stroke: "#ffffff",
+                    strokeWidth: 3,
+                    filter: "drop-shadow(0 2px 4px rgba(255, 107, 53, 0.4))",
+                  }}
+                />
+              )}
+
+              {rooms.map((room, i) => (
+                <Bar
+                  key={room}
+                  yAxisId="value"
+                  dataKey={roomKey(room)}
+                  stackId={roomLayout === "stacked" ? "rooms" : undefined}
+                  fill={ROOM_COLORS[i % ROOM_COLORS.length]}
+                  fillOpacity={0.85}
+                  name={`Room ${room} (${unit})`}
+                  maxBarSize={48}
+                />
+              ))}
+
+              {hasForecastData && (
+                <Area
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey={forecastRangeKey}
+                  stroke="none"
+                  fill="#ff6b35"
+                  fillOpacity={0.12}
+                  name="Forecast range (95%)"
+                  legendType="rect"
+                  activeDot={false}
+                />
+              )}
+
+              {hasForecastData && (
+                <Line
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey={forecastKey}
+                  stroke="#ff6b35"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  name={`Forecast (${unit})`}
+                  dot={false}
+                  activeDot={{ r: 4, fill: "#ff6b35" }}
+                />
+              )}
+
+              {hasComparisonData && (
+                <Line
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey={compareKey}
+                  stroke="#94a3b8"
+                  strokeWidth={2}
+                  strokeOpacity={0.8}
+                  strokeDasharray="4 4"
+                  name={`Comparison (${unit})`}
+                  dot={false}
+                  activeDot={{ r: 4, fill: "#94a3b8" }}
+                />
+              )}
+
+              {hasInterpolated && (
+                <Line
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey="interpolatedValue"
+                  stroke="#ff6b35"
+                  strokeWidth={2}
+                  strokeDasharray="3 3"
+                  name={`Interpolated (${unit})`}
+                  dot={{ r: 4, fill: "#ffffff", stroke: "#ff6b35" }}
+                  activeDot={false}
+                />
+              )}
+
+              {hasLossData && (
+                <Line
+                  yAxisId="value"
+                  type="monotone"
+                  dataKey="loss"
+                  stroke="#dc2626"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  name="Unaccounted (kWh)"
+                  dot={renderLossDot}
+                  activeDot={{ r: 5, fill: "#dc2626" }}
+                />
+              )}
+
+              {hasLossData && (
+                <Line
+                  yAxisId="percent"
+                  type="monotone"
+                  dataKey="lossPercent"
+                  stroke="#8b5cf6"
+                  strokeWidth={1.5}
+                  strokeDasharray="2 3"
+                  name="Unaccounted (%)"
+                  dot={false}
+                  connectNulls
+                />
+              )}
+
+              {peakItem && (
+                <ReferenceLine
+                  yAxisId="value"
+                  x={peakItem.timestamp}
+                  stroke="#dc2626"
+                  strokeWidth={2}
+                  strokeDasharray="4 4"
+                  label={{
+                    value: `Peak ${peakItem.demandPeak.kW} kW`,
+                    position: "top",
+                    fill: "#dc2626",
+                    fontSize: 12,
+                  }}
+                />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       </div>
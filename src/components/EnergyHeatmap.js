@@ -0,0 +1,216 @@
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  marginTop: "20px",
+  padding: "16px 20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+};
+
+const selectStyle = {
+  padding: "2px 6px",
+  border: "1px solid rgba(16, 185, 129, 0.3)",
+  borderRadius: "6px",
+  fontSize: "13px",
+  background: "rgba(255, 255, 255, 0.8)",
+  outline: "none",
+};
+
+// Rows from Monday; the server numbers weekdays from Sunday = 0
+const WEEKDAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+  { day: 0, label: "Sun" },
+];
+
+const RANGES = [
+  { value: "4", label: "Last 4 weeks" },
+  { value: "12", label: "Last 12 weeks" },
+  { value: "view", label: "Selected range" },
+];
+
+const EnergyHeatmap = ({ server, query, room }) => {
+  const [heatmap, setHeatmap] = useState(null);
+  const [range, setRange] = useState("4");
+  const [stat, setStat] = useState("average");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!server) return;
+
+    const params = new URLSearchParams(
+      range === "view"
+        ? query
+        : {
+            start: dayjs()
+              .subtract(Number(range) * 7 - 1, "day")
+              .format("YYYY-MM-DD"),
+            end: dayjs().format("YYYY-MM-DD"),
+          }
+    );
+    params.append("stat", stat);
+    if (room) {
+      params.append("room", room);
+    }
+
+    authFetch(`${server}/api/heatmap?${params}`, {
+      signal: AbortSignal.timeout(30000),
+    })
+      .then(async (response) => {
+        const responseData = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(responseData.error || response.statusText);
+        }
+        setHeatmap(responseData);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("❌ Failed to fetch heatmap:", err);
+        setError(err.message);
+      });
+  }, [server, query, room, range, stat]);
+
+  const cells = {};
+  (heatmap?.data || []).forEach((cell) => {
+    cells[`${cell.weekday}:${cell.hour}`] = cell;
+  });
+  const max = heatmap?.meta.max || 0;
+
+  return (
+    <div style={panelStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <div>
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Weekly Pattern
+          </div>
+          <div style={{ fontSize: "12px", color: "#6b7280" }}>
+            {stat === "average" ? "Average" : "Total"} kWh per hour of the week
+            {heatmap && ` · ${heatmap.meta.hours} hours measured`}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: "8px" }}>
+          <select
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            style={selectStyle}
+          >
+            {RANGES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={stat}
+            onChange={(e) => setStat(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="average">Average</option>
+            <option value="total">Total</option>
+          </select>
+        </div>
+      </div>
+
+      {error ? (
+        <div style={{ color: "#dc2626", fontSize: "13px" }}>
+          Heatmap unavailable: {error}
+        </div>
+      ) : (
+        heatmap && (
+          <>
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "40px repeat(24, 1fr)",
+                gap: "2px",
+                fontSize: "11px",
+                color: "#64748b",
+              }}
+            >
+              <div></div>
+              {Array.from({ length: 24 }, (_, hour) => (
+                <div key={hour} style={{ textAlign: "center" }}>
+                  {hour % 3 === 0 ? hour : ""}
+                </div>
+              ))}
+              {WEEKDAYS.map(({ day, label }) => (
+                <div key={day} style={{ display: "contents" }}>
+                  <div style={{ alignSelf: "center" }}>{label}</div>
+                  {Array.from({ length: 24 }, (_, hour) => {
+                    const cell = cells[`${day}:${hour}`];
+                    const value = cell && cell.hours > 0 ? cell[stat] : null;
+                    return (
+                      <div
+                        key={hour}
+                        title={
+                          value === null
+                            ? `${label} ${hour}:00 · no readings`
+                            : `${label} ${hour}:00 · ${value} kWh over ${cell.hours} hours`
+                        }
+                        style={{
+                          height: "22px",
+                          borderRadius: "3px",
+                          background:
+                            value === null
+                              ? "rgba(203, 213, 225, 0.3)"
+                              : `rgba(255, 107, 53, ${
+                                  max > 0 ? 0.08 + (value / max) * 0.92 : 0.08
+                                })`,
+                        }}
+                      ></div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "flex-end",
+                gap: "8px",
+                marginTop: "10px",
+                fontSize: "11px",
+                color: "#64748b",
+              }}
+            >
+              0 kWh
+              <div
+                style={{
+                  width: "120px",
+                  height: "8px",
+                  borderRadius: "4px",
+                  background:
+                    "linear-gradient(90deg, rgba(255, 107, 53, 0.08), rgba(255, 107, 53, 1))",
+                }}
+              ></div>
+              {max} kWh
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default EnergyHeatmap;
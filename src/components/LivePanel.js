@@ -0,0 +1,213 @@
+import { useEffect, useState } from "react";
+import { authEventStream, authFetch } from "../auth";
+
+const GAUGE_STEP = 1000; // Gauge scale grows in 1 kW steps
+const RECONNECT_DELAY = 5000; // Wait before following the stream again
+
+const formatValue = (value, digits, unit) =>
+  value === null || value === undefined
+    ? "—"
+    : `${Number(value).toFixed(digits)} ${unit}`;
+
+const Gauge = ({ value, max }) => {
+  const ratio = Math.max(0, Math.min(1, (value || 0) / max));
+  const radius = 60;
+  const circumference = Math.PI * radius;
+
+  return (
+    <svg width="140" height="80" viewBox="0 0 140 80">
+      <path
+        d="M 10 70 A 60 60 0 0 1 130 70"
+        fill="none"
+        stroke="rgba(203, 213, 225, 0.6)"
+        strokeWidth="10"
+        strokeLinecap="round"
+      />
+      <path
+        d="M 10 70 A 60 60 0 0 1 130 70"
+        fill="none"
+        stroke={ratio > 0.8 ? "#dc2626" : ratio > 0.5 ? "#f7931e" : "#10b981"}
+        strokeWidth="10"
+        strokeLinecap="round"
+        strokeDasharray={`${circumference * ratio} ${circumference}`}
+        style={{ transition: "stroke-dasharray 0.5s ease" }}
+      />
+      <text
+        x="70"
+        y="62"
+        textAnchor="middle"
+        style={{ fontSize: "16px", fontWeight: "600", fill: "#111827" }}
+      >
+        {value === null || value === undefined ? "—" : Math.round(value)}
+      </text>
+      <text
+        x="70"
+        y="76"
+        textAnchor="middle"
+        style={{ fontSize: "10px", fill: "#6b7280" }}
+      >
+        W
+      </text>
+    </svg>
+  );
+};
+
+const RoomGauge = ({ title, reading, max }) => (
+  <div
+    style={{
+      background: "rgba(255, 255, 255, 0.6)",
+      borderRadius: "10px",
+      border: "1px solid rgba(255, 255, 255, 0.6)",
+      padding: "12px",
+      textAlign: "center",
+    }}
+  >
+    <div
+      style={{
+        fontSize: "13px",
+        fontWeight: "600",
+        color: "#374151",
+        marginBottom: "4px",
+      }}
+    >
+      {title}
+    </div>
+    <Gauge value={reading.power} max={max} />
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr",
+        gap: "2px 8px",
+        fontSize: "11px",
+        color: "#6b7280",
+        marginTop: "6px",
+      }}
+    >
+      <span>{formatValue(reading.voltage, 1, "V")}</span>
+      <span>{formatValue(reading.current, 2, "A")}</span>
+      <span>PF {formatValue(reading.powerFactor, 2, "")}</span>
+      <span>{formatValue(reading.frequency, 1, "Hz")}</span>
+    </div>
+  </div>
+);
+
+const LivePanel = ({ server }) => {
+  const [live, setLive] = useState(null);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!server) return;
+
+    // Show the current values right away, then follow the stream
+    authFetch(`${server}/api/live`, { signal: AbortSignal.timeout(5000) })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setLive(data))
+      .catch((err) => console.warn("⚠️ Failed to fetch live data:", err));
+
+    const controller = new AbortController();
+    const follow = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await authEventStream(`${server}/api/live/stream`, {
+            signal: controller.signal,
+            onOpen: () => setConnected(true),
+            onEvent: (type, data) => {
+              if (type === "error") {
+                setConnected(false);
+                return;
+              }
+              setLive(JSON.parse(data));
+              setConnected(true);
+            },
+          });
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          console.warn("⚠️ Live stream interrupted:", err);
+        }
+        setConnected(false);
+        await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY));
+      }
+    };
+    follow();
+
+    return () => controller.abort();
+  }, [server]);
+
+  if (!live) return null;
+
+  const readings = [
+    ...(live.supply ? [{ ...live.supply, title: "Grid Supply" }] : []),
+    ...(live.solar ? [{ ...live.solar, title: "Solar" }] : []),
+    ...live.rooms.map((r) => ({ ...r, title: `Room ${r.room}` })),
+  ];
+  const peakPower = Math.max(0, ...readings.map((r) => r.power || 0));
+  const max = Math.max(
+    GAUGE_STEP,
+    Math.ceil(peakPower / GAUGE_STEP) * GAUGE_STEP
+  );
+
+  return (
+    <div
+      style={{
+        marginBottom: "20px",
+        padding: "16px 20px",
+        background:
+          "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+        backdropFilter: "blur(15px)",
+        borderRadius: "12px",
+        border: "1px solid rgba(255, 255, 255, 0.5)",
+        boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <div style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}>
+          Live Power
+        </div>
+        <div
+          style={{
+            fontSize: "12px",
+            color: connected ? "#10b981" : "#6b7280",
+            fontWeight: "500",
+          }}
+        >
+          {connected ? "● Live" : "○ Reconnecting..."} · Updated{" "}
+          {new Date(live.timestamp).toLocaleTimeString()}
+        </div>
+      </div>
+
+      {readings.length > 0 ? (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))",
+            gap: "12px",
+          }}
+        >
+          {readings.map((reading) => (
+            <RoomGauge
+              key={reading.title}
+              title={reading.title}
+              reading={reading}
+              max={max}
+            />
+          ))}
+        </div>
+      ) : (
+        <div
+          style={{ fontSize: "12px", color: "#6b7280", textAlign: "center" }}
+        >
+          No meters reported in the last 15 minutes
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LivePanel;
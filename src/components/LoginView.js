@@ -0,0 +1,126 @@
+import { useState } from "react";
+
+const panelStyle = {
+  maxWidth: "360px",
+  margin: "40px auto",
+  padding: "24px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "8px",
+  fontSize: "14px",
+  fontWeight: "500",
+  color: "#374151",
+};
+
+const inputStyle = {
+  padding: "8px 12px",
+  border: "1px solid rgba(16, 185, 129, 0.3)",
+  borderRadius: "6px",
+  fontSize: "14px",
+  background: "rgba(255, 255, 255, 0.8)",
+  outline: "none",
+  width: "100%",
+  boxSizing: "border-box",
+  marginBottom: "16px",
+};
+
+// Sign-in form; hands the token and user of a successful login to onLogin
+const LoginView = ({ server, onLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!server) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${server}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+        signal: AbortSignal.timeout(10000),
+      });
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || response.statusText);
+      }
+      onLogin(responseData);
+    } catch (err) {
+      console.error("❌ Failed to sign in:", err);
+      setError(err.message);
+      setPassword("");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={panelStyle}>
+      <div
+        style={{
+          fontSize: "16px",
+          fontWeight: "600",
+          color: "#111827",
+          marginBottom: "16px",
+        }}
+      >
+        Sign in
+      </div>
+      <label style={labelStyle}>Username:</label>
+      <input
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        autoComplete="username"
+        autoFocus
+        style={inputStyle}
+      />
+      <label style={labelStyle}>Password:</label>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+        style={inputStyle}
+      />
+      {error && (
+        <div
+          style={{ color: "#dc2626", fontSize: "13px", marginBottom: "12px" }}
+        >
+          {error}
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={loading || !server || !username || !password}
+        style={{
+          padding: "8px 16px",
+          borderRadius: "6px",
+          border: "none",
+          background: "linear-gradient(135deg, #10b981 0%, #059669 100%)",
+          color: "#ffffff",
+          cursor: loading ? "not-allowed" : "pointer",
+          fontWeight: "500",
+          fontSize: "14px",
+          width: "100%",
+          boxShadow: "0 2px 8px rgba(16, 185, 129, 0.3)",
+        }}
+      >
+        {loading ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+};
+
+export default LoginView;
@@ -0,0 +1,319 @@
+import { useCallback, useEffect, useState } from "react";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  padding: "20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+  marginBottom: "20px",
+};
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "13px",
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
+const ISSUE_LABELS = {
+  offline: { label: "Offline", color: "#dc2626" },
+  unregistered: { label: "Not in registry", color: "#7c3aed" },
+  unmapped: { label: "No role", color: "#7c3aed" },
+  insufficient_readings: { label: "Too few readings", color: "#f59e0b" },
+  gaps: { label: "Data gaps", color: "#f59e0b" },
+  stuck_counter: { label: "Counter stuck", color: "#dc2626" },
+  zero_counter: { label: "Counter at zero", color: "#dc2626" },
+};
+
+const WINDOWS = [
+  { value: 1, label: "1 hour" },
+  { value: 6, label: "6 hours" },
+  { value: 24, label: "24 hours" },
+  { value: 168, label: "7 days" },
+];
+
+const formatSilence = (minutes) => {
+  if (minutes === null) return "never";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (24 * 60))} d ago`;
+};
+
+const SummaryCard = ({ label, value, alert }) => (
+  <div
+    style={{
+      background: "rgba(255, 255, 255, 0.6)",
+      borderRadius: "10px",
+      border: "1px solid rgba(255, 255, 255, 0.6)",
+      padding: "12px",
+      textAlign: "center",
+    }}
+  >
+    <div
+      style={{
+        fontSize: "22px",
+        fontWeight: "700",
+        color: alert && value > 0 ? "#dc2626" : "#111827",
+      }}
+    >
+      {value}
+    </div>
+    <div style={{ fontSize: "12px", color: "#6b7280" }}>{label}</div>
+  </div>
+);
+
+const MeterHealthView = ({ server }) => {
+  const [health, setHealth] = useState(null);
+  const [hours, setHours] = useState(24);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchHealth = useCallback(async () => {
+    if (!server) return;
+    setLoading(true);
+    try {
+      const response = await authFetch(
+        `${server}/api/meters/health?hours=${hours}`,
+        { signal: AbortSignal.timeout(30000) }
+      );
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || response.statusText);
+      }
+      setHealth(responseData);
+      setError(null);
+    } catch (err) {
+      console.error("❌ Failed to fetch meter health:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [server, hours]);
+
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "16px",
+          }}
+        >
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Meter Status
+          </div>
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <select
+              value={hours}
+              onChange={(e) => setHours(Number(e.target.value))}
+              style={{
+                padding: "6px 10px",
+                border: "1px solid rgba(16, 185, 129, 0.3)",
+                borderRadius: "6px",
+                fontSize: "13px",
+                background: "rgba(255, 255, 255, 0.8)",
+                outline: "none",
+              }}
+            >
+              {WINDOWS.map((window) => (
+                <option key={window.value} value={window.value}>
+                  Last {window.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={fetchHealth}
+              disabled={loading || !server}
+              style={{
+                padding: "6px 12px",
+                background: "linear-gradient(135deg, #10b981 0%, #059669 100%)",
+                color: "#ffffff",
+                border: "none",
+                borderRadius: "6px",
+                cursor: loading ? "not-allowed" : "pointer",
+                fontSize: "13px",
+                fontWeight: "500",
+              }}
+            >
+              {loading ? "Checking..." : "Refresh"}
+            </button>
+          </div>
+        </div>
+
+        {health && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
+              gap: "12px",
+            }}
+          >
+            <SummaryCard label="Meters" value={health.summary.total} />
+            <SummaryCard label="Online" value={health.summary.online} />
+            <SummaryCard label="Offline" value={health.summary.offline} alert />
+            <SummaryCard
+              label="Not in registry"
+              value={health.summary.unregistered}
+              alert
+            />
+            <SummaryCard
+              label="No role"
+              value={health.summary.unmapped}
+              alert
+            />
+            <SummaryCard
+              label="With data gaps"
+              value={health.summary.withGaps}
+              alert
+            />
+            <SummaryCard
+              label="Counter problems"
+              value={health.summary.stuckCounters + health.summary.zeroCounters}
+              alert
+            />
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div
+          style={{
+            ...panelStyle,
+            color: "#dc2626",
+            fontSize: "13px",
+            textAlign: "center",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      {health && (
+        <div style={panelStyle}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: "#374151" }}>
+                <th style={cellStyle}>MAC</th>
+                <th style={cellStyle}>Meter</th>
+                <th style={cellStyle}>Last seen</th>
+                <th style={cellStyle}>Readings / h</th>
+                <th style={cellStyle}>Gaps</th>
+                <th style={cellStyle}>Counter (kWh)</th>
+                <th style={cellStyle}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {health.meters.map((meter) => (
+                <tr key={meter.mac}>
+                  <td style={{ ...cellStyle, fontFamily: "monospace" }}>
+                    {meter.mac}
+                  </td>
+                  <td style={cellStyle}>
+                    {meter.label || "—"}
+                    <div style={{ fontSize: "11px", color: "#6b7280" }}>
+                      {meter.role === "room"
+                        ? `Room ${meter.room}`
+                        : meter.role || "unassigned"}
+                    </div>
+                  </td>
+                  <td
+                    style={cellStyle}
+                    title={
+                      meter.lastSeen
+                        ? new Date(meter.lastSeen).toLocaleString()
+                        : undefined
+                    }
+                  >
+                    {formatSilence(meter.silentMinutes)}
+                  </td>
+                  <td style={cellStyle}>{meter.readingsPerHour}</td>
+                  <td
+                    style={cellStyle}
+                    title={meter.gaps
+                      .map(
+                        (gap) =>
+                          `${new Date(gap.start).toLocaleString()} – ${new Date(
+                            gap.end
+                          ).toLocaleTimeString()} (${gap.minutes} min)`
+                      )
+                      .join("\n")}
+                  >
+                    {meter.gapCount > 0
+                      ? `${meter.gapCount} (${meter.gapMinutes} min)`
+                      : "—"}
+                  </td>
+                  <td style={cellStyle}>
+                    {meter.lastEnergy === null
+                      ? "—"
+                      : `${meter.firstEnergy} → ${meter.lastEnergy}`}
+                  </td>
+                  <td style={cellStyle}>
+                    {meter.issues.length === 0 ? (
+                      <span style={{ color: "#10b981", fontWeight: "500" }}>
+                        OK
+                      </span>
+                    ) : (
+                      <div
+                        style={{
+                          display: "flex",
+                          flexWrap: "wrap",
+                          gap: "4px",
+                        }}
+                      >
+                        {meter.issues.map((issue) => (
+                          <span
+                            key={issue}
+                            style={{
+                              padding: "1px 6px",
+                              borderRadius: "4px",
+                              fontSize: "11px",
+                              fontWeight: "500",
+                              color: ISSUE_LABELS[issue]?.color || "#374151",
+                              background: "rgba(255, 255, 255, 0.8)",
+                              border: `1px solid ${
+                                ISSUE_LABELS[issue]?.color || "#d1d5db"
+                              }`,
+                            }}
+                          >
+                            {ISSUE_LABELS[issue]?.label || issue}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {health.meters.length === 0 && (
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6b7280",
+                textAlign: "center",
+                marginTop: "12px",
+              }}
+            >
+              No meters registered or reporting
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MeterHealthView;
@@ -0,0 +1,406 @@
+import { useCallback, useEffect, useState } from "react";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  padding: "20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+  marginBottom: "20px",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "8px",
+  fontSize: "14px",
+  fontWeight: "500",
+  color: "#374151",
+};
+
+const inputStyle = {
+  padding: "6px 10px",
+  border: "1px solid rgba(16, 185, 129, 0.3)",
+  borderRadius: "6px",
+  fontSize: "13px",
+  background: "rgba(255, 255, 255, 0.8)",
+  outline: "none",
+  width: "100%",
+  boxSizing: "border-box",
+};
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "13px",
+  textAlign: "left",
+};
+
+const buttonStyle = (primary, disabled) => ({
+  padding: "6px 12px",
+  background: disabled
+    ? "rgba(156, 163, 175, 0.8)"
+    : primary
+    ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
+    : "rgba(255, 255, 255, 0.8)",
+  color: primary || disabled ? "#ffffff" : "#374151",
+  border: "none",
+  borderRadius: "6px",
+  cursor: disabled ? "not-allowed" : "pointer",
+  fontSize: "13px",
+  fontWeight: "500",
+  boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+  whiteSpace: "nowrap",
+});
+
+const ROLE_LABELS = {
+  grid_import: "Grid import",
+  grid_export: "Grid export",
+  solar: "Solar",
+  sub_meter: "Sub-meter",
+  room: "Room",
+};
+
+const emptyMeter = { mac: "", room: "", role: "room", label: "" };
+
+const MeterRow = ({ meter, roles, busy, onSave, onRetire }) => {
+  const [draft, setDraft] = useState(meter);
+  const retired = meter.status === "retired";
+  const changed =
+    draft.label !== meter.label ||
+    draft.role !== meter.role ||
+    (draft.room || "") !== (meter.room || "");
+
+  useEffect(() => setDraft(meter), [meter]);
+
+  return (
+    <tr style={{ opacity: retired ? 0.5 : 1 }}>
+      <td style={{ ...cellStyle, fontFamily: "monospace" }}>{meter.mac}</td>
+      <td style={cellStyle}>
+        <input
+          value={draft.label}
+          onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+          disabled={retired}
+          placeholder="Label"
+          style={inputStyle}
+        />
+      </td>
+      <td style={cellStyle}>
+        <select
+          value={draft.role || ""}
+          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+          disabled={retired}
+          style={inputStyle}
+        >
+          {!draft.role && <option value="">Unassigned</option>}
+          {roles.map((role) => (
+            <option key={role} value={role}>
+              {ROLE_LABELS[role] || role}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td style={cellStyle}>
+        <input
+          value={draft.room || ""}
+          onChange={(e) => setDraft({ ...draft, room: e.target.value })}
+          disabled={retired || draft.role !== "room"}
+          placeholder="—"
+          style={{ ...inputStyle, width: "80px" }}
+        />
+      </td>
+      <td style={{ ...cellStyle, color: retired ? "#dc2626" : "#10b981" }}>
+        {retired ? "Retired" : "Active"}
+      </td>
+      <td style={{ ...cellStyle, textAlign: "right" }}>
+        {!retired && (
+          <div
+            style={{ display: "flex", gap: "6px", justifyContent: "flex-end" }}
+          >
+            <button
+              onClick={() => onSave(meter, draft)}
+              disabled={busy || !changed}
+              style={buttonStyle(true, busy || !changed)}
+            >
+              Save
+            </button>
+            <button
+              onClick={() => onRetire(meter)}
+              disabled={busy}
+              style={buttonStyle(false, busy)}
+            >
+              Retire
+            </button>
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const MetersView = ({ server, onMetersChanged }) => {
+  const [meters, setMeters] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_LABELS));
+  const [newMeter, setNewMeter] = useState(emptyMeter);
+  const [showRetired, setShowRetired] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(
+    async (path, options = {}) => {
+      const response = await authFetch(`${server}${path}`, {
+        ...options,
+        headers: { "Content-Type": "application/json" },
+        signal: AbortSignal.timeout(10000),
+      });
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          responseData.error || response.statusText || "Unknown error"
+        );
+      }
+      return responseData;
+    },
+    [server]
+  );
+
+  const fetchMeters = useCallback(async () => {
+    if (!server) return;
+    try {
+      const data = await request("/api/meters");
+      setMeters(data.meters);
+      setRoles(data.roles);
+      setError(null);
+    } catch (err) {
+      console.error("❌ Failed to fetch meters:", err);
+      setError(err.message);
+    }
+  }, [server, request]);
+
+  useEffect(() => {
+    fetchMeters();
+  }, [fetchMeters]);
+
+  // Run a change, then reload the registry and the room list
+  const runChange = async (change) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await change();
+      await fetchMeters();
+      if (onMetersChanged) onMetersChanged();
+    } catch (err) {
+      console.error("❌ Meter update failed:", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveMeter = (meter, draft) =>
+    runChange(() => {
+      const body = { label: draft.label };
+      if (draft.role) body.role = draft.role;
+      if (draft.role === "room") body.room = draft.room;
+      return request(`/api/meters/${encodeURIComponent(meter.mac)}`, {
+        method: "PUT",
+        body: JSON.stringify(body),
+      });
+    });
+
+  const retireMeter = (meter) => {
+    if (!window.confirm(`Retire meter ${meter.mac}?`)) return;
+    runChange(() =>
+      request(`/api/meters/${encodeURIComponent(meter.mac)}`, {
+        method: "DELETE",
+      })
+    );
+  };
+
+  const registerMeter = () =>
+    runChange(async () => {
+      const body = { ...newMeter };
+      if (body.role !== "room") delete body.room;
+      await request("/api/meters", {
+        method: "POST",
+        body: JSON.stringify(body),
+      });
+      setNewMeter(emptyMeter);
+    });
+
+  const visibleMeters = meters.filter(
+    (m) => showRetired || m.status !== "retired"
+  );
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <div
+          style={{
+            fontSize: "16px",
+            fontWeight: "600",
+            color: "#111827",
+            marginBottom: "12px",
+          }}
+        >
+          Register Meter
+        </div>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "2fr 2fr 1fr 1fr auto",
+            gap: "16px",
+            alignItems: "end",
+          }}
+        >
+          <div>
+            <label style={labelStyle}>MAC address:</label>
+            <input
+              value={newMeter.mac}
+              onChange={(e) =>
+                setNewMeter({ ...newMeter, mac: e.target.value })
+              }
+              placeholder="aa:bb:cc:dd:ee:ff"
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Label:</label>
+            <input
+              value={newMeter.label}
+              onChange={(e) =>
+                setNewMeter({ ...newMeter, label: e.target.value })
+              }
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Role:</label>
+            <select
+              value={newMeter.role}
+              onChange={(e) =>
+                setNewMeter({ ...newMeter, role: e.target.value })
+              }
+              style={inputStyle}
+            >
+              {roles.map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role] || role}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Room:</label>
+            <input
+              value={newMeter.room}
+              onChange={(e) =>
+                setNewMeter({ ...newMeter, room: e.target.value })
+              }
+              disabled={newMeter.role !== "room"}
+              style={inputStyle}
+            />
+          </div>
+          <button
+            onClick={registerMeter}
+            disabled={busy || !server || !newMeter.mac}
+            style={{
+              ...buttonStyle(true, busy || !server || !newMeter.mac),
+              height: "32px",
+            }}
+          >
+            Register
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div
+          style={{
+            ...panelStyle,
+            color: "#dc2626",
+            fontSize: "13px",
+            textAlign: "center",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      <div style={panelStyle}>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "12px",
+          }}
+        >
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Meters
+          </div>
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "6px",
+              fontSize: "13px",
+              color: "#374151",
+              cursor: "pointer",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={showRetired}
+              onChange={(e) => setShowRetired(e.target.checked)}
+            />
+            Show retired meters
+          </label>
+        </div>
+
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ color: "#374151" }}>
+              <th style={cellStyle}>MAC</th>
+              <th style={cellStyle}>Label</th>
+              <th style={cellStyle}>Role</th>
+              <th style={cellStyle}>Room</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleMeters.map((meter) => (
+              <MeterRow
+                key={meter.mac}
+                meter={meter}
+                roles={roles}
+                busy={busy}
+                onSave={saveMeter}
+                onRetire={retireMeter}
+              />
+            ))}
+          </tbody>
+        </table>
+        {visibleMeters.length === 0 && (
+          <div
+            style={{
+              fontSize: "12px",
+              color: "#6b7280",
+              textAlign: "center",
+              marginTop: "12px",
+            }}
+          >
+            No meters registered
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default MetersView;
@@ -0,0 +1,455 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Area,
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import dayjs from "dayjs";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  padding: "20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+  marginBottom: "20px",
+};
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "13px",
+  textAlign: "left",
+};
+
+const titleStyle = {
+  fontSize: "16px",
+  fontWeight: "600",
+  color: "#111827",
+  marginBottom: "12px",
+};
+
+const EVENT_LABELS = {
+  sag: { label: "Voltage sag", color: "#f59e0b" },
+  swell: { label: "Voltage swell", color: "#dc2626" },
+  low_frequency: { label: "Low frequency", color: "#8b5cf6" },
+  high_frequency: { label: "High frequency", color: "#8b5cf6" },
+};
+
+const WINDOWS = [
+  { value: 1, label: "Today" },
+  { value: 7, label: "Last 7 days" },
+  { value: 30, label: "Last 30 days" },
+];
+
+// Highlight a value outside its limits
+const limitColor = (value, min, max) =>
+  value !== null && (value < min || value > max) ? "#dc2626" : "#374151";
+
+const SeriesChart = ({ data, dataKey, rangeKey, color, unit, limits }) => (
+  <div style={{ width: "100%", height: 200 }}>
+    <ResponsiveContainer>
+      <ComposedChart
+        data={data}
+        margin={{ top: 10, right: 20, left: 0, bottom: 0 }}
+      >
+        <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+        <XAxis
+          dataKey="label"
+          tick={{ fontSize: 11, fill: "#64748b" }}
+          stroke="#cbd5e1"
+          minTickGap={40}
+        />
+        <YAxis
+          domain={["auto", "auto"]}
+          unit={unit}
+          tick={{ fontSize: 11, fill: "#64748b" }}
+          stroke="#cbd5e1"
+          width={70}
+        />
+        <Tooltip
+          formatter={(value) =>
+            Array.isArray(value) ? `${value[0]} – ${value[1]}` : value
+          }
+        />
+        {rangeKey && (
+          <Area
+            dataKey={rangeKey}
+            stroke="none"
+            fill={color}
+            fillOpacity={0.15}
+            name="Min – max"
+            isAnimationActive={false}
+          />
+        )}
+        <Line
+          dataKey={dataKey}
+          stroke={color}
+          strokeWidth={1.5}
+          dot={false}
+          name="Average"
+          isAnimationActive={false}
+        />
+        {limits.map((limit) => (
+          <ReferenceLine
+            key={limit}
+            y={limit}
+            stroke="#dc2626"
+            strokeDasharray="4 4"
+          />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+const PowerQualityView = ({ server }) => {
+  const [days, setDays] = useState(1);
+  const [quality, setQuality] = useState(null);
+  const [selectedMac, setSelectedMac] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rangeQuery = new URLSearchParams({
+    start: dayjs()
+      .subtract(days - 1, "day")
+      .format("YYYY-MM-DD"),
+    end: dayjs().format("YYYY-MM-DD"),
+  }).toString();
+
+  const request = useCallback(
+    async (path) => {
+      const response = await authFetch(`${server}${path}`, {
+        signal: AbortSignal.timeout(30000),
+      });
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || response.statusText);
+      }
+      return responseData;
+    },
+    [server]
+  );
+
+  const fetchQuality = useCallback(async () => {
+    if (!server) return;
+    setLoading(true);
+    try {
+      setQuality(await request(`/api/quality?${rangeQuery}`));
+      setError(null);
+    } catch (err) {
+      console.error("❌ Failed to fetch power quality:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [server, request, rangeQuery]);
+
+  useEffect(() => {
+    fetchQuality();
+  }, [fetchQuality]);
+
+  useEffect(() => {
+    if (!server || !selectedMac) return;
+    request(
+      `/api/quality/series?${rangeQuery}&mac=${encodeURIComponent(selectedMac)}`
+    )
+      .then((responseData) =>
+        setSeries(
+          responseData.data.map((w) => ({
+            ...w,
+            label: dayjs(w.time).format(days === 1 ? "HH:mm" : "MM-DD HH:mm"),
+            voltageRange: [w.voltageMin, w.voltageMax],
+            frequencyRange: [w.frequencyMin, w.frequencyMax],
+          }))
+        )
+      )
+      .catch((err) => {
+        console.error("❌ Failed to fetch power quality series:", err);
+        setError(err.message);
+      });
+  }, [server, request, rangeQuery, selectedMac, days]);
+
+  const limits = quality?.meta.limits;
+  const selectedMeter = quality?.meters.find((m) => m.mac === selectedMac);
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "16px",
+          }}
+        >
+          <div style={{ ...titleStyle, marginBottom: 0 }}>Power Quality</div>
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              style={{
+                padding: "6px 10px",
+                border: "1px solid rgba(16, 185, 129, 0.3)",
+                borderRadius: "6px",
+                fontSize: "13px",
+                background: "rgba(255, 255, 255, 0.8)",
+                outline: "none",
+              }}
+            >
+              {WINDOWS.map((window) => (
+                <option key={window.value} value={window.value}>
+                  {window.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={fetchQuality}
+              disabled={loading || !server}
+              style={{
+                padding: "6px 12px",
+                background: "linear-gradient(135deg, #10b981 0%, #059669 100%)",
+                color: "#ffffff",
+                border: "none",
+                borderRadius: "6px",
+                cursor: loading ? "not-allowed" : "pointer",
+                fontSize: "13px",
+                fontWeight: "500",
+              }}
+            >
+              {loading ? "Loading..." : "Refresh"}
+            </button>
+          </div>
+        </div>
+
+        {quality && (
+          <>
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6b7280",
+                marginBottom: "8px",
+              }}
+            >
+              Limits: {limits.minVoltage}–{limits.maxVoltage} V,{" "}
+              {limits.minFrequency}–{limits.maxFrequency} Hz, power factor{" "}
+              {limits.minPowerFactor} · {quality.meta.windowMinutes} minute
+              windows · select a meter for its charts
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ color: "#374151" }}>
+                  <th style={cellStyle}>Meter</th>
+                  <th style={cellStyle}>Voltage min / avg / max</th>
+                  <th style={cellStyle}>Frequency min / max</th>
+                  <th style={cellStyle}>Power factor</th>
+                  <th style={cellStyle}>Low PF time</th>
+                  <th style={cellStyle}>Events</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quality.meters.map((meter) => {
+                  const eventTotal = Object.values(meter.eventCounts).reduce(
+                    (sum, count) => sum + count,
+                    0
+                  );
+                  return (
+                    <tr
+                      key={meter.mac}
+                      onClick={() => setSelectedMac(meter.mac)}
+                      style={{
+                        cursor: "pointer",
+                        background:
+                          meter.mac === selectedMac
+                            ? "rgba(16, 185, 129, 0.1)"
+                            : "transparent",
+                      }}
+                    >
+                      <td style={cellStyle}>
+                        <div style={{ fontFamily: "monospace" }}>
+                          {meter.mac}
+                        </div>
+                        <div style={{ fontSize: "11px", color: "#6b7280" }}>
+                          {meter.label ||
+                            (meter.room ? `Room ${meter.room}` : meter.role) ||
+                            "unassigned"}
+                        </div>
+                      </td>
+                      <td style={cellStyle}>
+                        <span
+                          style={{
+                            color: limitColor(
+                              meter.voltage.min,
+                              limits.minVoltage,
+                              limits.maxVoltage
+                            ),
+                          }}
+                        >
+                          {meter.voltage.min ?? "—"}
+                        </span>
+                        {" / "}
+                        {meter.voltage.avg ?? "—"}
+                        {" / "}
+                        <span
+                          style={{
+                            color: limitColor(
+                              meter.voltage.max,
+                              limits.minVoltage,
+                              limits.maxVoltage
+                            ),
+                          }}
+                        >
+                          {meter.voltage.max ?? "—"}
+                        </span>{" "}
+                        V
+                      </td>
+                      <td style={cellStyle}>
+                        {meter.frequency.min ?? "—"} /{" "}
+                        {meter.frequency.max ?? "—"} Hz
+                      </td>
+                      <td style={cellStyle}>{meter.powerFactor.avg ?? "—"}</td>
+                      <td style={cellStyle}>
+                        {meter.powerFactor.lowShare === null
+                          ? "—"
+                          : `${meter.powerFactor.lowMinutes} min (${meter.powerFactor.lowShare}% of load)`}
+                      </td>
+                      <td style={cellStyle}>
+                        {eventTotal === 0 ? (
+                          <span style={{ color: "#10b981", fontWeight: "500" }}>
+                            None
+                          </span>
+                        ) : (
+                          Object.entries(meter.eventCounts)
+                            .filter(([, count]) => count > 0)
+                            .map(
+                              ([type, count]) =>
+                                `${count} ${EVENT_LABELS[type]?.label || type}`
+                            )
+                            .join(", ")
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {quality.meters.length === 0 && (
+              <div
+                style={{
+                  fontSize: "12px",
+                  color: "#6b7280",
+                  textAlign: "center",
+                  marginTop: "12px",
+                }}
+              >
+                No meters reported voltage in this range
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div
+          style={{
+            ...panelStyle,
+            color: "#dc2626",
+            fontSize: "13px",
+            textAlign: "center",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      {selectedMeter && series.length > 0 && (
+        <div style={panelStyle}>
+          <div style={titleStyle}>
+            {selectedMeter.label || selectedMeter.mac} · Voltage (V)
+          </div>
+          <SeriesChart
+            data={series}
+            dataKey="voltage"
+            rangeKey="voltageRange"
+            color="#3b82f6"
+            unit=" V"
+            limits={[limits.minVoltage, limits.maxVoltage]}
+          />
+          <div style={{ ...titleStyle, marginTop: "16px" }}>Frequency (Hz)</div>
+          <SeriesChart
+            data={series}
+            dataKey="frequency"
+            rangeKey="frequencyRange"
+            color="#8b5cf6"
+            unit=" Hz"
+            limits={[limits.minFrequency, limits.maxFrequency]}
+          />
+          <div style={{ ...titleStyle, marginTop: "16px" }}>Power factor</div>
+          <SeriesChart
+            data={series}
+            dataKey="powerFactor"
+            color="#10b981"
+            unit=""
+            limits={[limits.minPowerFactor]}
+          />
+        </div>
+      )}
+
+      {quality && quality.events.length > 0 && (
+        <div style={panelStyle}>
+          <div style={titleStyle}>Events</div>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: "#374151" }}>
+                <th style={cellStyle}>Start</th>
+                <th style={cellStyle}>Meter</th>
+                <th style={cellStyle}>Event</th>
+                <th style={cellStyle}>Duration</th>
+                <th style={cellStyle}>Worst value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quality.events.map((event) => (
+                <tr key={`${event.mac}-${event.type}-${event.start}`}>
+                  <td style={cellStyle}>
+                    {new Date(event.start).toLocaleString()}
+                  </td>
+                  <td style={{ ...cellStyle, fontFamily: "monospace" }}>
+                    {event.mac}
+                  </td>
+                  <td
+                    style={{
+                      ...cellStyle,
+                      color: EVENT_LABELS[event.type]?.color || "#374151",
+                      fontWeight: "500",
+                    }}
+                  >
+                    {EVENT_LABELS[event.type]?.label || event.type}
+                  </td>
+                  <td style={cellStyle}>{event.minutes} min</td>
+                  <td style={cellStyle}>
+                    {event.extreme}{" "}
+                    {event.type.endsWith("frequency") ? "Hz" : "V"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PowerQualityView;
@@ -0,0 +1,321 @@
+import { useCallback, useEffect, useState } from "react";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  marginTop: "20px",
+  padding: "16px 20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+};
+
+const cellStyle = {
+  padding: "6px 8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "12px",
+  textAlign: "left",
+};
+
+const buttonStyle = {
+  padding: "4px 12px",
+  borderRadius: "6px",
+  border: "none",
+  background: "rgba(255, 255, 255, 0.7)",
+  color: "#374151",
+  cursor: "pointer",
+  fontWeight: "500",
+  fontSize: "12px",
+  boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+};
+
+const FIELDS = [
+  { key: "energy", label: "Energy (kWh)" },
+  { key: "power", label: "Power (W)" },
+  { key: "voltage", label: "Voltage (V)" },
+  { key: "current", label: "Current (A)" },
+  { key: "pf", label: "PF" },
+  { key: "frequency", label: "Frequency (Hz)" },
+];
+
+const meterName = (reading) =>
+  reading.room ? `Room ${reading.room}` : reading.role || "unassigned";
+
+// Raw readings behind a chart bucket: the first and last energy reading of
+// every meter (what the bucket's delta is taken from), then every reading in
+// the bucket, a page at a time
+const ReadingsTable = ({ server, bucket, room, onClose }) => {
+  const [edges, setEdges] = useState([]);
+  const [readings, setReadings] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [mac, setMac] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(
+    async (extra) => {
+      const params = new URLSearchParams({
+        start: bucket.utcStart,
+        stop: bucket.utcEnd,
+        ...extra,
+      });
+      if (room) {
+        params.append("room", room);
+      }
+      const response = await authFetch(`${server}/api/readings?${params}`, {
+        signal: AbortSignal.timeout(30000),
+      });
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || response.statusText);
+      }
+      return responseData;
+    },
+    [server, bucket, room]
+  );
+
+  const fetchPage = useCallback(
+    async (cursor) => {
+      setLoading(true);
+      try {
+        const page = await request({
+          ...(mac && { mac }),
+          ...(cursor && { cursor }),
+        });
+        setReadings((prev) => (cursor ? [...prev, ...page.data] : page.data));
+        setNextCursor(page.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error("❌ Failed to fetch readings:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [request, mac]
+  );
+
+  useEffect(() => {
+    if (!server) return;
+    request({ edges: "true" })
+      .then((responseData) => setEdges(responseData.data))
+      .catch((err) => {
+        console.error("❌ Failed to fetch delta readings:", err);
+        setError(err.message);
+      });
+  }, [server, request]);
+
+  useEffect(() => {
+    if (!server) return;
+    fetchPage(null);
+  }, [server, fetchPage]);
+
+  // One row per meter with the readings its delta is taken from
+  const deltas = Object.values(
+    edges.reduce((byMac, reading) => {
+      byMac[reading.mac] = {
+        ...byMac[reading.mac],
+        mac: reading.mac,
+        name: meterName(reading),
+        [reading.edge]: reading,
+      };
+      return byMac;
+    }, {})
+  );
+
+  return (
+    <div style={panelStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <div>
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Readings · {bucket.timestamp}
+          </div>
+          <div style={{ fontSize: "12px", color: "#6b7280" }}>
+            {new Date(bucket.utcStart).toLocaleString()} –{" "}
+            {new Date(bucket.utcEnd).toLocaleString()}
+          </div>
+        </div>
+        <button onClick={onClose} style={buttonStyle}>
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div
+          style={{ color: "#dc2626", fontSize: "13px", marginBottom: "8px" }}
+        >
+          {error}
+        </div>
+      )}
+
+      <div
+        style={{
+          fontSize: "13px",
+          fontWeight: "600",
+          color: "#374151",
+          marginBottom: "6px",
+        }}
+      >
+        Delta readings
+      </div>
+      <table
+        style={{
+          width: "100%",
+          borderCollapse: "collapse",
+          marginBottom: "16px",
+        }}
+      >
+        <thead>
+          <tr style={{ color: "#374151" }}>
+            <th style={cellStyle}>Meter</th>
+            <th style={cellStyle}>First reading</th>
+            <th style={cellStyle}>Last reading</th>
+            <th style={cellStyle}>Delta (kWh)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deltas.map((delta) => (
+            <tr key={delta.mac}>
+              <td style={cellStyle}>
+                <span style={{ fontFamily: "monospace" }}>{delta.mac}</span> ·{" "}
+                {delta.name}
+              </td>
+              <td style={cellStyle}>
+                {delta.first
+                  ? `${delta.first.energy} at ${delta.first.localTime}`
+                  : "—"}
+              </td>
+              <td style={cellStyle}>
+                {delta.last
+                  ? `${delta.last.energy} at ${delta.last.localTime}`
+                  : "—"}
+              </td>
+              <td
+                style={{
+                  ...cellStyle,
+                  fontWeight: "600",
+                  color:
+                    delta.first &&
+                    delta.last &&
+                    delta.last.energy < delta.first.energy
+                      ? "#dc2626"
+                      : "#374151",
+                }}
+              >
+                {delta.first && delta.last
+                  ? (delta.last.energy - delta.first.energy).toFixed(3)
+                  : "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {deltas.length === 0 && (
+        <div
+          style={{ fontSize: "12px", color: "#6b7280", marginBottom: "16px" }}
+        >
+          No energy readings in this bucket
+        </div>
+      )}
+
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "6px",
+        }}
+      >
+        <div style={{ fontSize: "13px", fontWeight: "600", color: "#374151" }}>
+          All readings
+        </div>
+        <select
+          value={mac}
+          onChange={(e) => setMac(e.target.value)}
+          style={{
+            padding: "2px 6px",
+            border: "1px solid rgba(16, 185, 129, 0.3)",
+            borderRadius: "6px",
+            fontSize: "12px",
+            background: "rgba(255, 255, 255, 0.8)",
+            outline: "none",
+          }}
+        >
+          <option value="">All meters</option>
+          {deltas.map((delta) => (
+            <option key={delta.mac} value={delta.mac}>
+              {delta.mac} · {delta.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={{ maxHeight: "400px", overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ color: "#374151" }}>
+              <th style={cellStyle}>Time</th>
+              <th style={cellStyle}>Meter</th>
+              {FIELDS.map((field) => (
+                <th key={field.key} style={cellStyle}>
+                  {field.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {readings.map((reading) => (
+              <tr key={`${reading.time}-${reading.mac}`}>
+                <td style={cellStyle}>{reading.localTime}</td>
+                <td style={{ ...cellStyle, fontFamily: "monospace" }}>
+                  {reading.mac}
+                </td>
+                {FIELDS.map((field) => (
+                  <td key={field.key} style={cellStyle}>
+                    {reading[field.key] ?? "—"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: "8px",
+          fontSize: "12px",
+          color: "#6b7280",
+        }}
+      >
+        {readings.length} readings shown
+        {nextCursor && (
+          <button
+            onClick={() => fetchPage(nextCursor)}
+            disabled={loading}
+            style={{
+              ...buttonStyle,
+              cursor: loading ? "not-allowed" : "pointer",
+            }}
+          >
+            {loading ? "Loading..." : "Load more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingsTable;
@@ -0,0 +1,236 @@
+import { useEffect, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  Cell,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  marginTop: "20px",
+  padding: "16px 20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+};
+
+const SLICE_COLORS = [
+  "#ff6b35",
+  "#3b82f6",
+  "#10b981",
+  "#8b5cf6",
+  "#f59e0b",
+  "#ec4899",
+  "#14b8a6",
+  "#6366f1",
+];
+
+const formatChange = ({ change, changePercent }) =>
+  `${change > 0 ? "+" : ""}${change} kWh${
+    changePercent === null
+      ? ""
+      : ` (${changePercent > 0 ? "+" : ""}${changePercent}%)`
+  }`;
+
+const BreakdownTooltip = ({ active, payload }) => {
+  if (!active || !payload || !payload.length) return null;
+  const entry = payload[0].payload;
+
+  return (
+    <div
+      style={{
+        background: "rgba(255, 255, 255, 0.95)",
+        border: "1px solid rgba(255, 255, 255, 0.6)",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 8px 32px rgba(0, 0, 0, 0.15)",
+        fontSize: "12px",
+        color: "#374151",
+      }}
+    >
+      <div style={{ fontWeight: "600", marginBottom: "4px" }}>
+        #{entry.rank} Room {entry.room}
+      </div>
+      <div>
+        {entry.consumption} kWh
+        {entry.share !== null && ` · ${entry.share}% of total`}
+      </div>
+      <div style={{ color: entry.change > 0 ? "#dc2626" : "#10b981" }}>
+        {formatChange(entry)} vs previous period
+      </div>
+    </div>
+  );
+};
+
+const RoomBreakdown = ({ server, query }) => {
+  const [breakdown, setBreakdown] = useState(null);
+  const [chart, setChart] = useState("bar");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!server) return;
+
+    authFetch(`${server}/api/rooms/breakdown?${query}`, {
+      signal: AbortSignal.timeout(30000),
+    })
+      .then(async (response) => {
+        const responseData = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(responseData.error || response.statusText);
+        }
+        setBreakdown(responseData);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("❌ Failed to fetch room breakdown:", err);
+        setError(err.message);
+      });
+  }, [server, query]);
+
+  if (error) {
+    return (
+      <div style={{ ...panelStyle, color: "#dc2626", fontSize: "13px" }}>
+        Room breakdown unavailable: {error}
+      </div>
+    );
+  }
+  if (!breakdown || breakdown.data.length === 0) return null;
+
+  const { data, meta } = breakdown;
+  const totalChange = meta.total - meta.previousTotal;
+
+  return (
+    <div style={panelStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <div>
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Room Ranking
+          </div>
+          <div style={{ fontSize: "12px", color: "#6b7280" }}>
+            {meta.total} kWh in total ·{" "}
+            {formatChange({
+              change: parseFloat(totalChange.toFixed(3)),
+              changePercent:
+                meta.previousTotal > 0
+                  ? parseFloat(
+                      ((totalChange / meta.previousTotal) * 100).toFixed(2)
+                    )
+                  : null,
+            })}{" "}
+            vs previous period
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: "6px" }}>
+          {[
+            { value: "bar", label: "Ranking" },
+            { value: "pie", label: "Share" },
+          ].map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setChart(option.value)}
+              style={{
+                padding: "4px 12px",
+                borderRadius: "6px",
+                border: "none",
+                background:
+                  chart === option.value
+                    ? "linear-gradient(135deg, #10b981 0%, #059669 100%)"
+                    : "rgba(255, 255, 255, 0.7)",
+                color: chart === option.value ? "#ffffff" : "#374151",
+                fontSize: "13px",
+                fontWeight: "500",
+                cursor: "pointer",
+                boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div
+        style={{
+          width: "100%",
+          height: chart === "pie" ? 300 : Math.max(200, data.length * 36),
+        }}
+      >
+        <ResponsiveContainer>
+          {chart === "bar" ? (
+            <BarChart
+              data={data}
+              layout="vertical"
+              margin={{ top: 0, right: 30, left: 10, bottom: 0 }}
+            >
+              <XAxis
+                type="number"
+                unit=" kWh"
+                tick={{ fontSize: 12, fill: "#64748b" }}
+                stroke="#cbd5e1"
+              />
+              <YAxis
+                type="category"
+                dataKey="room"
+                tickFormatter={(room) => `Room ${room}`}
+                tick={{ fontSize: 12, fill: "#64748b" }}
+                stroke="#cbd5e1"
+                width={80}
+              />
+              <Tooltip
+                content={<BreakdownTooltip />}
+                cursor={{ fill: "rgba(226, 232, 240, 0.4)" }}
+              />
+              <Bar dataKey="consumption" radius={[0, 4, 4, 0]} maxBarSize={24}>
+                {data.map((entry, i) => (
+                  <Cell
+                    key={entry.room}
+                    fill={SLICE_COLORS[i % SLICE_COLORS.length]}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          ) : (
+            <PieChart>
+              <Pie
+                data={data.filter((entry) => entry.consumption > 0)}
+                dataKey="consumption"
+                nameKey="room"
+                innerRadius="45%"
+                outerRadius="80%"
+                label={({ room, share }) => `Room ${room} · ${share}%`}
+              >
+                {data.map((entry, i) => (
+                  <Cell
+                    key={entry.room}
+                    fill={SLICE_COLORS[i % SLICE_COLORS.length]}
+                  />
+                ))}
+              </Pie>
+              <Tooltip content={<BreakdownTooltip />} />
+            </PieChart>
+          )}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default RoomBreakdown;
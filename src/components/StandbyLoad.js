@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import { authFetch } from "../auth";
+
+const panelStyle = {
+  marginTop: "20px",
+  padding: "16px 20px",
+  background:
+    "linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%)",
+  backdropFilter: "blur(15px)",
+  borderRadius: "12px",
+  border: "1px solid rgba(255, 255, 255, 0.5)",
+  boxShadow: "0 4px 20px rgba(0, 0, 0, 0.08)",
+};
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid rgba(229, 231, 235, 0.8)",
+  fontSize: "13px",
+  textAlign: "left",
+};
+
+const PERCENTILES = [5, 10, 20];
+
+const StandbyLoad = ({ server, query }) => {
+  const [standby, setStandby] = useState(null);
+  const [percentile, setPercentile] = useState(10);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!server) return;
+
+    authFetch(`${server}/api/rooms/standby?${query}&percentile=${percentile}`, {
+      signal: AbortSignal.timeout(30000),
+    })
+      .then(async (response) => {
+        const responseData = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(responseData.error || response.statusText);
+        }
+        setStandby(responseData);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error("❌ Failed to fetch standby load:", err);
+        setError(err.message);
+      });
+  }, [server, query, percentile]);
+
+  if (error) {
+    return (
+      <div style={{ ...panelStyle, color: "#dc2626", fontSize: "13px" }}>
+        Standby load unavailable: {error}
+      </div>
+    );
+  }
+  if (!standby || standby.data.length === 0) return null;
+
+  const { data, meta } = standby;
+  const largest = Math.max(...data.map((entry) => entry.standbyEnergy), 0);
+
+  return (
+    <div style={panelStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "12px",
+        }}
+      >
+        <div>
+          <div
+            style={{ fontSize: "16px", fontWeight: "600", color: "#111827" }}
+          >
+            Standby Load
+          </div>
+          <div style={{ fontSize: "12px", color: "#6b7280" }}>
+            {meta.standbyEnergy} kWh of {meta.consumption} kWh used by always-on
+            load over {meta.hours} hours
+          </div>
+        </div>
+        <label
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            fontSize: "13px",
+            color: "#374151",
+          }}
+        >
+          Base load at
+          <select
+            value={percentile}
+            onChange={(e) => setPercentile(Number(e.target.value))}
+            style={{
+              padding: "2px 6px",
+              border: "1px solid rgba(16, 185, 129, 0.3)",
+              borderRadius: "6px",
+              fontSize: "13px",
+              background: "rgba(255, 255, 255, 0.8)",
+              outline: "none",
+            }}
+          >
+            {PERCENTILES.map((p) => (
+              <option key={p} value={p}>
+                {p}th percentile
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#374151" }}>
+            <th style={cellStyle}>#</th>
+            <th style={cellStyle}>Room</th>
+            <th style={cellStyle}>Base load</th>
+            <th style={cellStyle}>Peak load</th>
+            <th style={cellStyle} title="Average load divided by peak load">
+              Load factor
+            </th>
+            <th style={cellStyle}>Always-on energy</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((entry) => (
+            <tr key={entry.room}>
+              <td style={cellStyle}>{entry.rank}</td>
+              <td style={cellStyle}>Room {entry.room}</td>
+              <td style={cellStyle}>{entry.baseLoad} kW</td>
+              <td style={cellStyle}>{entry.peakLoad} kW</td>
+              <td style={cellStyle}>
+                {entry.loadFactor === null ? "—" : entry.loadFactor}
+              </td>
+              <td style={{ ...cellStyle, width: "35%" }}>
+                <div
+                  style={{ display: "flex", alignItems: "center", gap: "8px" }}
+                >
+                  <div
+                    style={{
+                      height: "8px",
+                      borderRadius: "4px",
+                      background: "linear-gradient(135deg, #8b5cf6, #6366f1)",
+                      width: `${
+                        largest > 0 ? (entry.standbyEnergy / largest) * 60 : 0
+                      }%`,
+                    }}
+                  ></div>
+                  <span style={{ whiteSpace: "nowrap" }}>
+                    {entry.standbyEnergy} kWh
+                    {entry.standbyShare !== null && ` (${entry.standbyShare}%)`}
+                  </span>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StandbyLoad;